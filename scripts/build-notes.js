@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// ========================================
+// NOTES
+// ========================================
+//
+// Runs before start/build and compiles src/content/notes/<slug>.md into
+// src/content/notes.json, newest first. Each note opens with front-matter:
+//
+//   ---
+//   title: Building a terminal portfolio
+//   date: 2026-03-14
+//   summary: One or two sentences for the list, feeds and crawlers.
+//   tags: [react, tui]
+//   ---
+//
+// `updated` (a date) is optional. A missing or malformed field fails the
+// build, like scripts/validate-content.js does for portfolio.json.
+//
+// Usage: node scripts/build-notes.js [outFile=src/content/notes.json]
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const { validate, schema: { str, pattern, list, record } } = require('./validate-content');
+
+const NOTES_DIR = path.join(__dirname, '..', 'src', 'content', 'notes');
+const OUT_PATH = path.join(__dirname, '..', 'src', 'content', 'notes.json');
+
+const WORDS_PER_MINUTE = 220;
+
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// A day that exists: 2026-02-31 has the right shape but rolls over to March
+const isCalendarDate = (v) => {
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(v);
+};
+const date = pattern(/^\d{4}-\d{2}-\d{2}$/, 'a valid YYYY-MM-DD date', isCalendarDate);
+
+const FRONT_MATTER_SCHEMA = record({
+  title: str,
+  date,
+  updated: { ...date, optional: true },
+  summary: str,
+  tags: list(pattern(SLUG_RE, 'a lowercase-kebab tag'), { min: 1 }),
+});
+
+// ── Front-matter ──────────────────────────────────────────
+// A flat YAML subset: `key: value`, `key: [a, b]` and quoted strings.
+const FRONT_MATTER_RE = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+const unquote = (s) => s.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+/**
+ * Split a note into its front-matter fields and markdown body
+ * @param {string} source
+ * @returns {{ data: Object, body: string }}
+ */
+function parseFrontMatter(source) {
+  const m = FRONT_MATTER_RE.exec(source);
+  if (!m) throw new Error('missing front-matter (--- … ---)');
+
+  const data = {};
+  m[1].split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const field = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line);
+    if (!field) throw new Error(`front-matter line ${i + 2}: expected "key: value"`);
+    const [, key, value] = field;
+    const array = /^\[(.*)\]$/.exec(value.trim());
+    data[key] = array ? array[1].split(',').map(unquote).filter(Boolean) : unquote(value);
+  });
+  return { data, body: source.slice(m[0].length).trim() };
+}
+
+// Prose words only: fenced code and markdown punctuation don't count
+const countWords = (markdown) => markdown
+  .replace(/^(`{3,}|~{3,})[\s\S]*?^\1/gm, '')
+  .replace(/[#>*_`[\]()|-]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean).length;
+
+// ── Notes ─────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} Note
+ * @property {string}   slug        - File name without .md
+ * @property {string}   title
+ * @property {string}   date        - YYYY-MM-DD
+ * @property {string}   [updated]   - YYYY-MM-DD
+ * @property {string}   summary
+ * @property {string[]} tags
+ * @property {number}   words
+ * @property {number}   readingTime - Minutes, at least 1
+ * @property {string}   body        - Markdown without the front-matter
+ */
+
+/**
+ * Read, validate and sort every note, throwing on any problem
+ * @param {string} [dir]
+ * @returns {Note[]} Newest first
+ */
+function loadNotes(dir = NOTES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const errors = [];
+  const notes = [];
+
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+    const slug = name.slice(0, -3);
+    const at = `notes/${name}`;
+    if (!SLUG_RE.test(slug)) {
+      errors.push(`${at}: file name is not a lowercase-kebab slug`);
+      continue;
+    }
+    try {
+      const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, name), 'utf8'));
+      const problems = validate(data, FRONT_MATTER_SCHEMA, at);
+      if (problems.length) {
+        errors.push(...problems);
+        continue;
+      }
+      const words = countWords(body);
+      notes.push({ slug, ...data, words, readingTime: Math.max(1, Math.round(words / WORDS_PER_MINUTE)), body });
+    } catch (err) {
+      errors.push(`${at}: ${err.message}`);
+    }
+  }
+
+  if (errors.length) {
+    const err = new Error(`notes are invalid:\n  ${errors.join('\n  ')}`);
+    err.errors = errors;
+    throw err;
+  }
+  return notes.sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+module.exports = { loadNotes, parseFrontMatter, NOTES_DIR };
+
+if (require.main === module) {
+  try {
+    const outFile = path.resolve(process.argv[2] || OUT_PATH);
+    const notes = loadNotes();
+    fs.writeFileSync(outFile, `${JSON.stringify(notes, null, 2)}\n`);
+    console.log(`✓ wrote ${notes.length} note${notes.length === 1 ? '' : 's'} to ${path.relative(process.cwd(), outFile)}`);
+  } catch (err) {
+    console.error(`✗ build-notes: ${err.message}`);
+    process.exit(1);
+  }
+}
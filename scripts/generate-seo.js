@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// ========================================
+// CRAWLER ARTIFACTS
+// ========================================
+//
+// Runs after `react-scripts build` and writes, from src/content/portfolio.json
+// and the notes in src/content/notes:
+// - build/llms.txt     plain-text summary for LLM crawlers
+// - build/sitemap.xml  one entry per section, project and note deep link
+// - build/rss.xml      RSS 2.0 and Atom feeds of the notes
+//   build/atom.xml
+// - JSON-LD            Person + WebSite + one SoftwareSourceCode per project
+//                      and one BlogPosting per note, injected into
+//                      build/index.html at the <!--! seo:json-ld --> marker
+//
+// Usage: node scripts/generate-seo.js [outDir=build]
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const { loadContent } = require('./validate-content');
+const { loadNotes } = require('./build-notes');
+
+// `<!--!` comments survive CRA's HTML minifier
+const JSON_LD_MARKER = '<!--! seo:json-ld -->';
+
+// ── Links ─────────────────────────────────────────────────
+// Keep in sync with the TUI's routes (src/utils/routes.js).
+const sectionUrl = (site, id) => `${site}/#/${id}`;
+const projectUrl = (site, slug) => `${site}/#/projects/${slug}`;
+const noteUrl = (site, slug) => `${site}/#/notes/${slug}`;
+
+const GITHUB_HOST = 'https://github.com';
+const repoUrl = (content, repo) => {
+  const github = content.socials.find(s => s.label === 'github');
+  return `${github ? github.href : GITHUB_HOST}/${repo}`;
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const sentence = (s) => capitalize(s).replace(/[.\s]*$/, '.');
+
+// ── llms.txt ──────────────────────────────────────────────
+const SECTION_DETAIL = {
+  about:    (c) => c.socials.map(s => s.label).join(', '),
+  skills:   (c) => c.skills.map(s => s.name).join(', '),
+  projects: (c) => c.projects.map(p => `${p.name} (${p.desc})`).join(', '),
+  music:    (c) => c.artists.map(a => a.name).join(', '),
+  movies:   (c) => c.movies.map(m => m.name).join(', '),
+  notes:    (c, notes) => notes.map(n => n.title).join(', '),
+};
+
+function buildLlmsTxt(content, notes = []) {
+  const { profile, sections, projects, socials } = content;
+  const first = profile.name.split(' ')[0];
+  const sectionNames = sections.map(s => s.label).join(', ');
+
+  const lines = [
+    `# ${profile.name}`,
+    '',
+    `> ${sentence(profile.tagline)} Portfolio rendered as a terminal-style UI (TUI) — single-page React app with sections for ${sectionNames}. Built for speed, clarity, and keyboard-first navigation.`,
+    '',
+    '## About',
+    '',
+    `${first} is a ${profile.bio.map(b => b.replace(/\.$/, '')).join('; ')}. Outside of code: ${profile.offline.join(', ')}.`,
+    '',
+    '## Sections',
+    '',
+    ...sections.map(s => {
+      const detail = SECTION_DETAIL[s.id] ? SECTION_DETAIL[s.id](content, notes) : '';
+      return `- [${capitalize(s.label)}](${sectionUrl(profile.site, s.id)}): ${s.summary}${detail ? ` — ${detail}` : ''}`;
+    }),
+    '',
+    '## Projects',
+    '',
+    ...projects.map(p => `- [${p.name}](${projectUrl(profile.site, p.slug)}): ${p.description} Source: ${repoUrl(content, p.repo)}${p.live ? ` · Live: ${p.live}` : ''}`),
+    '',
+    ...(notes.length ? [
+      '## Notes',
+      '',
+      ...notes.map(n => `- [${n.title}](${noteUrl(profile.site, n.slug)}) (${n.date}): ${n.summary}`),
+      '',
+    ] : []),
+    '## Links',
+    '',
+    ...socials.map(s => `- ${capitalize(s.label)}: ${s.href.replace(/^mailto:/, '')}`),
+    '',
+    '## Tech',
+    '',
+    `This site is a single-page React 18 app with Tailwind, GSAP, and React Router. Source: ${profile.source}`,
+    '',
+  ];
+  return lines.join('\n');
+}
+
+// ── sitemap.xml ───────────────────────────────────────────
+const xmlEscape = (s) => s
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function buildSitemap(content, lastmod, notes = []) {
+  const { profile, sections, projects } = content;
+  const urls = [
+    { loc: `${profile.site}/`, changefreq: 'monthly', priority: '1.0' },
+    ...sections.map(s => ({ loc: sectionUrl(profile.site, s.id), changefreq: 'monthly', priority: '0.8' })),
+    ...projects.map(p => ({ loc: projectUrl(profile.site, p.slug), changefreq: 'monthly', priority: '0.6' })),
+    ...notes.map(n => ({ loc: noteUrl(profile.site, n.slug), lastmod: n.updated || n.date, changefreq: 'yearly', priority: '0.6' })),
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(u => [
+      '  <url>',
+      `    <loc>${xmlEscape(u.loc)}</loc>`,
+      `    <lastmod>${u.lastmod || lastmod}</lastmod>`,
+      `    <changefreq>${u.changefreq}</changefreq>`,
+      `    <priority>${u.priority}</priority>`,
+      '  </url>',
+    ].join('\n')),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+// ── Feeds ─────────────────────────────────────────────────
+// Notes carry dates only; both feeds stamp them at midnight UTC
+const rfc822 = (date) => new Date(`${date}T00:00:00Z`).toUTCString();
+const rfc3339 = (date) => `${date}T00:00:00Z`;
+
+function buildRss(content, notes) {
+  const { profile } = content;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${xmlEscape(`${profile.name} — notes`)}</title>`,
+    `    <link>${xmlEscape(sectionUrl(profile.site, 'notes'))}</link>`,
+    `    <description>${xmlEscape(sentence(profile.tagline))}</description>`,
+    '    <language>en-us</language>',
+    `    <atom:link href="${xmlEscape(`${profile.site}/rss.xml`)}" rel="self" type="application/rss+xml" />`,
+    ...(notes.length ? [`    <lastBuildDate>${rfc822(notes.map(n => n.updated || n.date).sort().pop())}</lastBuildDate>`] : []),
+    ...notes.map(n => [
+      '    <item>',
+      `      <title>${xmlEscape(n.title)}</title>`,
+      `      <link>${xmlEscape(noteUrl(profile.site, n.slug))}</link>`,
+      `      <guid isPermaLink="true">${xmlEscape(noteUrl(profile.site, n.slug))}</guid>`,
+      `      <pubDate>${rfc822(n.date)}</pubDate>`,
+      `      <description>${xmlEscape(n.summary)}</description>`,
+      ...n.tags.map(t => `      <category>${xmlEscape(t)}</category>`),
+      '    </item>',
+    ].join('\n')),
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function buildAtom(content, notes) {
+  const { profile } = content;
+  const latest = notes.map(n => n.updated || n.date).sort().pop();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${xmlEscape(`${profile.name} — notes`)}</title>`,
+    `  <subtitle>${xmlEscape(sentence(profile.tagline))}</subtitle>`,
+    `  <id>${xmlEscape(sectionUrl(profile.site, 'notes'))}</id>`,
+    `  <link href="${xmlEscape(sectionUrl(profile.site, 'notes'))}" />`,
+    `  <link href="${xmlEscape(`${profile.site}/atom.xml`)}" rel="self" type="application/atom+xml" />`,
+    `  <updated>${latest ? rfc3339(latest) : new Date().toISOString()}</updated>`,
+    `  <author><name>${xmlEscape(profile.name)}</name><uri>${xmlEscape(`${profile.site}/`)}</uri></author>`,
+    ...notes.map(n => [
+      '  <entry>',
+      `    <title>${xmlEscape(n.title)}</title>`,
+      `    <id>${xmlEscape(noteUrl(profile.site, n.slug))}</id>`,
+      `    <link href="${xmlEscape(noteUrl(profile.site, n.slug))}" />`,
+      `    <published>${rfc3339(n.date)}</published>`,
+      `    <updated>${rfc3339(n.updated || n.date)}</updated>`,
+      `    <summary>${xmlEscape(n.summary)}</summary>`,
+      ...n.tags.map(t => `    <category term="${xmlEscape(t)}" />`),
+      '  </entry>',
+    ].join('\n')),
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+// ── JSON-LD ───────────────────────────────────────────────
+function buildJsonLd(content, notes = []) {
+  const { profile, socials, skills, projects } = content;
+  const personId = `${profile.site}/#person`;
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Person',
+        '@id': personId,
+        name: profile.name,
+        url: `${profile.site}/`,
+        image: `${profile.site}${profile.image}`,
+        email: `mailto:${profile.email}`,
+        jobTitle: profile.jobTitle,
+        description: profile.bio.map(sentence).join(' '),
+        knowsAbout: skills.map(s => s.name),
+        sameAs: socials.filter(s => /^https?:/.test(s.href)).map(s => s.href),
+      },
+      {
+        '@type': 'WebSite',
+        '@id': `${profile.site}/#website`,
+        url: `${profile.site}/`,
+        name: `${profile.name} — Portfolio`,
+        publisher: { '@id': personId },
+        inLanguage: 'en-US',
+      },
+      ...projects.map(p => ({
+        '@type': 'SoftwareSourceCode',
+        '@id': projectUrl(profile.site, p.slug),
+        name: p.name,
+        description: p.description,
+        url: projectUrl(profile.site, p.slug),
+        codeRepository: repoUrl(content, p.repo),
+        programmingLanguage: p.language,
+        keywords: p.tech.join(', '),
+        author: { '@id': personId },
+        ...(p.live && { targetProduct: { '@type': 'WebApplication', name: p.name, url: p.live } }),
+        ...(p.screenshot && { image: `${profile.site}${p.screenshot}` }),
+      })),
+      ...notes.map(n => ({
+        '@type': 'BlogPosting',
+        '@id': noteUrl(profile.site, n.slug),
+        headline: n.title,
+        description: n.summary,
+        url: noteUrl(profile.site, n.slug),
+        datePublished: n.date,
+        dateModified: n.updated || n.date,
+        keywords: n.tags.join(', '),
+        wordCount: n.words,
+        author: { '@id': personId },
+      })),
+    ],
+  };
+}
+
+/**
+ * Replace the JSON-LD marker in an HTML document with a script tag
+ * @param {string} html
+ * @param {Object} jsonLd
+ * @returns {string}
+ */
+function injectJsonLd(html, jsonLd) {
+  if (!html.includes(JSON_LD_MARKER)) {
+    throw new Error(`index.html has no ${JSON_LD_MARKER} marker`);
+  }
+  // `<` is escaped so content can never close the script element early
+  const json = JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+  return html.replace(JSON_LD_MARKER, `<script type="application/ld+json">${json}</script>`);
+}
+
+module.exports = {
+  buildLlmsTxt, buildSitemap, buildRss, buildAtom, buildJsonLd, injectJsonLd, sectionUrl, projectUrl, noteUrl,
+};
+
+if (require.main === module) {
+  try {
+    const outDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'build'));
+    const content = loadContent();
+    const notes = loadNotes();
+    const today = new Date().toISOString().slice(0, 10);
+
+    fs.writeFileSync(path.join(outDir, 'llms.txt'), buildLlmsTxt(content, notes));
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), buildSitemap(content, today, notes));
+    fs.writeFileSync(path.join(outDir, 'rss.xml'), buildRss(content, notes));
+    fs.writeFileSync(path.join(outDir, 'atom.xml'), buildAtom(content, notes));
+
+    const indexPath = path.join(outDir, 'index.html');
+    fs.writeFileSync(indexPath, injectJsonLd(fs.readFileSync(indexPath, 'utf8'), buildJsonLd(content, notes)));
+
+    console.log(`✓ wrote llms.txt, sitemap.xml, rss.xml, atom.xml and JSON-LD to ${path.relative(process.cwd(), outDir) || '.'}`);
+  } catch (err) {
+    console.error(`✗ generate-seo: ${err.message}`);
+    process.exit(1);
+  }
+}
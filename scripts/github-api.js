@@ -0,0 +1,107 @@
+// ========================================
+// GITHUB API FOR BUILD SCRIPTS
+// ========================================
+//
+// Shared by the snapshot scripts. The API base comes from
+// GITHUB_API_URL (default https://api.github.com), and GITHUB_TOKEN is
+// sent when set. `--fixtures` on a script's command line starts
+// scripts/github-mock-server.js on a free port and points the base at it,
+// so snapshots can be built offline from scripts/fixtures/github.
+//
+// Snapshots built that way are marked `fixtures: true`. The next run
+// never keeps repos from them, so fixture data can't outlive a fixture
+// run and reach a production build.
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_API = 'https://api.github.com';
+const TIMEOUT_MS = 5000;
+
+let apiBase = process.env.GITHUB_API_URL || DEFAULT_API;
+
+/**
+ * GET an API path as JSON
+ * @param {string} apiPath - e.g. `/repos/owner/name`
+ * @returns {Promise<*>}
+ * @throws {Error} `HTTP <status>` with `status`, or the network error
+ */
+async function getJson(apiPath) {
+  const res = await fetch(`${apiBase}${apiPath}`, {
+    headers: {
+      Accept: 'application/vnd.github+json',
+      ...(process.env.GITHUB_TOKEN && { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` }),
+    },
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+  return res.json();
+}
+
+/**
+ * Run `task`, against the fixture server when `argv` has `--fixtures`
+ * @param {string[]} argv
+ * @param {() => Promise<*>} task
+ * @returns {Promise<*>}
+ */
+async function withApi(argv, task) {
+  if (!argv.includes('--fixtures')) return task();
+  const { startMockServer } = require('./github-mock-server');
+  const server = await startMockServer(0);
+  const previous = apiBase;
+  apiBase = server.url;
+  console.log(`  using fixtures from ${server.url}`);
+  try {
+    return await task();
+  } finally {
+    apiBase = previous;
+    await server.close();
+  }
+}
+
+/**
+ * Owner login from the github social link in portfolio content
+ * @param {Object} content
+ * @returns {string}
+ */
+const githubOwner = (content) => content.socials.find(s => s.label === 'github').href.split('/').pop();
+
+// ── Snapshot files ────────────────────────────────────────
+
+/**
+ * Repos of the last snapshot, to keep for any that can't be fetched.
+ * A fixture snapshot yields none.
+ * @param {string} file
+ * @returns {Object}
+ */
+function readSnapshot(file) {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+  if (saved.fixtures) {
+    console.warn(`  ignoring ${path.basename(file)}: it was built from fixtures`);
+    return {};
+  }
+  return saved.repos || {};
+}
+
+/**
+ * Write a snapshot, marked when `argv` has `--fixtures`
+ * @param {string} file
+ * @param {Object} repos
+ * @param {string[]} argv
+ */
+function writeSnapshot(file, repos, argv) {
+  const snapshot = {
+    generatedAt: new Date().toISOString(),
+    ...(argv.includes('--fixtures') && { fixtures: true }),
+    repos,
+  };
+  fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+module.exports = { getJson, withApi, githubOwner, readSnapshot, writeSnapshot };
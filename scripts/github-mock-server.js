@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// ========================================
+// GITHUB MOCK SERVER
+// ========================================
+//
+// Serves scripts/fixtures/github as a read-only GitHub API: a request for
+// /repos/owner/name/commits?per_page=50 answers with
+// fixtures/github/repos/owner/name/commits.json (query ignored), anything
+// else is a GitHub-style 404. Responses carry ETag (with 304 support),
+// X-RateLimit-* and CORS headers so the site's client can run against it:
+//
+//   npm run mock:github
+//   REACT_APP_GITHUB_API_URL=http://localhost:4010 npm start
+//
+// Usage: node scripts/github-mock-server.js [port=4010]
+// ========================================
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'github');
+const DEFAULT_PORT = 4010;
+
+const HEADERS = {
+  'Content-Type': 'application/json; charset=utf-8',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Accept, Authorization, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After',
+  'X-RateLimit-Limit': '60',
+  'X-RateLimit-Remaining': '59',
+};
+
+/**
+ * Fixture file for a request path, or null when there is none. Paths
+ * can't escape the fixtures directory.
+ * @param {string} urlPath
+ * @returns {string|null}
+ */
+function fixtureFor(urlPath) {
+  const segments = urlPath.split('/').filter(Boolean);
+  if (!segments.length || segments.some(s => s === '..' || s.startsWith('.'))) return null;
+  const file = path.join(FIXTURES, ...segments) + '.json';
+  return fs.existsSync(file) ? file : null;
+}
+
+function handle(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, HEADERS);
+    res.end();
+    return;
+  }
+  const file = req.method === 'GET' ? fixtureFor(new URL(req.url, 'http://localhost').pathname) : null;
+  if (!file) {
+    res.writeHead(404, HEADERS);
+    res.end(JSON.stringify({ message: 'Not Found', documentation_url: 'https://docs.github.com/rest' }));
+    return;
+  }
+  const body = fs.readFileSync(file);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+  const reset = String(Math.floor(Date.now() / 1000) + 3600);
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { ...HEADERS, ETag: etag, 'X-RateLimit-Reset': reset });
+    res.end();
+    return;
+  }
+  res.writeHead(200, { ...HEADERS, ETag: etag, 'X-RateLimit-Reset': reset });
+  res.end(body);
+}
+
+/**
+ * Start the server
+ * @param {number} [port=DEFAULT_PORT] - 0 picks a free port
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function startMockServer(port = DEFAULT_PORT) {
+  const server = http.createServer(handle);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(() => done())),
+    }));
+  });
+}
+
+module.exports = { startMockServer, fixtureFor };
+
+if (require.main === module) {
+  startMockServer(Number(process.argv[2]) || DEFAULT_PORT).then(({ url }) => {
+    console.log(`✓ github mock server on ${url} (fixtures: ${path.relative(process.cwd(), FIXTURES)})`);
+  });
+}
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// ========================================
+// GIT SNAPSHOT
+// ========================================
+//
+// Runs before start/build and writes src/content/gitlog.json with recent
+// commits of:
+// - this site's repository  read from the local clone, with changed files
+// - each project repository read from the GitHub API (best-effort)
+//
+// The terminal's `git log` / `git show` fall back to it when the API is
+// unreachable or rate-limited. Nothing here fails the build: a repo that
+// can't be read keeps its previous snapshot (unless that was built from
+// fixtures), or is left out.
+//
+// Usage: node scripts/snapshot-git.js [--fixtures] [outFile=src/content/gitlog.json]
+//        --fixtures  read project repos from scripts/fixtures/github
+// ========================================
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadContent } = require('./validate-content');
+const { getJson, withApi, githubOwner, readSnapshot, writeSnapshot } = require('./github-api');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_PATH = path.join(ROOT, 'src', 'content', 'gitlog.json');
+
+const LIMIT = 50;
+
+// ── Local clone ───────────────────────────────────────────
+// One record per commit: header fields, then --raw and --numstat lines
+const RS = '\x1e';
+const FS = '\x1f';
+const FORMAT = `${RS}%H${FS}%an${FS}%ae${FS}%aI${FS}%B${FS}`;
+
+const git = (args) => execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+
+/**
+ * Pair `--raw` status lines with `--numstat` counts for one commit
+ * @param {string} text
+ * @returns {{ status: string, filename: string, additions: number, deletions: number }[]}
+ */
+function parseFiles(text) {
+  const files = new Map();
+  for (const line of text.split('\n')) {
+    const raw = /^:\S+ \S+ \S+ \S+ ([A-Z])\d*\t(.+)$/.exec(line);
+    const num = /^(\d+|-)\t(\d+|-)\t(.+)$/.exec(line);
+    if (raw) {
+      files.set(raw[2], { status: raw[1], filename: raw[2], additions: 0, deletions: 0 });
+    } else if (num && files.has(num[3])) {
+      Object.assign(files.get(num[3]), { additions: Number(num[1]) || 0, deletions: Number(num[2]) || 0 });
+    }
+  }
+  return [...files.values()];
+}
+
+function localRepo() {
+  const out = git(['log', `-n${LIMIT}`, '--raw', '--numstat', '--no-renames', `--format=${FORMAT}`]);
+  const commits = out.split(RS).filter(Boolean).map(record => {
+    const [sha, author, email, date, message, files] = record.split(FS);
+    return { sha, author, email, date, message: message.trim(), files: parseFiles(files) };
+  });
+  return { branch: git(['rev-parse', '--abbrev-ref', 'HEAD']).trim(), commits };
+}
+
+// ── GitHub ────────────────────────────────────────────────
+
+async function remoteRepo(owner, repo) {
+  const commits = (await getJson(`/repos/${owner}/${repo}/commits?per_page=${LIMIT}`)).map(c => ({
+    sha: c.sha,
+    author: c.commit.author.name,
+    email: c.commit.author.email,
+    date: c.commit.author.date,
+    message: c.commit.message,
+  }));
+  return { branch: 'main', commits };
+}
+
+// ── Snapshot ──────────────────────────────────────────────
+
+/**
+ * Collect every repo, keeping the previous snapshot of any that fail
+ * @param {Object} content - Validated portfolio content
+ * @param {Object} previous - Repos from the last snapshot
+ * @returns {Promise<{ repos: Object, failed: string[] }>}
+ */
+async function buildSnapshot(content, previous) {
+  const owner = githubOwner(content);
+  const site = content.profile.source.split('/').pop();
+  const sources = [
+    [site, async () => localRepo()],
+    ...content.projects.map(p => [p.repo, () => remoteRepo(owner, p.repo)]),
+  ];
+
+  const repos = {};
+  const failed = [];
+  await Promise.all(sources.map(async ([name, read]) => {
+    try {
+      repos[name] = await read();
+    } catch (err) {
+      failed.push(`${name} (${err.message.split('\n')[0]})`);
+      if (previous[name]) repos[name] = previous[name];
+    }
+  }));
+  return { repos, failed };
+}
+
+module.exports = { parseFiles, buildSnapshot };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outFile = path.resolve(args.find(a => !a.startsWith('--')) || OUT_PATH);
+  withApi(args, () => buildSnapshot(loadContent(), readSnapshot(outFile))).then(({ repos, failed }) => {
+    writeSnapshot(outFile, repos, args);
+    const count = Object.values(repos).reduce((n, r) => n + r.commits.length, 0);
+    console.log(`✓ git snapshot: ${count} commits from ${Object.keys(repos).length} repos`);
+    if (failed.length) console.warn(`  could not refresh ${failed.join(', ')}`);
+  }).catch((err) => {
+    console.error(`✗ snapshot-git: ${err.message}`);
+    process.exit(1);
+  });
+}
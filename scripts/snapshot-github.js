@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// ========================================
+// GITHUB REPO SNAPSHOT
+// ========================================
+//
+// Runs before start/build and writes src/content/github.json with
+// metadata (stars, language, topics, updated_at, …), the languages
+// breakdown (bytes per language) and the README for every project
+// repository. The site shows it on first paint, offline and while rate
+// limited, and revalidates it from the API in the background.
+//
+// A repo that can't be fetched keeps its previous snapshot, unless that
+// was built from fixtures; nothing here fails the build.
+//
+// Usage: node scripts/snapshot-github.js [--fixtures] [outFile=src/content/github.json]
+//        --fixtures  read scripts/fixtures/github through the mock server
+// ========================================
+
+const path = require('path');
+const { loadContent } = require('./validate-content');
+const { getJson, withApi, githubOwner, readSnapshot, writeSnapshot } = require('./github-api');
+
+const OUT_PATH = path.join(__dirname, '..', 'src', 'content', 'github.json');
+
+// Everything the site reads; the rest of the API payload is dropped
+const REPO_FIELDS = [
+  'name', 'full_name', 'description', 'html_url', 'homepage', 'language', 'topics',
+  'stargazers_count', 'forks_count', 'open_issues_count', 'archived', 'created_at', 'updated_at', 'pushed_at',
+];
+
+const pick = (repo) => Object.fromEntries(REPO_FIELDS.filter(f => f in repo).map(f => [f, repo[f]]));
+
+// README markdown, or null for a repo without one
+const readme = (apiPath) => getJson(apiPath).then(
+  (file) => Buffer.from(file.content, 'base64').toString('utf8'),
+  (err) => (err.status === 404 ? null : Promise.reject(err)),
+);
+
+/**
+ * Fetch every project repo, keeping the previous snapshot of any that fail
+ * @param {Object} content - Validated portfolio content
+ * @param {Object} previous - Repos from the last snapshot
+ * @returns {Promise<{ repos: Object, failed: string[] }>}
+ */
+async function buildSnapshot(content, previous) {
+  const owner = githubOwner(content);
+  const repos = {};
+  const failed = [];
+  await Promise.all(content.projects.map(async ({ repo }) => {
+    try {
+      const [data, languages, markdown] = await Promise.all([
+        getJson(`/repos/${owner}/${repo}`),
+        getJson(`/repos/${owner}/${repo}/languages`),
+        readme(`/repos/${owner}/${repo}/readme`),
+      ]);
+      repos[repo] = { ...pick(data), languages, readme: markdown };
+    } catch (err) {
+      failed.push(`${repo} (${err.message})`);
+      if (previous[repo]) repos[repo] = previous[repo];
+    }
+  }));
+  return { repos, failed };
+}
+
+module.exports = { buildSnapshot, REPO_FIELDS };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outFile = path.resolve(args.find(a => !a.startsWith('--')) || OUT_PATH);
+  withApi(args, () => buildSnapshot(loadContent(), readSnapshot(outFile))).then(({ repos, failed }) => {
+    writeSnapshot(outFile, repos, args);
+    console.log(`✓ github snapshot: ${Object.keys(repos).length} repos`);
+    if (failed.length) console.warn(`  could not refresh ${failed.join(', ')}`);
+  }).catch((err) => {
+    console.error(`✗ snapshot-github: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// ========================================
+// CONTENT VALIDATOR
+// ========================================
+//
+// Checks src/content/portfolio.json against the schema below and exits
+// non-zero on any problem, so bad data fails `npm start` / `npm run build`
+// instead of rendering broken UI.
+//
+// Usage: node scripts/validate-content.js [path/to/portfolio.json]
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_PATH = path.join(__dirname, '..', 'src', 'content', 'portfolio.json');
+
+// ── Field types ───────────────────────────────────────────
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+const URL_RE = /^https?:\/\/[^\s]+$/;
+const PUBLIC_PATH_RE = /^\/[^\s]+$/;
+
+const str = { type: 'string' };
+const nullable = (t) => ({ ...t, nullable: true });
+// `valid` checks what a regex can't, e.g. that a date exists
+const pattern = (re, what, valid) => ({ type: 'string', pattern: re, what, valid });
+const list = (of, opts = {}) => ({ type: 'array', of, ...opts });
+const record = (fields, opts = {}) => ({ type: 'object', fields, ...opts });
+
+const url = pattern(URL_RE, 'an http(s) URL');
+const slug = pattern(SLUG_RE, 'a lowercase-kebab slug');
+const publicPath = pattern(PUBLIC_PATH_RE, 'a path under public/');
+
+// ── Schema ────────────────────────────────────────────────
+const SCHEMA = record({
+  profile: record({
+    name: str,
+    handle: pattern(/^[a-z][a-z0-9_-]*$/, 'a lowercase handle'),
+    tagline: str,
+    jobTitle: str,
+    image: publicPath,
+    roles: list(str, { min: 1 }),
+    email: pattern(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'an email address'),
+    site: pattern(/^https:\/\/[^\s]+[^/]$/, 'an https URL without a trailing slash'),
+    source: url,
+    bio: list(str, { min: 1 }),
+    offline: list(str),
+  }),
+  socials: list(record({
+    label: pattern(/^[a-z]+$/, 'a lowercase label'),
+    icon: str,
+    href: pattern(/^(https?:\/\/|mailto:)[^\s]+$/, 'an http(s) or mailto: link'),
+  }), { min: 1, unique: 'label' }),
+  sections: list(record({
+    id: slug,
+    label: str,
+    icon: str,
+    summary: str,
+  }), { min: 1, unique: 'id' }),
+  skills: list(record({
+    name: str,
+    color: pattern(HEX_RE, 'a #rrggbb color'),
+  }), { unique: 'name' }),
+  projects: list(record({
+    slug,
+    name: str,
+    repo: pattern(/^[A-Za-z0-9._-]+$/, 'a GitHub repository name'),
+    desc: str,
+    description: str,
+    tech: list(str, { min: 1 }),
+    language: str,
+    live: nullable(url),
+    screenshot: nullable(publicPath),
+  }), { unique: 'slug' }),
+  artists: list(record({
+    slug,
+    name: str,
+    desc: str,
+    spotifyId: pattern(/^[A-Za-z0-9]{22}$/, 'a Spotify artist id'),
+    url,
+    img: publicPath,
+  }), { unique: 'slug' }),
+  movies: list(record({
+    slug,
+    name: str,
+    year: { type: 'integer', min: 1888 },
+    desc: str,
+    tmdbId: { type: 'integer', min: 1 },
+    url,
+    img: nullable(publicPath),
+  }), { unique: 'slug' }),
+  stats: list(record({
+    key: pattern(/^[a-z0-9_]+$/, 'a snake_case key'),
+    label: str,
+    value: str,
+    trivia: { type: 'boolean', optional: true },
+  }), { unique: 'key' }),
+});
+
+// ── Walker ────────────────────────────────────────────────
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+function check(value, spec, at, errors, publicDir) {
+  if (value === null && spec.nullable) return;
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${at}: expected a non-empty string, got ${typeOf(value)}`);
+      } else if (spec.pattern && (!spec.pattern.test(value) || (spec.valid && !spec.valid(value)))) {
+        errors.push(`${at}: "${value}" is not ${spec.what}`);
+      } else if (spec.pattern === PUBLIC_PATH_RE && publicDir &&
+                 !fs.existsSync(path.join(publicDir, value))) {
+        errors.push(`${at}: public${value} does not exist`);
+      }
+      return;
+
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`${at}: expected an integer, got ${typeOf(value)}`);
+      else if (spec.min !== undefined && value < spec.min) errors.push(`${at}: must be >= ${spec.min}`);
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${at}: expected a boolean, got ${typeOf(value)}`);
+      return;
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${at}: expected an array, got ${typeOf(value)}`);
+        return;
+      }
+      if (spec.min && value.length < spec.min) errors.push(`${at}: needs at least ${spec.min} entr${spec.min === 1 ? 'y' : 'ies'}`);
+      value.forEach((v, i) => check(v, spec.of, `${at}[${i}]`, errors, publicDir));
+      if (spec.unique) {
+        const seen = new Set();
+        value.forEach((v, i) => {
+          const key = v && v[spec.unique];
+          if (key === undefined) return;
+          if (seen.has(key)) errors.push(`${at}[${i}].${spec.unique}: duplicate "${key}"`);
+          seen.add(key);
+        });
+      }
+      return;
+    }
+
+    case 'object': {
+      if (typeOf(value) !== 'object') {
+        errors.push(`${at}: expected an object, got ${typeOf(value)}`);
+        return;
+      }
+      for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+        const where = at ? `${at}.${key}` : key;
+        if (!(key in value)) {
+          if (!fieldSpec.optional) errors.push(`${where}: missing`);
+          continue;
+        }
+        check(value[key], fieldSpec, where, errors, publicDir);
+      }
+      for (const key of Object.keys(value)) {
+        if (!(key in spec.fields)) errors.push(`${at ? `${at}.` : ''}${key}: unknown field`);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`validate-content: unknown schema type "${spec.type}"`);
+  }
+}
+
+/**
+ * Validate parsed portfolio content
+ * @param {Object} content - Parsed portfolio.json
+ * @param {Object} [opts]
+ * @param {string} [opts.publicDir] - When set, public/ paths must exist on disk
+ * @returns {string[]} Human-readable errors (empty when valid)
+ */
+function validateContent(content, { publicDir } = {}) {
+  const errors = [];
+  check(content, SCHEMA, '', errors, publicDir);
+
+  // Cross-field rules the schema can't express
+  const email = content?.profile?.email;
+  const mail = (content?.socials || []).find(s => s?.label === 'email');
+  if (email && mail && mail.href !== `mailto:${email}`) {
+    errors.push(`socials.email: "${mail.href}" does not match profile.email "${email}"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check any value against a schema built from the helpers above
+ * @param {*} value
+ * @param {Object} spec
+ * @param {string} [at] - Path prefix for messages
+ * @returns {string[]} Human-readable errors (empty when valid)
+ */
+function validate(value, spec, at = '') {
+  const errors = [];
+  check(value, spec, at, errors);
+  return errors;
+}
+
+/**
+ * Read, parse and validate the content file, throwing on any problem
+ * @param {string} [file] - Path to portfolio.json
+ * @returns {Object} Parsed content
+ */
+function loadContent(file = CONTENT_PATH) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateContent(content, { publicDir: path.join(__dirname, '..', 'public') });
+  if (errors.length) {
+    const err = new Error(`${path.relative(process.cwd(), file)} is invalid:\n  ${errors.join('\n  ')}`);
+    err.errors = errors;
+    throw err;
+  }
+  return content;
+}
+
+module.exports = {
+  validateContent,
+  validate,
+  loadContent,
+  schema: { str, nullable, pattern, list, record, slug, url },
+  CONTENT_PATH,
+};
+
+if (require.main === module) {
+  try {
+    const file = process.argv[2] ? path.resolve(process.argv[2]) : CONTENT_PATH;
+    const content = loadContent(file);
+    console.log(`✓ content ok (${content.projects.length} projects, ${content.sections.length} sections)`);
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -1,13 +1,18 @@
 import React, { Suspense, lazy } from 'react';
+import { Routes, Route } from 'react-router-dom';
 import ErrorBoundary from './components/ui/ErrorBoundary';
 
 const TUI = lazy(() => import('./components/sections/TUI'));
 
+// The TUI matches the path itself (see utils/routes), so one route keeps
+// it, and its shell session, mounted across navigation
 function App() {
   return (
     <ErrorBoundary>
       <Suspense fallback={null}>
-        <TUI />
+        <Routes>
+          <Route path="*" element={<TUI />} />
+        </Routes>
       </Suspense>
     </ErrorBoundary>
   );
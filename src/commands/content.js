@@ -0,0 +1,312 @@
+// ── Portfolio commands: about · whoami · skills · projects · notes · music · movies · stats · search · open
+import { PROFILE, SECTION_META, SKILLS, PROJECTS, NOTES, ARTISTS, MOVIES, STATS, displayHref } from '../content';
+import { registerCommands } from '../utils/commandRegistry';
+import { registerOperandType } from '../utils/completion';
+import { imageToAscii } from '../utils/ascii';
+import { markdownToLines } from '../utils/markdown';
+import { HOME } from '../utils/vfs';
+import { searchContent, groupResults } from '../utils/search';
+import { sectionHref, itemSlugs, matchRoute } from '../utils/routes';
+import { langColor } from '../constants/languages';
+import { GITHUB_USERNAME } from '../constants/github';
+import {
+  fetchActivity, contributionCalendar, monthLabels, weeklyCounts, sparkline, topLanguages,
+  HEAT_CHARS, HEAT_COLORS, SPARKLINE_WEEKS,
+} from '../utils/activity';
+import { L, S, R, ok, er, withNote, RULE, GITHUB, GITHUB_URL } from './output';
+
+const GROUP = 'about me';
+
+registerOperandType('project', () => PROJECTS.map(p => p.slug));
+// Sections, then a section's items once the word names it:
+// `projects/cr` → `projects/crave`
+registerOperandType('route', ({ word }) => {
+  const slash = word.indexOf('/');
+  if (slash < 0) return SECTION_META.flatMap(s => (itemSlugs(s.id).length ? [s.id, `${s.id}/`] : [s.id]));
+  const section = word.slice(0, slash);
+  return itemSlugs(section.toLowerCase()).map(slug => `${section}/${slug}`);
+});
+registerOperandType('note', () => NOTES.map(n => n.slug));
+
+const INDENT = `  ${''.padEnd(16)}`;
+
+// Name in bold, tech colored like the Projects list, links clickable
+const projectLines = (p) => {
+  const repo = `https://github.com/${GITHUB_USERNAME}/${p.repo}`;
+  return [
+    L(''),
+    R([S('  '), S(p.name.padEnd(16), { bold: true }), S(p.desc)]),
+    R([S(INDENT), ...p.tech.flatMap((t, i) => [
+      ...(i ? [S(' · ', { dim: true })] : []),
+      S(t, { color: langColor(t) }),
+    ])]),
+    R([
+      S(INDENT),
+      S(displayHref(repo), { href: repo, dim: true }),
+      ...(p.live ? [S('  ·  ', { dim: true }), S('live ↗', { href: p.live })] : []),
+    ]),
+  ];
+};
+
+// Title links to the note's panel (#/notes/<slug>)
+const noteLines = (n) => [
+  L(''),
+  R([S(`  ${n.date}  `, { dim: true }), S(n.title, { bold: true, href: sectionHref('notes', n.slug) })]),
+  L(`  ${''.padEnd(12)}${n.summary}`, { dim: true }),
+  R([S(`  ${''.padEnd(12)}`), S(`${n.readingTime} min`, { dim: true }), ...n.tags.map(t => S(`  #${t}`, { color: '#4ade80' }))]),
+];
+
+// ── search ───────────────────────────────────────────────
+
+const MATCH = { color: '#fbbf24', bold: true };
+
+// Spans for `text` with the matched ranges picked out
+const marked = (text, ranges, style = {}) => {
+  const spans = [];
+  let last = 0;
+  for (const [start, end] of ranges) {
+    if (start > last) spans.push(S(text.slice(last, start), style));
+    spans.push(S(text.slice(start, end), { ...style, ...MATCH }));
+    last = end;
+  }
+  if (last < text.length) spans.push(S(text.slice(last), style));
+  return spans;
+};
+
+// Titles link to the result's section or detail view
+const searchLines = (results) => groupResults(results).flatMap(({ section, results: hits }) => [
+  L(''),
+  L(section.label, { green: true }),
+  ...hits.flatMap(r => [
+    R([S('  '), ...marked(r.doc.title, r.titleRanges, { bold: true, href: r.href })]),
+    ...(r.snippet.text ? [R([S('    '), ...marked(r.snippet.text, r.snippet.ranges, { dim: true })])] : []),
+  ]),
+]);
+
+// ── stats --github ───────────────────────────────────────
+
+const WEEKDAYS = ['    ', 'Mon ', '    ', 'Wed ', '    ', 'Fri ', '    '];
+const LANG_BAR = 24;
+
+const heatSpan = (text, level) => S(text, level ? { color: HEAT_COLORS[level] } : { dim: true });
+
+// One heatmap row; runs of the same level share a span, empty days stay dim
+const heatRow = (days, label) => {
+  const runs = [];
+  for (const { level } of days) {
+    if (runs.length && runs[runs.length - 1].level === level) runs[runs.length - 1].text += HEAT_CHARS[level];
+    else runs.push({ level, text: HEAT_CHARS[level] });
+  }
+  return R([S(`  ${label}`, { dim: true }), ...runs.map(r => heatSpan(r.text, r.level))]);
+};
+
+function activityLines(activity) {
+  const { weeks, total } = contributionCalendar(activity.dates);
+  const months = Array(weeks.length + 2).fill(' ');
+  for (const { index, label } of monthLabels(weeks)) months.splice(index, label.length, ...label);
+  const nameWidth = Math.max(...activity.repos.map(r => r.name.length), 8) + 2;
+
+  return [
+    L('github activity', { green: true }),
+    L(RULE),
+    L(''),
+    L(`  ${total} commit${total === 1 ? '' : 's'} in the last year across ${activity.repos.length} repos`),
+    L(''),
+    L(`      ${months.join('').trimEnd()}`, { dim: true }),
+    ...WEEKDAYS.map((label, day) => heatRow(weeks.map(w => w[day]).filter(Boolean), label)),
+    R([S('      less ', { dim: true }), ...HEAT_CHARS.map(heatSpan), S(' more', { dim: true })]),
+    L(''),
+    L(`  commits, last ${SPARKLINE_WEEKS} weeks`, { dim: true }),
+    ...activity.repos.map(r => {
+      const counts = weeklyCounts(r.dates);
+      return R([
+        S(`  ${r.name.toLowerCase().padEnd(nameWidth)}`),
+        S(sparkline(counts), { color: HEAT_COLORS[4] }),
+        S(`  ${counts.reduce((n, c) => n + c, 0)}`, { dim: true }),
+      ]);
+    }),
+    ...(activity.languages.length ? [
+      L(''),
+      L('  languages', { dim: true }),
+      ...topLanguages(activity.languages).map(l => {
+        const filled = Math.max(1, Math.round(l.share * LANG_BAR));
+        return R([
+          S(`  ${l.name.toLowerCase().padEnd(nameWidth)}`),
+          S('█'.repeat(filled), { color: langColor(l.name) }),
+          S('░'.repeat(LANG_BAR - filled), { dim: true }),
+          S(`  ${(l.share * 100).toFixed(1).padStart(5)}%`, { dim: true }),
+        ]);
+      }),
+    ] : []),
+  ];
+}
+
+const githubLine = (prefix) => R([S(prefix), S(GITHUB, { href: GITHUB_URL })], { dim: true });
+
+registerCommands([
+  {
+    name: 'about',
+    group: GROUP,
+    description: 'who i am',
+    args: { operands: [] },
+    run: () => ok([
+      L(PROFILE.name.toLowerCase(), { green: true }),
+      L(RULE),
+      L(''),
+      ...PROFILE.bio.map(b => L(`  ${b}`)),
+      L(''),
+      L('  when not at the keyboard:'),
+      ...PROFILE.offline.map(o => L(`    → ${o}`)),
+      L(''),
+      githubLine('  '),
+    ]),
+  },
+  {
+    name: 'whoami',
+    group: GROUP,
+    description: 'print the current user',
+    args: { operands: [] },
+    run: () => ok([
+      L(PROFILE.name.toLowerCase()),
+      L(PROFILE.roles.join(' · '), { dim: true }),
+    ]),
+  },
+  {
+    name: 'skills',
+    group: GROUP,
+    description: 'tech stack',
+    args: { operands: [] },
+    run: () => ok([
+      L('skills', { green: true }),
+      L(RULE),
+      L(''),
+      ...SKILLS.map(s => L(`  ${s.name}`)),
+    ]),
+  },
+  {
+    name: 'projects',
+    group: GROUP,
+    description: 'what i\'ve built',
+    args: { operands: [{ name: 'project', type: 'project' }] },
+    run: ([slug]) => {
+      const shown = slug ? PROJECTS.filter(p => p.slug === slug.toLowerCase()) : PROJECTS;
+      if (!shown.length) return er(`projects: ${slug}: no such project`);
+      return ok([
+        L('projects', { green: true }),
+        L(RULE),
+        ...shown.flatMap(projectLines),
+        L(''),
+        githubLine('  → '),
+      ]);
+    },
+  },
+  {
+    name: 'notes',
+    aliases: ['blog'],
+    group: GROUP,
+    description: 'things i\'ve written',
+    args: { operands: [{ name: 'note', type: 'note' }] },
+    run: ([slug], { fs, isTTY }) => {
+      if (slug) {
+        const note = NOTES.find(n => n.slug === slug.toLowerCase().replace(/\.md$/, ''));
+        if (!note) return er(`notes: ${slug}: no such note`);
+        // Same text as `cat notes/<slug>.md`
+        const source = fs.readFile(`${HOME}/notes/${note.slug}.md`);
+        return ok(isTTY ? markdownToLines(source) : source.split('\n').map(t => L(t)));
+      }
+      if (!NOTES.length) return ok([L('notes: nothing written yet', { dim: true })]);
+      return ok([
+        L('notes', { green: true }),
+        L(RULE),
+        ...NOTES.flatMap(noteLines),
+        L(''),
+        L('  → cat notes/<slug>.md to read one', { dim: true }),
+      ]);
+    },
+  },
+  {
+    name: 'music',
+    aliases: ['artists'],
+    group: GROUP,
+    description: 'favorite artists  (loads ascii art)',
+    args: { operands: [] },
+    // Streams each artist as its art finishes rendering
+    run: async function* (argv, { signal }) {
+      yield [L('music', { green: true }), L(RULE)];
+      for (const a of ARTISTS) {
+        yield [L(''), L(`  ${a.name}`, { green: true }), L(`  ${a.desc}`, { dim: true }), L('')];
+        const rows = await imageToAscii(a.img, { signal });
+        yield [...rows.map(r => L(`  ${r}`)), L('')];
+      }
+      return ok([], 'celebrate');
+    },
+  },
+  {
+    name: 'movies',
+    aliases: ['films'],
+    group: GROUP,
+    description: 'favorite films    (loads ascii art)',
+    args: { operands: [] },
+    run: async function* (argv, { signal }) {
+      yield [L('movies', { green: true }), L(RULE)];
+      for (const m of MOVIES) {
+        yield [L(''), L(`  ${m.name}  (${m.year})`, { green: true }), L(`  ${m.desc}`, { dim: true }), L('')];
+        const rows = m.img ? await imageToAscii(m.img, { signal }) : [];
+        yield [...rows.map(r => L(`  ${r}`)), L('')];
+      }
+      return ok([], 'celebrate');
+    },
+  },
+  {
+    name: 'stats',
+    group: GROUP,
+    description: 'personal records and github activity',
+    args: { options: { '--github': 'contribution heatmap, commit sparklines and languages' } },
+    run: async (args, { signal }) => {
+      const unknown = args.find(a => a !== '--github');
+      if (unknown) return er(`stats: unrecognized option '${unknown}'`);
+      if (args.length) {
+        const activity = await fetchActivity({ signal });
+        return ok(withNote(activityLines(activity), activity), 'idle');
+      }
+      return ok([
+        L('stats', { green: true }),
+        L(RULE),
+        L(''),
+        ...STATS.filter(s => !s.trivia).map(s => L(`  ${s.label.padEnd(17)}${s.value}`)),
+        L(''),
+        ...STATS.filter(s => s.trivia).map(s => L(`  ${s.label.padEnd(17)}${s.value}`, { dim: true })),
+      ]);
+    },
+  },
+  {
+    name: 'search',
+    group: GROUP,
+    description: 'search everything on the site',
+    args: { operands: [{ name: 'term', required: true, variadic: true }] },
+    run: (terms) => {
+      const query = terms.join(' ');
+      const results = searchContent(query);
+      if (!results.length) return er(`search: no matches for '${query}'`);
+      return ok([
+        L(`${results.length} result${results.length === 1 ? '' : 's'} for '${query}'`, { dim: true }),
+        ...searchLines(results),
+      ], 'idle');
+    },
+  },
+  {
+    name: 'open',
+    group: GROUP,
+    description: 'switch the tui to a section or one of its items',
+    args: { operands: [{ name: 'path', type: 'route', required: true }] },
+    // Takes what the address bar would, with or without `#/`:
+    // `open projects/crave`. The terminal's host performs the switch
+    // (see useTerminal's onNavigate).
+    run: ([target]) => {
+      const [pathname, query] = target.replace(/^#?\/?/, '/').split('?');
+      const route = matchRoute(pathname.toLowerCase(), query ? `?${query}` : '');
+      if (!route) return er(`open: ${target}: no such section or item (sections: ${SECTION_META.map(s => s.id).join(', ')})`);
+      return { ...ok([], 'wave'), navigate: route };
+    },
+  },
+]);
@@ -0,0 +1,194 @@
+// ── Filesystem commands: ls · cd · pwd · cat · tree · find
+import { PROFILE } from '../content';
+import { globToRegExp } from '../utils/vfs';
+import { registerCommands } from '../utils/commandRegistry';
+import { completePath } from '../utils/completion';
+import { L, E, ok, er, fail, splitFlags } from './output';
+import { readInput } from './text';
+
+const GROUP = 'files';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const pad2 = (n) => String(n).padStart(2, '0');
+const lsDate = (d) => `${MONTHS[d.getMonth()]} ${String(d.getDate()).padStart(2)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+
+function formatEntries(entries, long, isTTY) {
+  const label = (e) => (e.node.type === 'dir' && !/(^\.\.?|\/)$/.test(e.name) ? `${e.name}/` : e.name);
+  if (long) {
+    return entries.map(e => {
+      const isDir = e.node.type === 'dir';
+      const size = isDir ? 4096 : e.node.content.length;
+      return L(
+        `${isDir ? 'drwxr-xr-x' : '-rw-r--r--'}  ${PROFILE.handle}  ${String(size).padStart(5)}  ${lsDate(e.node.mtime)}  ${label(e)}`,
+        { dim: isDir },
+      );
+    });
+  }
+  // One entry per line when piped, like the real thing
+  if (!isTTY) return entries.map(e => L(label(e)));
+  const files = entries.filter(e => e.node.type !== 'dir').map(label);
+  const dirs  = entries.filter(e => e.node.type === 'dir').map(label);
+  return [
+    ...(files.length ? [L(files.join('   '))] : []),
+    ...(dirs.length ? [L(dirs.join('   '), { dim: true })] : []),
+  ];
+}
+
+function drawTree(fs, path, cwd, prefix, all, counts) {
+  const entries = fs.readdir(path, cwd).filter(e => all || !e.name.startsWith('.'));
+  return entries.flatMap((e, i) => {
+    const last = i === entries.length - 1;
+    const isDir = e.node.type === 'dir';
+    counts[isDir ? 'dirs' : 'files']++;
+    const row = L(`${prefix}${last ? '└── ' : '├── '}${e.name}${isDir ? '/' : ''}`, { dim: isDir });
+    if (!isDir) return [row];
+    return [row, ...drawTree(fs, `${path}/${e.name}`, cwd, `${prefix}${last ? '    ' : '│   '}`, all, counts)];
+  });
+}
+
+registerCommands([
+  {
+    name: 'ls',
+    aliases: ['dir'],
+    group: GROUP,
+    description: 'list directory',
+    args: {
+      flags: { l: 'use a long listing format', a: 'include entries starting with .' },
+      operands: [{ name: 'path', type: 'path', variadic: true }],
+    },
+    run: (argv, { fs, cwd, isTTY }) => {
+      const { flags, operands } = splitFlags(argv);
+      const long = flags.includes('l');
+      const all  = flags.includes('a');
+      const targets = operands.length ? operands : ['.'];
+      const out = [];
+      let failed = false;
+
+      targets.forEach((t, i) => {
+        try {
+          const { node } = fs.stat(t, cwd);
+          if (node.type !== 'dir') {
+            out.push(...formatEntries([{ name: t, node }], long, isTTY));
+            return;
+          }
+          if (targets.length > 1 && isTTY) {
+            if (i) out.push(L(''));
+            out.push(L(`${t}:`, { dim: true }));
+          }
+          const entries = fs.readdir(t, cwd).filter(e => all || !e.name.startsWith('.'));
+          const dots = all ? [{ name: '.', node }, { name: '..', node: fs.stat(`${t}/..`, cwd).node }] : [];
+          out.push(...formatEntries([...dots, ...entries], long, isTTY));
+        } catch (e) {
+          out.push(E(`ls: ${e.message}`));
+          failed = true;
+        }
+      });
+      return failed ? fail(out) : ok(out);
+    },
+  },
+  {
+    name: 'cd',
+    group: GROUP,
+    description: 'change directory',
+    args: { operands: [{ name: 'dir', type: 'dir' }] },
+    run: ([target = '~'], { fs, cwd }) => {
+      try {
+        const { path, node } = fs.stat(target, cwd);
+        if (node.type !== 'dir') return er(`cd: ${target}: not a directory`);
+        return { lines: [], creatureHint: 'idle', cwd: path };
+      } catch (e) {
+        return er(`cd: ${e.message}`);
+      }
+    },
+  },
+  {
+    name: 'pwd',
+    group: GROUP,
+    description: 'print working directory',
+    args: { operands: [] },
+    run: (argv, { cwd }) => ok([L(cwd)]),
+  },
+  {
+    name: 'cat',
+    group: GROUP,
+    description: 'read a file',
+    args: { operands: [{ name: 'file', type: 'path', variadic: true }] },
+    // Remote files (project READMEs) are fetched on first read; markdown
+    // is rendered unless piped
+    run: async (files, ctx) => {
+      if (!files.length && !ctx.stdin) return er('cat: missing operand');
+      await Promise.all(files.map(f => ctx.fs.loadFile(f, ctx.cwd, { signal: ctx.signal }).catch(() => {})));
+      const { lines, errors } = readInput('cat', files, ctx, { markdown: ctx.isTTY });
+      return errors.length ? fail([...lines, ...errors]) : ok(lines);
+    },
+  },
+  {
+    name: 'tree',
+    group: GROUP,
+    description: 'directory tree',
+    args: {
+      flags: { a: 'include entries starting with .' },
+      operands: [{ name: 'dir', type: 'dir' }],
+    },
+    run: (argv, { fs, cwd }) => {
+      const { flags, operands } = splitFlags(argv);
+      const target = operands[0] || '.';
+      const counts = { dirs: 0, files: 0 };
+      try {
+        if (fs.stat(target, cwd).node.type !== 'dir') return er(`tree: ${target}: not a directory`);
+        const out = [L(target, { green: true }), ...drawTree(fs, target, cwd, '', flags.includes('a'), counts)];
+        out.push(L(''));
+        out.push(L(`${counts.dirs} director${counts.dirs === 1 ? 'y' : 'ies'}, ${counts.files} file${counts.files === 1 ? '' : 's'}`, { dim: true }));
+        return ok(out);
+      } catch (e) {
+        return er(`tree: ${e.message}`);
+      }
+    },
+  },
+  {
+    name: 'find',
+    group: GROUP,
+    description: 'search files',
+    usage: 'find [path ...] [-name pattern] [-type f|d]',
+    args: {
+      options: {
+        '-name <pattern>': 'base name matches the glob pattern',
+        '-type <f|d>': 'regular files (f) or directories (d) only',
+      },
+      operands: [{ name: 'path', type: 'dir', variadic: true }],
+    },
+    complete: ({ args, word, fs, cwd }) => {
+      const prev = args[args.length - 1];
+      if (prev === '-type') return ['f', 'd'];
+      if (prev === '-name') return [];
+      return completePath(word, { fs, cwd }, true);
+    },
+    run: (argv, { fs, cwd }) => {
+      const roots = [];
+      let name = null;
+      let type = null;
+      for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '-name') name = argv[++i] || '';
+        else if (argv[i] === '-type') type = argv[++i];
+        else if (argv[i].startsWith('-')) return er(`find: unknown predicate '${argv[i]}'`);
+        else roots.push(argv[i]);
+      }
+      if (type && type !== 'f' && type !== 'd') return er(`find: -type: unknown type '${type}'`);
+      const re = name ? globToRegExp(name) : null;
+      const out = [];
+      try {
+        for (const root of roots.length ? roots : ['.']) {
+          for (const e of fs.walk(root, cwd)) {
+            if (type === 'f' && e.node.type !== 'file') continue;
+            if (type === 'd' && e.node.type !== 'dir') continue;
+            if (re && !re.test(e.path.split('/').pop())) continue;
+            out.push(L(e.shown));
+          }
+        }
+      } catch (e) {
+        return er(`find: ${e.message}`);
+      }
+      return ok(out);
+    },
+  },
+]);
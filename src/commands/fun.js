@@ -0,0 +1,59 @@
+// ── Toys: ping · matrix · wave · spin · dance
+import { registerCommands } from '../utils/commandRegistry';
+import { L, ok } from './output';
+
+const GROUP = 'fun';
+
+registerCommands([
+  {
+    name: 'ping',
+    group: GROUP,
+    description: 'ping a host',
+    args: { operands: [{ name: 'host' }] },
+    run: ([host = 'localhost']) => ok([
+      L(`PING ${host}: 56 data bytes`),
+      L(`64 bytes: icmp_seq=0 ttl=64 time=0.42 ms`),
+      L(`64 bytes: icmp_seq=1 ttl=64 time=0.39 ms`),
+      L(`64 bytes: icmp_seq=2 ttl=64 time=0.41 ms`),
+      L(''),
+      L(`4 packets, 0% loss`, { dim: true }),
+    ]),
+  },
+  {
+    name: 'matrix',
+    group: GROUP,
+    description: 'follow the white rabbit',
+    run: () => ok([
+      L('wake up, neo...', { green: true }),
+      L(''),
+      L('01001000 01100101 01101100 01101100 01101111'),
+      L('11001010 00110101 10100011 01010110 11100010'),
+      L('00101010 11011001 01110100 10001101 00111011'),
+      L('10110100 01001101 11010010 00101011 10011100'),
+      L(''),
+      L('the matrix has you.', { dim: true }),
+    ], 'spin'),
+  },
+  {
+    name: 'wave',
+    group: GROUP,
+    description: 'say hi',
+    run: () => ok([L('👋')], 'wave'),
+  },
+  {
+    name: 'spin',
+    group: GROUP,
+    description: 'spin the creature',
+    run: () => ok([L('...', { dim: true })], 'spin'),
+  },
+  {
+    name: 'dance',
+    group: GROUP,
+    description: 'celebrate',
+    run: () => ok([
+      L('  \\o/   \\o/   \\o/'),
+      L('   |     |     |'),
+      L('  / \\   / \\   / \\'),
+    ], 'celebrate'),
+  },
+]);
@@ -0,0 +1,233 @@
+// ── git: log · show · status, backed by the GitHub commits API
+import { PROJECTS } from '../content';
+import { registerCommands } from '../utils/commandRegistry';
+import { fetchCommits, fetchCommit, getRelativeTime } from '../utils/github';
+import { SOURCE_REPO } from '../constants/github';
+import { PROJECT_REPOS } from '../constants/projects';
+import { toRegExp } from './text';
+import { L, S, R, ok, er, clock, withNote } from './output';
+
+const GROUP = 'git';
+
+// This site's repo first; `git log` with no repo reads it
+const REPOS = [SOURCE_REPO, ...PROJECT_REPOS];
+
+// Completion offers project slugs; repo names work too, in any case
+const REPO_NAMES = [SOURCE_REPO, ...PROJECTS.map(p => p.slug)];
+
+const SUBCOMMANDS = ['log', 'show', 'status'];
+const LOG_OPTIONS = ['--oneline', '-n', '--author', '--since'];
+
+// Repo name (any case) or project slug → repository name
+const findRepo = (name) => {
+  const lower = name.toLowerCase();
+  const project = PROJECTS.find(p => p.slug === lower);
+  return REPOS.find(r => r.toLowerCase() === lower) || (project && project.repo);
+};
+
+const fatal = (message) => Object.assign(new Error(message), { code: 'EGIT' });
+
+const unknownRevision = (arg) =>
+  fatal(`fatal: ambiguous argument '${arg}': unknown revision or path not in the working tree.`);
+
+// ── Arguments ─────────────────────────────────────────────
+
+const UNITS = {
+  second: 1000, minute: 60000, hour: 3600000, day: 86400000,
+  week: 604800000, month: 2592000000, year: 31536000000,
+};
+
+/**
+ * `--since` value → timestamp: ISO/absolute dates, `yesterday`, or
+ * approxidate-style `2 weeks ago` / `3.days`
+ * @param {string} value
+ * @returns {number} NaN when unparseable
+ */
+function parseSince(value) {
+  const v = value.trim().toLowerCase();
+  if (v === 'yesterday') return Date.now() - UNITS.day;
+  const m = /^(\d+)[.\s]*(second|minute|hour|day|week|month|year)s?(?:[.\s]+ago)?$/.exec(v);
+  if (m) return Date.now() - Number(m[1]) * UNITS[m[2]];
+  return Date.parse(value);
+}
+
+/**
+ * `git log` arguments: `-n 5`, `-n5`, `-5`, `--max-count=5`,
+ * `--author x` / `--author=x`, `--since x` / `--since=x` / `--after=x`,
+ * `--oneline` and an optional repo
+ */
+function parseLogArgs(args) {
+  const opts = { oneline: false, max: Infinity, author: null, since: null, repo: SOURCE_REPO };
+  const value = (i, name) => {
+    if (args[i] === undefined) throw fatal(`fatal: option '${name}' requires a value`);
+    return args[i];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    let m;
+    if (a === '--oneline') opts.oneline = true;
+    else if (a === '-n' || a === '--max-count') opts.max = Number(value(++i, a));
+    else if ((m = /^(?:-n|-|--max-count=)(\d+)$/.exec(a))) opts.max = Number(m[1]);
+    else if (a === '--author') opts.author = value(++i, a);
+    else if (a === '--since' || a === '--after') opts.since = value(++i, a);
+    else if ((m = /^--(author|since|after)=(.*)$/.exec(a))) opts[m[1] === 'author' ? 'author' : 'since'] = m[2];
+    else if (a.startsWith('-')) throw fatal(`fatal: unrecognized argument: ${a}`);
+    else if (findRepo(a)) opts.repo = findRepo(a);
+    else throw unknownRevision(a);
+  }
+
+  if (opts.max !== Infinity && !(Number.isInteger(opts.max) && opts.max >= 0)) throw fatal('fatal: invalid number of commits');
+  if (opts.since !== null) {
+    const since = parseSince(opts.since);
+    if (Number.isNaN(since)) throw fatal(`fatal: invalid date '${opts.since}'`);
+    opts.since = since;
+  }
+  return opts;
+}
+
+// `git show [sha] [repo]`, in either order
+function parseShowArgs(args) {
+  const opts = { ref: 'HEAD', repo: SOURCE_REPO };
+  for (const a of args) {
+    if (findRepo(a)) opts.repo = findRepo(a);
+    else if (/^[0-9a-f]{4,40}$/i.test(a) || a === 'HEAD') opts.ref = a;
+    else throw unknownRevision(a);
+  }
+  return opts;
+}
+
+// ── Output ────────────────────────────────────────────────
+
+const subject = (message) => message.split('\n')[0];
+
+// `Sun Oct 19 14:03:12 2026`, in local time like git
+const gitDate = (iso) => {
+  const d = new Date(iso);
+  return `${d.toDateString().slice(0, 10)} ${d.toTimeString().slice(0, 8)} ${d.getFullYear()}`;
+};
+
+const commitHeader = (c) => [
+  L(`commit ${c.sha}`, { green: true }),
+  L(`author ${c.author}${c.email ? ` <${c.email}>` : ''}`, { dim: true }),
+  L(`date   ${gitDate(c.date)}`, { dim: true }),
+  L(''),
+  ...c.message.trimEnd().split('\n').map(m => L(`    ${m}`)),
+];
+
+const STATUS_COLORS = { A: '#4ade80', D: '#f87171', M: '#fbbf24', R: '#60a5fa', C: '#60a5fa' };
+const STAT_WIDTH = 24;
+
+// `--stat`-style file list: status, name, change count and a +/- bar
+function fileLines(files) {
+  const nameWidth = Math.max(...files.map(f => f.filename.length));
+  const most = Math.max(...files.map(f => f.additions + f.deletions), 1);
+  const scale = (n) => Math.round((n * Math.min(most, STAT_WIDTH)) / most);
+  const added = files.reduce((n, f) => n + f.additions, 0);
+  const deleted = files.reduce((n, f) => n + f.deletions, 0);
+
+  return [
+    ...files.map(f => R([
+      S(` ${f.status}  `, { color: STATUS_COLORS[f.status] }),
+      S(`${f.filename.padEnd(nameWidth)} | ${String(f.additions + f.deletions).padStart(4)} `),
+      S('+'.repeat(scale(f.additions)), { color: STATUS_COLORS.A }),
+      S('-'.repeat(scale(f.deletions)), { color: STATUS_COLORS.D }),
+    ])),
+    L(` ${files.length} file${files.length === 1 ? '' : 's'} changed, ${added} insertion${added === 1 ? '' : 's'}(+), ${deleted} deletion${deleted === 1 ? '' : 's'}(-)`, { dim: true }),
+  ];
+}
+
+/** Fetch errors → git-style messages */
+function gitError(e, repo, ref) {
+  if (e.code === 'EGIT') return er(e.message);
+  if (e.status === 404 && ref) return er(`fatal: bad object ${ref}`);
+  if (e.status === 404) return er(`fatal: repository '${repo}' not found`);
+  if (e.status === 422) return er(`fatal: bad object ${ref}`);
+  if (e.rateLimited) return er(`fatal: unable to access '${repo}': github rate limit exceeded, resets at ${clock(e.resetAt)}`);
+  return er(`fatal: unable to access '${repo}': ${e.status ? `the requested URL returned error: ${e.status}` : 'could not connect to github'}`);
+}
+
+// ── Subcommands ───────────────────────────────────────────
+
+async function log(args, signal) {
+  const opts = parseLogArgs(args);
+  const res = await fetchCommits(opts.repo, { signal });
+  const author = opts.author !== null && toRegExp(opts.author, '');
+  const shown = res.commits
+    .filter(c => !author || author.test(`${c.author} <${c.email}>`))
+    .filter(c => opts.since === null || Date.parse(c.date) >= opts.since)
+    .slice(0, opts.max);
+
+  const lines = opts.oneline
+    ? shown.map(c => L(`${c.sha.slice(0, 7)}  ${subject(c.message)}`))
+    : shown.flatMap((c, i) => [...(i ? [L('')] : []), ...commitHeader(c)]);
+  return ok(withNote(lines, res), 'idle');
+}
+
+async function show(args, signal) {
+  const opts = parseShowArgs(args);
+  try {
+    const res = await fetchCommit(opts.repo, opts.ref, { signal });
+    const { commit } = res;
+    const files = commit.files
+      ? (commit.files.length ? fileLines(commit.files) : [L(' no files changed', { dim: true })])
+      : [L(' (file list not in the snapshot)', { dim: true })];
+    return ok(withNote([...commitHeader(commit), L(''), ...files], res), 'idle');
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    return gitError(e, opts.repo, opts.ref);
+  }
+}
+
+async function status(args, signal) {
+  if (args.length > 1) throw fatal(`fatal: too many arguments`);
+  const repo = args.length ? findRepo(args[0]) : SOURCE_REPO;
+  if (!repo) throw unknownRevision(args[0]);
+
+  const res = await fetchCommits(repo, { signal });
+  const head = res.commits[0];
+  const name = res.branch || 'main';
+  return ok(withNote([
+    L(`on branch ${name}`),
+    L(`up to date with 'origin/${name}'`),
+    ...(head ? [L(''), L(`head   ${head.sha.slice(0, 7)}  ${subject(head.message)}  (${getRelativeTime(head.date).toLowerCase()})`, { dim: true })] : []),
+    L(''),
+    L('nothing to commit, working tree clean', { green: true }),
+  ], res));
+}
+
+const SUBCOMMAND_RUNNERS = { log, show, status };
+
+registerCommands([
+  {
+    name: 'git',
+    group: GROUP,
+    description: 'commit history, commits and repo status',
+    usage: 'git log [--oneline] [-n <num>] [--author <pattern>] [--since <date>] [repo]\n'
+      + '       git show [sha] [repo]\n'
+      + '       git status [repo]',
+    args: {
+      options: {
+        '--oneline': 'log: one line per commit',
+        '-n <num>': 'log: show at most <num> commits; -<num> also works',
+        '--author <pattern>': 'log: commits whose author matches <pattern>',
+        '--since <date>': "log: commits after <date> ('2024-01-01', '2 weeks ago')",
+      },
+    },
+    complete: ({ index, args, word }) => {
+      if (index === 0) return SUBCOMMANDS;
+      if (args[0] === 'log') return word.startsWith('-') ? LOG_OPTIONS : REPO_NAMES;
+      return args[0] === 'show' || args[0] === 'status' ? REPO_NAMES : [];
+    },
+    run: async ([sub, ...rest], { signal }) => {
+      const runner = SUBCOMMAND_RUNNERS[sub];
+      if (!runner) return er(`git: '${sub || ''}' is not a git command`);
+      try {
+        return await runner(rest, signal);
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        return gitError(e, rest.map(findRepo).find(Boolean) || SOURCE_REPO);
+      }
+    },
+  },
+]);
@@ -0,0 +1,14 @@
+// ========================================
+// BUILT-IN COMMANDS
+// ========================================
+//
+// Importing this module registers every built-in terminal command with
+// utils/commandRegistry. Each file owns one `help` group.
+// ========================================
+
+import './content';
+import './files';
+import './text';
+import './git';
+import './system';
+import './fun';
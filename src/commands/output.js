@@ -0,0 +1,44 @@
+// ── Line builders shared by every command ────────────────
+import { SOCIALS, displayHref } from '../content';
+
+/** Output line: `{ text, green?, dim?, stderr? }` */
+export const L  = (text, opts = {}) => ({ text, ...opts });
+/** Line written to stderr (never piped) */
+export const E  = (text) => L(text, { stderr: true });
+export const ok = (lines, hint = 'celebrate') => ({ lines, creatureHint: hint, status: 0 });
+export const er = (text) => ({ lines: [E(text)], creatureHint: 'error', status: 1 });
+export const fail = (lines) => ({ lines, creatureHint: 'error', status: 1 });
+
+/** Styled span: `{ text, color?, bold?, underline?, dim?, href? }` (see utils/ansi) */
+export const S = (text, style = {}) => ({ text, ...style });
+/** Rich line from spans; `text` stays the plain string for pipes */
+export const R = (spans, opts = {}) => ({ text: spans.map(s => s.text).join(''), spans, ...opts });
+/** Copy of a line with new text, dropping spans that no longer match it */
+export const withText = ({ spans, ...line }, text) => ({ ...line, text });
+
+export const clock = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Say where GitHub data that isn't live came from. On stderr, so pipes
+ * like `git log --oneline | wc -l` only count the data.
+ * @param {Object[]} lines
+ * @param {{ cachedAt?: number|null, snapshotAt?: string|null }} source
+ * @returns {Object[]}
+ */
+export function withNote(lines, { cachedAt, snapshotAt }) {
+  const note = snapshotAt
+    ? `(github unreachable — showing the build snapshot from ${snapshotAt.slice(0, 10)})`
+    : cachedAt && `(github unavailable — showing data cached at ${clock(cachedAt)})`;
+  return note ? [...lines, { ...E(note), dim: true }] : lines;
+}
+
+export const RULE = '─────────────────────────────────────';
+export const GITHUB_URL = SOCIALS.find(s => s.label === 'github').href;
+export const GITHUB = displayHref(GITHUB_URL);
+
+// `-la -h foo` → { flags: ['l', 'a', 'h'], operands: ['foo'] }
+export const splitFlags = (argv) => argv.reduce((acc, a) => {
+  if (a.length > 1 && a.startsWith('-')) acc.flags.push(...a.slice(1));
+  else acc.operands.push(a);
+  return acc;
+}, { flags: [], operands: [] });
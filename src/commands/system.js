@@ -0,0 +1,234 @@
+// ── Shell built-ins: help · man · history · keymap · date · clear · sudo · exit
+import { registerCommands, listCommands, getCommand, formatUsage } from '../utils/commandRegistry';
+import { getKeymapSettings, updateKeymapSettings, resolveKeymap, formatKeys } from '../utils/keymap';
+import { KEY_SCOPES, KEY_ACTIONS, KEYMAP_PRESETS } from '../constants/keymap';
+import { L, ok, er, splitFlags } from './output';
+
+const GROUP = 'system';
+
+// Order `help` prints groups in; unknown groups follow alphabetically
+const GROUP_ORDER = ['about me', 'files', 'text', 'git', 'system', 'fun'];
+
+// ── Manual pages ──────────────────────────────────────────
+const MAN_WIDTH = 58;
+
+const manHeader = (title) => {
+  const tag = `${title.toUpperCase()}(1)`;
+  const gap = MAN_WIDTH - tag.length * 2 - 'User Commands'.length;
+  const left = Math.max(Math.floor(gap / 2), 1);
+  return L(`${tag}${' '.repeat(left)}User Commands${' '.repeat(Math.max(gap - left, 1))}${tag}`, { dim: true });
+};
+
+const manSection = (title, body) => [L(title, { green: true }), ...body.map(b => L(`       ${b}`)), L('')];
+
+// Pages that aren't commands
+const EXTRA_PAGES = {
+  rohith: () => [
+    manHeader('rohith'),
+    L(''),
+    ...manSection('NAME', ['rohith illuri — self-taught developer']),
+    ...manSection('SYNOPSIS', ['rohith [--coffee 3] [--music ac-dc] [--lift heavy]']),
+    ...manSection('DESCRIPTION', [
+      'builds uis. writes clean code. ships things.',
+      'passionate about physics, space, and performance.',
+    ]),
+    L('BUGS', { green: true }),
+    L('       talks too much about terminal aesthetics.', { dim: true }),
+  ],
+};
+
+function manPage(def) {
+  const { flags = {}, options = {} } = def.args || {};
+  const opts = [
+    ...Object.keys(flags).sort().map(f => `-${f.padEnd(14)} ${flags[f]}`),
+    ...Object.entries(options).map(([o, d]) => `${o.padEnd(15)} ${d}`),
+  ];
+  const lines = [
+    manHeader(def.name),
+    L(''),
+    ...manSection('NAME', [`${def.name} — ${def.description}`]),
+    ...manSection('SYNOPSIS', [formatUsage(def)]),
+    ...(opts.length ? manSection('OPTIONS', opts) : []),
+    ...(def.aliases && def.aliases.length ? manSection('ALIASES', [def.aliases.join(', ')]) : []),
+  ];
+  lines.pop();
+  return lines;
+}
+
+// ── help ──────────────────────────────────────────────────
+function helpLines() {
+  const groups = new Map();
+  for (const def of listCommands()) {
+    const g = def.group || 'other';
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(def);
+  }
+  const rank = (g) => (GROUP_ORDER.includes(g) ? GROUP_ORDER.indexOf(g) : GROUP_ORDER.length);
+  const ordered = [...groups.keys()].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+  return [
+    L('available commands', { green: true }),
+    ...ordered.flatMap(g => [
+      L(''),
+      L(`  ${g}`, { dim: true }),
+      ...groups.get(g).map(def => L(`  ${def.name.padEnd(10)}  ${def.description}`)),
+    ]),
+    L(''),
+    L('  cmd1 | cmd2 · cmd1 && cmd2 · cmd1 ; cmd2 · cmd > file', { dim: true }),
+    L("  help <command> for usage · man <command> for details", { dim: true }),
+  ];
+}
+
+// ── keymap ────────────────────────────────────────────────
+const KEYMAP_SUBCOMMANDS = ['presets', 'use', 'set', 'reset'];
+
+const showKeys = (keys) => keys.map(k => formatKeys(k).join(' ')).join(' / ');
+
+function keymapLines() {
+  const settings = getKeymapSettings();
+  const keymap = resolveKeymap(settings);
+  return [
+    L(`keymap: ${settings.preset}`, { green: true }),
+    ...KEY_SCOPES.flatMap(scope => {
+      const actions = KEY_ACTIONS.filter(a => a.scope === scope.id && (keymap[a.id] || []).length);
+      return [
+        L(''),
+        L(`  ${scope.label}`, { dim: true }),
+        ...actions.map(a => L(`${settings.overrides[a.id] ? '* ' : '  '}${a.id.padEnd(22)} ${showKeys(keymap[a.id])}`)),
+      ];
+    }),
+    L(''),
+    L('  * your own keys · keymap use <preset> · keymap set <action> <keys>...', { dim: true }),
+  ];
+}
+
+const KEYMAP_RUNNERS = {
+  presets: () => {
+    const { preset } = getKeymapSettings();
+    return ok(KEYMAP_PRESETS.map(p => L(`${p.id === preset ? '* ' : '  '}${p.id.padEnd(9)} ${p.description}`)));
+  },
+  use: ([id]) => {
+    if (!KEYMAP_PRESETS.some(p => p.id === id)) return er(`keymap: unknown preset '${id || ''}'`);
+    updateKeymapSettings({ preset: id });
+    return ok([L(`keymap: using ${id}`)]);
+  },
+  set: ([action, ...keys]) => {
+    if (!KEY_ACTIONS.some(a => a.id === action)) return er(`keymap: unknown action '${action || ''}'`);
+    const bound = keys.map(k => k.trim()).filter(Boolean);
+    if (!bound.length) return er('keymap: set: keys required, e.g. keymap set scroll.down j "g j"');
+    const { overrides } = getKeymapSettings();
+    updateKeymapSettings({ overrides: { ...overrides, [action]: bound } });
+    return ok([L(`keymap: ${action} → ${showKeys(bound)}`)]);
+  },
+  reset: ([action]) => {
+    const { overrides } = getKeymapSettings();
+    if (!action) {
+      updateKeymapSettings({ overrides: {} });
+      return ok([L('keymap: your keys are cleared')]);
+    }
+    if (!overrides[action]) return er(`keymap: ${action}: not overridden`);
+    const { [action]: dropped, ...rest } = overrides;
+    const settings = updateKeymapSettings({ overrides: rest });
+    return ok([L(`keymap: ${action} → ${showKeys(resolveKeymap(settings)[action] || []) || '(unbound)'}`)]);
+  },
+};
+
+registerCommands([
+  {
+    name: 'help',
+    group: GROUP,
+    description: 'list commands',
+    args: { operands: [{ name: 'command', type: 'command' }] },
+    run: ([name]) => {
+      if (!name) return ok(helpLines());
+      const def = getCommand(name);
+      if (!def) return er(`help: no help topics match '${name}'`);
+      return ok([L(`usage: ${formatUsage(def)}`), L(`  ${def.description}`, { dim: true })]);
+    },
+  },
+  {
+    name: 'man',
+    group: GROUP,
+    description: 'manual pages',
+    args: { operands: [{ name: 'page', type: 'command', required: true }] },
+    complete: () => [...listCommands().map(c => c.name), ...Object.keys(EXTRA_PAGES)],
+    run: ([page]) => {
+      const key = page.toLowerCase();
+      if (EXTRA_PAGES[key]) return ok(EXTRA_PAGES[key]());
+      const def = getCommand(key);
+      if (!def) return er(`no manual entry for '${page}'`);
+      return ok(manPage(def));
+    },
+  },
+  {
+    name: 'history',
+    group: GROUP,
+    description: 'command history  (!! · !n · !prefix · ctrl+r)',
+    args: {
+      flags: { c: 'clear the history list' },
+      operands: [{ name: 'n' }],
+    },
+    run: (argv, { history = [] }) => {
+      const { flags, operands } = splitFlags(argv);
+      if (flags.includes('c')) return { lines: [], creatureHint: 'spin', status: 0, clearHistory: true };
+
+      const count = operands.length ? Number(operands[0]) : history.length;
+      if (!Number.isInteger(count) || count < 0) return er(`history: ${operands[0]}: numeric argument required`);
+      if (!history.length) return ok([L('(empty)', { dim: true })]);
+
+      // Oldest first, numbered so `!n` re-runs entry n
+      const shown = history.slice(0, count).reverse();
+      const first = history.length - shown.length + 1;
+      return ok(shown.map((h, i) => L(`  ${String(first + i).padStart(3)}  ${h}`, { dim: true })));
+    },
+  },
+  {
+    name: 'keymap',
+    group: GROUP,
+    description: 'keyboard shortcuts: presets and your own keys',
+    usage: 'keymap [presets]\n'
+      + '       keymap use <preset>\n'
+      + '       keymap set <action> <keys>...\n'
+      + '       keymap reset [action]',
+    complete: ({ index, args }) => {
+      if (index === 0) return KEYMAP_SUBCOMMANDS;
+      if (index === 1 && args[0] === 'use') return KEYMAP_PRESETS.map(p => p.id);
+      if (index === 1 && (args[0] === 'set' || args[0] === 'reset')) return KEY_ACTIONS.map(a => a.id);
+      return [];
+    },
+    run: ([sub, ...rest]) => {
+      if (!sub) return ok(keymapLines());
+      const runner = KEYMAP_RUNNERS[sub];
+      if (!runner) return er(`keymap: '${sub}' is not a keymap command`);
+      return runner(rest);
+    },
+  },
+  {
+    name: 'date',
+    group: GROUP,
+    description: 'current time',
+    args: { operands: [] },
+    run: () => ok([L(new Date().toString())]),
+  },
+  {
+    name: 'clear',
+    aliases: ['cls'],
+    group: GROUP,
+    description: 'clear screen',
+    args: { operands: [] },
+    run: () => ({ lines: [], clear: true, creatureHint: 'spin', status: 0 }),
+  },
+  {
+    name: 'sudo',
+    hidden: true,
+    description: 'run a command as root',
+    run: () => er('permission denied.'),
+  },
+  {
+    name: 'exit',
+    aliases: ['logout'],
+    hidden: true,
+    description: 'leave the shell',
+    run: () => ok([L('there is no escape.', { dim: true })], 'wave'),
+  },
+]);
@@ -0,0 +1,184 @@
+// ── Text processing (files or stdin): echo · grep · head · tail · wc · sort · uniq
+import { registerCommands } from '../utils/commandRegistry';
+import { markdownToLines } from '../utils/markdown';
+import { L, E, ok, er, fail, splitFlags, withText } from './output';
+
+const GROUP = 'text';
+
+/**
+ * Lines to process: the named files, or stdin when there are none.
+ * Unreadable files become stderr lines. With `markdown`, `.md` files
+ * come back rendered (see utils/markdown).
+ */
+export function readInput(name, files, { fs, cwd, stdin }, { markdown = false } = {}) {
+  if (!files.length) return { lines: stdin || [], errors: [] };
+  const lines = [];
+  const errors = [];
+  for (const f of files) {
+    try {
+      const content = fs.readFile(f, cwd);
+      if (markdown && /\.md$/i.test(f)) {
+        lines.push(...markdownToLines(content, { resolveUrl: fs.stat(f, cwd).node.resolveUrl }));
+      } else {
+        content.split('\n').forEach(t => lines.push(L(t, { file: f })));
+      }
+    } catch (e) {
+      errors.push(E(`${name}: ${e.message}`));
+    }
+  }
+  return { lines, errors };
+}
+
+// `-n 5`, `-n5` and `-5` → 5
+function countArg(argv, fallback = 10) {
+  let count = fallback;
+  const files = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-n') count = parseInt(argv[++i], 10);
+    else if (/^-n\d+$/.test(a)) count = parseInt(a.slice(2), 10);
+    else if (/^-\d+$/.test(a)) count = parseInt(a.slice(1), 10);
+    else files.push(a);
+  }
+  return { count, files };
+}
+
+// Invalid patterns match literally rather than failing
+export const toRegExp = (pattern, flags) => {
+  try {
+    return new RegExp(pattern, flags);
+  } catch {
+    return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+  }
+};
+
+const FILES = { name: 'file', type: 'path', variadic: true };
+
+const ESCAPES = { e: '\x1b', '033': '\x1b', x1b: '\x1b', n: '\n', t: '\t', '\\': '\\' };
+
+const slice = (name, description, pick) => ({
+  name,
+  group: GROUP,
+  description,
+  args: {
+    options: { '-n <num>': 'number of lines (default 10); -<num> also works' },
+    operands: [FILES],
+  },
+  run: (argv, ctx) => {
+    const { count, files } = countArg(argv);
+    if (!Number.isInteger(count) || count < 0) return er(`${name}: invalid number of lines`);
+    const { lines, errors } = readInput(name, files, ctx);
+    const picked = pick(lines, count);
+    return errors.length ? fail([...picked, ...errors]) : ok(picked, 'idle');
+  },
+});
+
+registerCommands([
+  {
+    name: 'echo',
+    group: GROUP,
+    description: 'echo text',
+    usage: 'echo [-e] [text ...]',
+    // -e interprets \n, \t, \\ and \e / \033 / \x1b, so ANSI colors can be echoed
+    run: (argv) => {
+      if (argv[0] !== '-e') return ok([L(argv.join(' '))], 'wave');
+      const text = argv.slice(1).join(' ').replace(/\\(e|033|x1b|n|t|\\)/g, (m, c) => ESCAPES[c]);
+      return ok(text.split('\n').map(t => L(t)), 'wave');
+    },
+  },
+  {
+    name: 'grep',
+    group: GROUP,
+    description: 'print lines matching a pattern',
+    args: {
+      flags: {
+        i: 'ignore case',
+        c: 'print only a count of matching lines',
+        n: 'prefix each line with its line number',
+        v: 'select non-matching lines',
+      },
+      operands: [{ name: 'pattern', required: true }, FILES],
+    },
+    run: (argv, ctx) => {
+      const { flags, operands } = splitFlags(argv);
+      const [pattern, ...files] = operands;
+      const re = toRegExp(pattern, flags.includes('i') ? 'i' : '');
+      const invert = flags.includes('v');
+      const { lines, errors } = readInput('grep', files, ctx);
+      const matches = [];
+      lines.forEach((l, i) => {
+        if (re.test(l.text) === invert) return;
+        const prefix = `${files.length > 1 ? `${l.file}:` : ''}${flags.includes('n') ? `${i + 1}:` : ''}`;
+        matches.push(prefix ? withText(l, prefix + l.text) : l);
+      });
+      const out = flags.includes('c') ? [L(String(matches.length))] : matches;
+      // grep exits 1 when nothing matched
+      return { lines: [...out, ...errors], creatureHint: matches.length ? 'celebrate' : 'idle', status: errors.length ? 2 : matches.length ? 0 : 1 };
+    },
+  },
+  slice('head', 'first lines of input', (lines, n) => lines.slice(0, n)),
+  slice('tail', 'last lines of input', (lines, n) => lines.slice(Math.max(lines.length - n, 0))),
+  {
+    name: 'wc',
+    group: GROUP,
+    description: 'count lines, words and characters',
+    args: {
+      flags: { l: 'lines', w: 'words', c: 'characters' },
+      operands: [FILES],
+    },
+    run: (argv, ctx) => {
+      const { flags, operands } = splitFlags(argv);
+      const { lines, errors } = readInput('wc', operands, ctx);
+      const text = lines.map(l => l.text).join('\n');
+      const counts = {
+        l: lines.length,
+        w: text.split(/\s+/).filter(Boolean).length,
+        c: text.length,
+      };
+      const shown = ['l', 'w', 'c'].filter(f => !flags.length || flags.includes(f));
+      const row = shown.map(f => String(counts[f]).padStart(7)).join(' ');
+      return errors.length ? fail([L(row), ...errors]) : ok([L(row)], 'idle');
+    },
+  },
+  {
+    name: 'sort',
+    group: GROUP,
+    description: 'sort lines',
+    args: {
+      flags: { n: 'compare numerically', r: 'reverse the result', u: 'drop duplicate lines' },
+      operands: [FILES],
+    },
+    run: (argv, ctx) => {
+      const { flags, operands } = splitFlags(argv);
+      const { lines, errors } = readInput('sort', operands, ctx);
+      const numeric = flags.includes('n');
+      let sorted = [...lines].sort((a, b) => (numeric
+        ? (parseFloat(a.text) || 0) - (parseFloat(b.text) || 0)
+        : a.text.localeCompare(b.text)));
+      if (flags.includes('r')) sorted.reverse();
+      if (flags.includes('u')) sorted = sorted.filter((l, i) => !i || l.text !== sorted[i - 1].text);
+      return errors.length ? fail([...sorted, ...errors]) : ok(sorted, 'idle');
+    },
+  },
+  {
+    name: 'uniq',
+    group: GROUP,
+    description: 'collapse repeated adjacent lines',
+    args: {
+      flags: { c: 'prefix lines with their number of occurrences' },
+      operands: [FILES],
+    },
+    run: (argv, ctx) => {
+      const { flags, operands } = splitFlags(argv);
+      const { lines, errors } = readInput('uniq', operands, ctx);
+      const runs = [];
+      for (const l of lines) {
+        const prev = runs[runs.length - 1];
+        if (prev && prev.line.text === l.text) prev.count++;
+        else runs.push({ line: l, count: 1 });
+      }
+      const out = runs.map(r => (flags.includes('c') ? withText(r.line, `${String(r.count).padStart(7)} ${r.line.text}`) : r.line));
+      return errors.length ? fail([...out, ...errors]) : ok(out, 'idle');
+    },
+  },
+]);
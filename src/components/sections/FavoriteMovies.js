@@ -1,5 +1,5 @@
 import React, { memo } from 'react';
-import { FAVORITE_MOVIES } from '../../constants/tmdb';
+import { MOVIES } from '../../content';
 
 const FavoriteMovies = () => (
   <section id="favorite-movies" aria-label="Favorite Movies" style={{ marginBottom: '0.5rem' }}>
@@ -9,10 +9,10 @@ const FavoriteMovies = () => (
         <span className="term-command">cat movies.txt</span>
       </div>
       <div className="term-output">
-        {FAVORITE_MOVIES.map((movie, i) => (
+        {MOVIES.map((movie, i) => (
           <a
-            key={movie.id}
-            href={movie.tmdbUrl}
+            key={movie.slug}
+            href={movie.url}
             target="_blank"
             rel="noopener noreferrer"
             className="term-list-item"
@@ -30,7 +30,7 @@ const FavoriteMovies = () => (
             </span>
             <span style={{ color: '#444' }}>─</span>
             <span style={{ color: '#6b6b6b', fontSize: '0.78rem', flex: 1 }}>
-              {movie.description}
+              {movie.desc}
             </span>
             <span style={{ color: '#2a2a2a', fontSize: '0.7rem', flexShrink: 0 }}>↗</span>
           </a>
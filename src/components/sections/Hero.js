@@ -1,4 +1,5 @@
 import React, { memo } from 'react';
+import { PROFILE, SOCIALS } from '../../content';
 
 const SocialLink = ({ href, label, icon }) => (
   <a
@@ -24,9 +25,9 @@ const Hero = () => (
       </div>
       <div className="term-output">
         <p style={{ color: '#e4e4e4', fontSize: '1.1rem', fontWeight: 600, marginBottom: '2px' }}>
-          rohith illuri
+          {PROFILE.name.toLowerCase()}
         </p>
-        <p style={{ color: '#6b6b6b', fontSize: '0.78rem' }}>self-taught developer</p>
+        <p style={{ color: '#6b6b6b', fontSize: '0.78rem' }}>{PROFILE.tagline}</p>
       </div>
     </div>
 
@@ -37,9 +38,9 @@ const Hero = () => (
         <span className="term-command">cat about.txt</span>
       </div>
       <div className="term-output" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
-        <p style={{ color: '#e4e4e4', margin: 0 }}>self-taught developer by shipping things on the internet</p>
-        <p style={{ color: '#e4e4e4', margin: 0 }}>into tech and physics – things that shape the universe</p>
-        <p style={{ color: '#e4e4e4', margin: 0 }}>fascinated by space, science, and ideas that expand the mind</p>
+        {PROFILE.bio.map(line => (
+          <p key={line} style={{ color: '#e4e4e4', margin: 0 }}>{line}</p>
+        ))}
       </div>
     </div>
 
@@ -51,11 +52,9 @@ const Hero = () => (
       </div>
       <div className="term-output">
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-          <SocialLink href="https://twitter.com/notforgrind"          label="twitter"  icon="𝕏" />
-          <SocialLink href="https://linkedin.com/in/sree-naga-illuri" label="linkedin" icon="in" />
-          <SocialLink href="https://github.com/rohithIlluri"          label="github"   icon="gh" />
-          <SocialLink href="https://discord.com/users/tars9791"       label="discord"  icon="dc" />
-          <SocialLink href="mailto:rohith.illuri@gmail.com"           label="email"    icon="@" />
+          {SOCIALS.map(s => (
+            <SocialLink key={s.label} href={s.href} label={s.label} icon={s.icon} />
+          ))}
         </div>
       </div>
     </div>
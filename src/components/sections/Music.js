@@ -1,5 +1,5 @@
 import React, { memo } from 'react';
-import { MUSIC_ARTISTS } from '../../constants/spotify';
+import { ARTISTS } from '../../content';
 
 const Music = () => (
   <section id="music" aria-label="Music" style={{ marginBottom: '0.5rem' }}>
@@ -9,10 +9,10 @@ const Music = () => (
         <span className="term-command">cat music.txt</span>
       </div>
       <div className="term-output">
-        {MUSIC_ARTISTS.map((artist, i) => (
+        {ARTISTS.map((artist, i) => (
           <a
-            key={artist.id}
-            href={artist.spotifyUrl}
+            key={artist.slug}
+            href={artist.url}
             target="_blank"
             rel="noopener noreferrer"
             className="term-list-item"
@@ -27,7 +27,7 @@ const Music = () => (
             </span>
             <span style={{ color: '#444' }}>─</span>
             <span style={{ color: '#6b6b6b', fontSize: '0.78rem', flex: 1 }}>
-              {artist.description}
+              {artist.desc}
             </span>
             <span style={{ color: '#2a2a2a', fontSize: '0.7rem', flexShrink: 0 }}>↗</span>
           </a>
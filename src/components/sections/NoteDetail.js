@@ -0,0 +1,41 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Markdown from '../ui/Markdown';
+import { NOTES } from '../../content';
+import { sectionPath } from '../../utils/routes';
+
+/**
+ * One note: title, date, reading time, tags and the rendered body, with
+ * links to its neighbours. Reached at #/notes/<slug>.
+ * @param {{ note: import('../../content').Note }} props
+ */
+export default function NoteDetail({ note }) {
+  const index = NOTES.indexOf(note);
+  const newer = NOTES[index - 1];
+  const older = NOTES[index + 1];
+
+  return (
+    <article className="tui-note-detail" aria-labelledby="note-title">
+      <Link to={sectionPath('notes')} className="tui-back tui-dim">← notes</Link>
+
+      <header className="tui-note-header">
+        <h3 id="note-title" className="tui-note-title">{note.title}</h3>
+        <div className="tui-note-meta tui-dim">
+          <time dateTime={note.date}>{note.date}</time>
+          {note.updated && <> · updated <time dateTime={note.updated}>{note.updated}</time></>}
+          {` · ${note.readingTime} min read · ${note.words} words`}
+        </div>
+        <div className="tui-topics">
+          {note.tags.map(t => <span key={t} className="tui-topic">#{t}</span>)}
+        </div>
+      </header>
+
+      <Markdown source={note.body} />
+
+      <nav className="tui-note-nav" aria-label="More notes">
+        {older ? <Link to={sectionPath('notes', older.slug)} className="tui-link">← {older.title}</Link> : <span />}
+        {newer && <Link to={sectionPath('notes', newer.slug)} className="tui-link">{newer.title} →</Link>}
+      </nav>
+    </article>
+  );
+}
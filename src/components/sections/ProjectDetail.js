@@ -0,0 +1,127 @@
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Markdown from '../ui/Markdown';
+import useReadme from '../../hooks/useReadme';
+import useRepoData from '../../hooks/useRepoData';
+import useLiveStatus from '../../hooks/useLiveStatus';
+import { GITHUB_USERNAME } from '../../constants/github';
+import { langColor } from '../../constants/languages';
+import { getRelativeTime, resolveRepoUrl } from '../../utils/github';
+import { displayHref } from '../../content';
+import { sectionPath } from '../../utils/routes';
+
+const LIVE_LABELS = {
+  checking: '◌ checking…',
+  up:       '● up',
+  down:     '● not responding',
+};
+
+function ReadmeBody({ repo, description }) {
+  const { markdown, loading, error, snapshotAt, cachedAt } = useReadme(repo);
+  const resolveUrl = useCallback((url, options) => resolveRepoUrl(repo, url, options), [repo]);
+
+  if (loading) return <p className="tui-body-line tui-dim">loading README.md…</p>;
+  if (!markdown) {
+    return (
+      <>
+        <Markdown source={description} />
+        <p className="tui-body-line tui-dim">
+          {error && error.status === 404 ? 'no README in this repository' : 'README unavailable — github could not be reached'}
+        </p>
+      </>
+    );
+  }
+  return (
+    <>
+      {(snapshotAt || cachedAt) && (
+        <p className="tui-project-note">
+          {snapshotAt ? `build snapshot from ${snapshotAt.slice(0, 10)}` : 'cached copy, github unavailable'}
+        </p>
+      )}
+      <Markdown source={markdown} resolveUrl={resolveUrl} />
+    </>
+  );
+}
+
+/**
+ * One project: repo stats, topics, live demo status, screenshot and the
+ * rendered README. Reached at #/projects/<slug>.
+ * @param {{ project: import('../../content').Project }} props
+ */
+export default function ProjectDetail({ project: p }) {
+  const { repos } = useRepoData([p.repo]);
+  const repo = repos[p.repo];
+  const liveStatus = useLiveStatus(p.live);
+  const source = `https://github.com/${GITHUB_USERNAME}/${p.repo}`;
+
+  return (
+    <article className="tui-project-detail" aria-labelledby="project-title">
+      <Link to={sectionPath('projects')} className="tui-back tui-dim">← projects</Link>
+
+      <header className="tui-project-header">
+        <h3 id="project-title" className="tui-project-name">{p.name}</h3>
+        <span className="tui-dim tui-project-desc">{p.desc}</span>
+      </header>
+
+      <div className="tui-kv-block">
+        <div className="tui-kv-row">
+          <span className="tui-kv-key tui-dim">stack</span>
+          <span className="tui-kv-val">
+            {p.tech.map((t, i) => (
+              <React.Fragment key={t}>
+                {i > 0 && <span className="tui-dim"> · </span>}
+                <span style={{ color: langColor(t) }}>{t}</span>
+              </React.Fragment>
+            ))}
+          </span>
+        </div>
+        {repo && (
+          <div className="tui-kv-row">
+            <span className="tui-kv-key tui-dim">github</span>
+            <span className="tui-kv-val">
+              ★ {repo.stargazers_count ?? 0}
+              <span className="tui-dim"> · {repo.forks_count ?? 0} forks</span>
+              {repo.updated_at && <span className="tui-dim"> · updated {getRelativeTime(repo.updated_at).toLowerCase()}</span>}
+            </span>
+          </div>
+        )}
+        {repo && repo.topics.length > 0 && (
+          <div className="tui-kv-row">
+            <span className="tui-kv-key tui-dim">topics</span>
+            <span className="tui-kv-val tui-topics">
+              {repo.topics.map(t => <span key={t} className="tui-topic">{t}</span>)}
+            </span>
+          </div>
+        )}
+        <div className="tui-kv-row">
+          <span className="tui-kv-key tui-dim">live</span>
+          {p.live ? (
+            <a href={p.live} target="_blank" rel="noreferrer" className="tui-kv-val tui-link">
+              <span className={`tui-live tui-live--${liveStatus}`}>{LIVE_LABELS[liveStatus]}</span>
+              <span className="tui-dim">&nbsp;{displayHref(p.live)} ↗</span>
+            </a>
+          ) : (
+            <span className="tui-kv-val tui-dim">no live demo</span>
+          )}
+        </div>
+        <a href={source} target="_blank" rel="noreferrer" className="tui-kv-row tui-link">
+          <span className="tui-kv-key tui-dim">source</span>
+          <span className="tui-kv-val tui-dim">{displayHref(source)} ↗</span>
+        </a>
+      </div>
+
+      {p.screenshot && (
+        <img
+          src={p.screenshot}
+          alt={`${p.name} screenshot`}
+          loading="lazy"
+          decoding="async"
+          className="tui-project-shot"
+        />
+      )}
+
+      <h4 className="tui-panel-title tui-panel-subtitle">README.md</h4>
+      <ReadmeBody repo={p.repo} description={p.description} />
+    </article>
+  );
+}
@@ -1,47 +1,18 @@
-import React, { memo, useState, useEffect } from 'react';
+import React, { memo } from 'react';
 import { PROJECT_REPOS, CUSTOM_PROJECTS } from '../../constants/projects';
-import { fetchLiveRepoData, getRelativeTime } from '../../utils/github';
-
-const LANG_COLORS = {
-  javascript: '#fbbf24',
-  typescript: '#60a5fa',
-  python:     '#60a5fa',
-  'next.js':  '#e4e4e4',
-  nextjs:     '#e4e4e4',
-  react:      '#22d3ee',
-  'node.js':  '#4ade80',
-  java:       '#f87171',
-  go:         '#22d3ee',
-  rust:       '#fb923c',
-  html:       '#fb923c',
-};
-
-const langColor = (lang) =>
-  lang ? (LANG_COLORS[lang.toLowerCase()] ?? '#6b6b6b') : '#6b6b6b';
+import { getRelativeTime } from '../../utils/github';
+import { staleLabel } from '../../utils/githubClient';
+import { langColor } from '../../constants/languages';
+import useGitHubStatus from '../../hooks/useGitHubStatus';
+import useRepoData from '../../hooks/useRepoData';
 
 const Projects = ({ repos, loading, error }) => {
-  const [liveData, setLiveData] = useState({});
-  const [liveLoading, setLiveLoading] = useState(false);
+  // Snapshot/cache first, revalidated in the background; the refresh button forces it
+  const { repos: liveData, loading: liveLoading, refresh } = useRepoData(PROJECT_REPOS);
+  const stale = staleLabel(useGitHubStatus());
 
   const filteredRepos = repos.filter((r) => PROJECT_REPOS.includes(r.name));
 
-  const fetchLive = async () => {
-    setLiveLoading(true);
-    try {
-      const data = await fetchLiveRepoData(PROJECT_REPOS);
-      const map = {};
-      data.forEach((r) => { map[r.name] = r; });
-      setLiveData(map);
-    } catch (_) {}
-    finally { setLiveLoading(false); }
-  };
-
-  useEffect(() => {
-    fetchLive();
-    const id = setInterval(fetchLive, 5 * 60 * 1000);
-    return () => clearInterval(id);
-  }, []);
-
   const getInfo = (repo) => {
     const custom = CUSTOM_PROJECTS[repo.name];
     const live   = liveData[repo.name];
@@ -62,8 +33,13 @@ const Projects = ({ repos, loading, error }) => {
             <span className="term-prompt">❯</span>
             <span className="term-command">ls -l ~/projects/</span>
           </div>
+          {stale && (
+            <span style={{ color: '#fbbf24', fontSize: '0.7rem', marginLeft: 'auto', marginRight: '8px' }}>
+              {stale}
+            </span>
+          )}
           <button
-            onClick={fetchLive}
+            onClick={() => refresh(true)}
             disabled={liveLoading}
             className="term-btn"
             style={{ cursor: liveLoading ? 'not-allowed' : 'pointer', opacity: liveLoading ? 0.5 : 1 }}
@@ -1,23 +1,5 @@
 import React, { memo } from 'react';
-
-const SKILLS = [
-  { name: 'JavaScript',  color: '#fbbf24' },
-  { name: 'TypeScript',  color: '#60a5fa' },
-  { name: 'React',       color: '#22d3ee' },
-  { name: 'Node.js',     color: '#4ade80' },
-  { name: 'Python',      color: '#60a5fa' },
-  { name: 'Java',        color: '#f87171' },
-  { name: 'HTML/CSS',    color: '#fb923c' },
-  { name: 'Tailwind CSS',color: '#22d3ee' },
-  { name: 'Git',         color: '#fb923c' },
-  { name: 'Docker',      color: '#60a5fa' },
-  { name: 'AWS',         color: '#fb923c' },
-  { name: 'MongoDB',     color: '#4ade80' },
-  { name: 'PostgreSQL',  color: '#60a5fa' },
-  { name: 'Express.js',  color: '#e4e4e4' },
-  { name: 'Next.js',     color: '#e4e4e4' },
-  { name: 'GraphQL',     color: '#f472b6' },
-];
+import { SKILLS } from '../../content';
 
 const Skills = () => (
   <section id="skills" aria-label="Skills" style={{ marginBottom: '0.5rem' }}>
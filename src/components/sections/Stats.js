@@ -1,12 +1,8 @@
 import React, { memo } from 'react';
+import { STATS } from '../../content';
 
-const STATS = [
-  { key: 'deadlift_pr',  value: '340 lbs' },
-  { key: 'bench_press',  value: '180 lbs' },
-  { key: 'run',          value: '11.32 miles' },
-  { key: 'typing_30s',   value: '95 wpm' },
-  { key: 'typing_15s',   value: '103.13 wpm' },
-];
+// stats.json only lists real records
+const RECORDS = STATS.filter(s => !s.trivia);
 
 const Stats = () => (
   <section id="stats" aria-label="Stats" style={{ marginBottom: '0.5rem' }}>
@@ -18,12 +14,12 @@ const Stats = () => (
       <div className="term-output">
         <div className="term-json-block">
           <span style={{ color: '#6b6b6b' }}>{'{'}</span>
-          {STATS.map((s, i) => (
+          {RECORDS.map((s, i) => (
             <div key={s.key} style={{ paddingLeft: '1.25rem' }}>
               <span style={{ color: '#c084fc' }}>"{s.key}"</span>
               <span style={{ color: '#6b6b6b' }}>: </span>
               <span style={{ color: '#4ade80' }}>"{s.value}"</span>
-              {i < STATS.length - 1 && <span style={{ color: '#6b6b6b' }}>,</span>}
+              {i < RECORDS.length - 1 && <span style={{ color: '#6b6b6b' }}>,</span>}
             </div>
           ))}
           <span style={{ color: '#6b6b6b' }}>{'}'}</span>
@@ -1,96 +1,76 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import CreatureMascot from '../terminal/CreatureMascot';
 import CommandPalette from '../ui/CommandPalette';
 import HelpOverlay from '../ui/HelpOverlay';
-
-// ── Data ─────────────────────────────────────────────────
-const SOCIALS = [
-  { label: 'github',   href: 'https://github.com/rohithIlluri' },
-  { label: 'twitter',  href: 'https://twitter.com/rohithilluri' },
-  { label: 'linkedin', href: 'https://linkedin.com/in/rohithilluri' },
-  { label: 'discord',  href: '#' },
-  { label: 'email',    href: 'mailto:rohithilluri@gmail.com' },
-];
-
-const SKILLS = [
-  ['JavaScript', '#fbbf24'], ['TypeScript', '#60a5fa'], ['React',      '#22d3ee'],
-  ['Node.js',    '#4ade80'], ['Python',     '#60a5fa'], ['Java',       '#fb923c'],
-  ['HTML',       '#fb923c'], ['CSS',        '#c084fc'], ['Tailwind',   '#22d3ee'],
-  ['Git',        '#f87171'], ['Docker',     '#60a5fa'], ['AWS',        '#fbbf24'],
-  ['MongoDB',    '#4ade80'], ['PostgreSQL', '#60a5fa'], ['Express.js', '#4ade80'],
-  ['GraphQL',    '#f472b6'],
-];
-
-const PROJECTS = [
-  {
-    name: 'Crave',
-    desc: 'Food marketplace',
-    tech: 'React · Node.js · PostgreSQL',
-    github: 'https://github.com/rohithIlluri/Crave',
-    live: null,
-  },
-  {
-    name: 'CryptoApp',
-    desc: 'Live market dashboard',
-    tech: 'React · WebSocket API',
-    github: 'https://github.com/rohithIlluri/cryptoapp',
-    live: null,
-  },
-  {
-    name: 'Toronto Project',
-    desc: 'Community platform',
-    tech: 'Full-stack',
-    github: 'https://github.com/rohithIlluri',
-    live: null,
-  },
-  {
-    name: 'Nnets',
-    desc: 'Neural network experiments',
-    tech: 'Python',
-    github: 'https://github.com/rohithIlluri/Nnets',
-    live: null,
-  },
-];
-
-const ARTISTS = [
-  { n: '01', name: 'AC/DC',       desc: 'beer in one hand, blood in the other',  url: 'https://open.spotify.com/artist/711MCceyCBcFnzjGY4Q7Un', img: '/artists/ac-dc.jpg' },
-  { n: '02', name: 'The Beatles', desc: 'the best band ever',                    url: 'https://open.spotify.com/artist/3WrFJ7ztbogyGnTHbHJFl2', img: '/artists/the-beatles.jpg' },
-  { n: '03', name: 'A.R. Rahman', desc: 'musical maestro',                       url: 'https://open.spotify.com/artist/1mYsTxnqsietFxj1OgoGbG', img: '/artists/ar-rahman.jpg' },
-  { n: '04', name: 'Linkin Park', desc: 'rip chester bennington',                url: 'https://open.spotify.com/artist/6XyY86QOPPrYVGvF9ch6wz', img: '/artists/linkin-park.jpg' },
-];
-
-const MOVIES = [
-  { n: '01', name: 'Kill Bill: Vol. 1', year: 2003, desc: 'swords and revenge',         url: 'https://www.themoviedb.org/movie/24' },
-  { n: '02', name: 'The Dark Knight',   year: 2008, desc: 'epic superhero masterpiece', url: 'https://www.themoviedb.org/movie/155' },
-  { n: '03', name: 'Interstellar',      year: 2014, desc: 'space exploration epic',     url: 'https://www.themoviedb.org/movie/157336' },
-  { n: '04', name: 'Pulp Fiction',      year: 1994, desc: 'tarantino classic',          url: 'https://www.themoviedb.org/movie/680' },
-];
+import ActivityGraph from '../ui/ActivityGraph';
+import Terminal from './Terminal';
+import ProjectDetail from './ProjectDetail';
+import NoteDetail from './NoteDetail';
+import useTerminal from '../../hooks/useTerminal';
+import useKeymap from '../../hooks/useKeymap';
+import useGitHubStatus from '../../hooks/useGitHubStatus';
+import useRepoData from '../../hooks/useRepoData';
+import useGitHubActivity from '../../hooks/useGitHubActivity';
+import { staleLabel } from '../../utils/githubClient';
+import { getRelativeTime } from '../../utils/github';
+import { THEMES, loadTheme, applyTheme } from '../../utils/theme';
+import { clearFrecency, shellEntryLine } from '../../utils/frecency';
+import { createKeyHandler, bindingsFor, keyHint, updateKeymapSettings } from '../../utils/keymap';
+import { searchContent, groupResults } from '../../utils/search';
+import { sectionPath, sectionHref, hrefPath, skillSlug, matchRoute, routePath } from '../../utils/routes';
+import {
+  PROFILE, SOCIALS, SECTION_META, SKILLS, PROJECTS, NOTES, ARTISTS, MOVIES, STATS, displayHref,
+} from '../../content';
+import { GITHUB_USERNAME } from '../../constants/github';
+import { PROJECT_REPOS } from '../../constants/projects';
+import { KEYMAP_PRESETS } from '../../constants/keymap';
 
 // ── Sections ─────────────────────────────────────────────
 
-function AboutSection() {
+// Sections get `selected`, the slug of the row under the item cursor
+// (see SECTION_ITEMS below), and `detail`, the rest of #section/<detail>.
+
+// Scroll the selected row into view. Waits a frame: the TUI resets the
+// scroll position after children render.
+function useFocusedItem(selected) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => ref.current?.scrollIntoView({ block: 'nearest' }));
+    return () => cancelAnimationFrame(frame);
+  }, [selected]);
+  return ref;
+}
+
+function AboutSection({ selected }) {
+  const focused = useFocusedItem(selected);
   return (
     <section className="tui-panel" aria-labelledby="sec-about">
       <h2 id="sec-about" className="tui-panel-title">whoami</h2>
 
       <p className="tui-body-line" style={{ marginBottom: '1.2rem' }}>
-        self-taught developer.<br />
-        passionate about physics, space, and building things.<br />
-        currently obsessed with performance and clean UIs.
+        {PROFILE.bio.map(line => <React.Fragment key={line}>{line}<br /></React.Fragment>)}
       </p>
 
       <p className="tui-body-line tui-dim" style={{ marginBottom: '1.2rem' }}>
         when not at the keyboard:<br />
-        &nbsp;&nbsp;→ deadlifting heavy things<br />
-        &nbsp;&nbsp;→ ac/dc at unreasonable volumes<br />
-        &nbsp;&nbsp;→ watching kill bill for the 12th time
+        {PROFILE.offline.map(line => (
+          <React.Fragment key={line}>&nbsp;&nbsp;→ {line}<br /></React.Fragment>
+        ))}
       </p>
 
       <div className="tui-kv-block">
         {SOCIALS.map(s => (
-          <a key={s.label} href={s.href} target="_blank" rel="noreferrer" className="tui-kv-row tui-link">
+          <a
+            key={s.label}
+            ref={s.label === selected ? focused : undefined}
+            href={s.href}
+            target="_blank"
+            rel="noreferrer"
+            className={`tui-kv-row tui-link${s.label === selected ? ' tui-kv-row--focus' : ''}`}
+          >
             <span className="tui-kv-key">{s.label}</span>
-            <span className="tui-kv-val tui-dim">{s.href.replace(/^https?:\/\//, '')}</span>
+            <span className="tui-kv-val tui-dim">{displayHref(s.href)}</span>
           </a>
         ))}
       </div>
@@ -98,13 +78,19 @@ function AboutSection() {
   );
 }
 
-function SkillsSection() {
+function SkillsSection({ selected }) {
+  const focused = useFocusedItem(selected);
   return (
     <section className="tui-panel" aria-labelledby="sec-skills">
       <h2 id="sec-skills" className="tui-panel-title">skills</h2>
       <div className="tui-skills-grid">
-        {SKILLS.map(([name, color]) => (
-          <span key={name} className="tui-skill-tag" style={{ '--tag-color': color }}>
+        {SKILLS.map(({ name, color }) => (
+          <span
+            key={name}
+            ref={skillSlug(name) === selected ? focused : undefined}
+            className={`tui-skill-tag${skillSlug(name) === selected ? ' tui-skill-tag--focus' : ''}`}
+            style={{ '--tag-color': color }}
+          >
             {name}
           </span>
         ))}
@@ -113,21 +99,44 @@ function SkillsSection() {
   );
 }
 
-function ProjectsSection() {
+// `detail` is the slug from #/projects/<slug>
+function ProjectsSection({ detail, selected }) {
+  // Painted from the build snapshot, then revalidated from the API
+  const { repos } = useRepoData(PROJECT_REPOS);
+  const focused = useFocusedItem(selected);
+  const open = detail && PROJECTS.find(p => p.slug === detail.toLowerCase());
+  if (open) {
+    return (
+      <section className="tui-panel" aria-labelledby="sec-projects">
+        <h2 id="sec-projects" className="tui-panel-title">projects / {open.slug}</h2>
+        <ProjectDetail project={open} />
+      </section>
+    );
+  }
   return (
     <section className="tui-panel" aria-labelledby="sec-projects">
       <h2 id="sec-projects" className="tui-panel-title">projects</h2>
       <div className="tui-project-list">
         {PROJECTS.map(p => (
-          <article key={p.name} className="tui-project-row">
+          <article
+            key={p.slug}
+            ref={p.slug === selected ? focused : undefined}
+            className={`tui-project-row${p.slug === selected ? ' tui-project-row--focus' : ''}`}
+          >
             <div className="tui-project-header">
-              <span className="tui-project-name">{p.name}</span>
+              <Link to={sectionPath('projects', p.slug)} className="tui-project-name tui-project-open">{p.name} →</Link>
               <span className="tui-dim tui-project-desc">{p.desc}</span>
             </div>
-            <div className="tui-project-tech tui-dim">{p.tech}</div>
+            <div className="tui-project-tech tui-dim">{p.tech.join(' · ')}</div>
+            {repos[p.repo] && (
+              <div className="tui-project-meta tui-dim">
+                ★ {repos[p.repo].stargazers_count ?? 0}
+                {repos[p.repo].updated_at && ` · updated ${getRelativeTime(repos[p.repo].updated_at).toLowerCase()}`}
+              </div>
+            )}
             <div className="tui-project-links">
-              {p.github && (
-                <a href={p.github} target="_blank" rel="noreferrer" className="tui-btn">
+              {p.repo && (
+                <a href={`https://github.com/${GITHUB_USERNAME}/${p.repo}`} target="_blank" rel="noreferrer" className="tui-btn">
                   github ↗
                 </a>
               )}
@@ -144,15 +153,62 @@ function ProjectsSection() {
   );
 }
 
-function MusicSection() {
+// `detail` is the slug from #/notes/<slug>
+function NotesSection({ detail, selected }) {
+  const focused = useFocusedItem(selected);
+  const open = detail && NOTES.find(n => n.slug === detail.toLowerCase());
+  if (open) {
+    return (
+      <section className="tui-panel" aria-labelledby="sec-notes">
+        <h2 id="sec-notes" className="tui-panel-title">notes / {open.slug}</h2>
+        <NoteDetail note={open} />
+      </section>
+    );
+  }
+  return (
+    <section className="tui-panel" aria-labelledby="sec-notes">
+      <h2 id="sec-notes" className="tui-panel-title">notes</h2>
+      {!NOTES.length && <p className="tui-body-line tui-dim">nothing written yet</p>}
+      <div className="tui-note-list">
+        {NOTES.map(n => (
+          <article
+            key={n.slug}
+            ref={n.slug === selected ? focused : undefined}
+            className={`tui-note-row${n.slug === selected ? ' tui-note-row--focus' : ''}`}
+          >
+            <time dateTime={n.date} className="tui-note-date tui-dim">{n.date}</time>
+            <div>
+              <Link to={sectionPath('notes', n.slug)} className="tui-note-title tui-link">{n.title}</Link>
+              <p className="tui-note-summary tui-dim">{n.summary}</p>
+              <div className="tui-note-meta tui-dim">
+                {n.readingTime} min read
+                {n.tags.map(t => <span key={t} className="tui-note-tag">#{t}</span>)}
+              </div>
+            </div>
+          </article>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function MusicSection({ selected }) {
+  const focused = useFocusedItem(selected);
   return (
     <section className="tui-panel" aria-labelledby="sec-music">
       <h2 id="sec-music" className="tui-panel-title">music</h2>
       <div className="tui-list">
-        {ARTISTS.map(a => (
-          <a key={a.name} href={a.url} target="_blank" rel="noreferrer" className="tui-list-row tui-link">
+        {ARTISTS.map((a, i) => (
+          <a
+            key={a.slug}
+            ref={a.slug === selected ? focused : undefined}
+            href={a.url}
+            target="_blank"
+            rel="noreferrer"
+            className={`tui-list-row tui-link${a.slug === selected ? ' tui-list-row--focus' : ''}`}
+          >
             <img src={a.img} alt="" loading="lazy" decoding="async" className="tui-thumb" />
-            <span className="tui-list-num tui-dim">{a.n}</span>
+            <span className="tui-list-num tui-dim">{String(i + 1).padStart(2, '0')}</span>
             <span className="tui-list-name">{a.name}</span>
             <span className="tui-list-desc tui-dim">{a.desc}</span>
             <span className="tui-list-arrow tui-dim">↗</span>
@@ -163,14 +219,22 @@ function MusicSection() {
   );
 }
 
-function MoviesSection() {
+function MoviesSection({ selected }) {
+  const focused = useFocusedItem(selected);
   return (
     <section className="tui-panel" aria-labelledby="sec-movies">
       <h2 id="sec-movies" className="tui-panel-title">movies</h2>
       <div className="tui-list">
-        {MOVIES.map(m => (
-          <a key={m.name} href={m.url} target="_blank" rel="noreferrer" className="tui-list-row tui-link">
-            <span className="tui-list-num tui-dim">{m.n}</span>
+        {MOVIES.map((m, i) => (
+          <a
+            key={m.slug}
+            ref={m.slug === selected ? focused : undefined}
+            href={m.url}
+            target="_blank"
+            rel="noreferrer"
+            className={`tui-list-row tui-link${m.slug === selected ? ' tui-list-row--focus' : ''}`}
+          >
+            <span className="tui-list-num tui-dim">{String(i + 1).padStart(2, '0')}</span>
             <span className="tui-list-name">{m.name}</span>
             <span className="tui-list-year tui-dim">({m.year})</span>
             <span className="tui-list-desc tui-dim">{m.desc}</span>
@@ -183,38 +247,117 @@ function MoviesSection() {
 }
 
 function StatsSection() {
-  const stats = [
-    ['deadlift pr',    '340 lbs'],
-    ['bench press',    '180 lbs'],
-    ['run',            '11.32 miles'],
-    ['typing (30s)',   '95 wpm'],
-    ['typing (15s)',   '103 wpm'],
-    ['coffee / day',   '3'],
-  ];
+  const activity = useGitHubActivity();
   return (
     <section className="tui-panel" aria-labelledby="sec-stats">
       <h2 id="sec-stats" className="tui-panel-title">stats</h2>
       <div className="tui-kv-block">
-        {stats.map(([k, v]) => (
-          <div key={k} className="tui-kv-row">
-            <span className="tui-kv-key tui-dim">{k}</span>
-            <span className="tui-kv-val">{v}</span>
+        {STATS.map(s => (
+          <div key={s.key} className="tui-kv-row">
+            <span className="tui-kv-key tui-dim">{s.label}</span>
+            <span className={`tui-kv-val${s.trivia ? ' tui-dim' : ''}`}>{s.value}</span>
           </div>
         ))}
       </div>
+
+      <h3 className="tui-panel-title tui-panel-subtitle">github</h3>
+      {activity
+        ? <ActivityGraph activity={activity} />
+        : <p className="tui-body-line tui-dim">loading activity…</p>}
+    </section>
+  );
+}
+
+function ShellSection({ shell }) {
+  return (
+    <section className="tui-panel tui-panel--shell" aria-labelledby="sec-shell">
+      <h2 id="sec-shell" className="tui-panel-title">shell</h2>
+      <Terminal session={shell} />
+    </section>
+  );
+}
+
+// Any path that isn't a section or one of its items
+function NotFoundSection({ path }) {
+  return (
+    <section className="tui-panel" aria-labelledby="sec-404">
+      <h2 id="sec-404" className="tui-panel-title">404</h2>
+      <p className="tui-body-line"><span className="tui-dim">$</span> open {path}</p>
+      <p className="tui-body-line tui-not-found" style={{ marginBottom: '1.2rem' }}>
+        open: {path}: no such section or item
+      </p>
+      <p className="tui-body-line tui-dim">try one of:</p>
+      <div className="tui-kv-block">
+        {SECTIONS.map(s => (
+          <Link key={s.id} to={sectionPath(s.id)} className="tui-kv-row tui-link">
+            <span className="tui-kv-key">{s.icon} {s.label}</span>
+            <span className="tui-kv-val tui-dim">{s.summary}</span>
+          </Link>
+        ))}
+      </div>
     </section>
   );
 }
 
 // ── Section registry ──────────────────────────────────────
-const SECTIONS = [
-  { id: 'about',    label: 'about',    Component: AboutSection,    icon: '◉' },
-  { id: 'skills',   label: 'skills',   Component: SkillsSection,   icon: '◇' },
-  { id: 'projects', label: 'projects', Component: ProjectsSection, icon: '▸' },
-  { id: 'music',    label: 'music',    Component: MusicSection,    icon: '♪' },
-  { id: 'movies',   label: 'movies',   Component: MoviesSection,   icon: '▶' },
-  { id: 'stats',    label: 'stats',    Component: StatsSection,    icon: '▦' },
-];
+// Ids, labels and icons come from content; only the renderers live here.
+const SECTION_COMPONENTS = {
+  about:    AboutSection,
+  skills:   SkillsSection,
+  projects: ProjectsSection,
+  notes:    NotesSection,
+  music:    MusicSection,
+  movies:   MoviesSection,
+  stats:    StatsSection,
+  shell:    ShellSection,
+};
+
+const SECTIONS = SECTION_META.map(s => ({ ...s, Component: SECTION_COMPONENTS[s.id] }));
+
+// ── Item cursor ───────────────────────────────────────────
+// Rows the item keys move through, by section, in the order of the
+// slugs a route may name (see utils/routes). Enter follows `href`; `o` opens
+// `url` in a new tab and `y` copies it. Where rows have no page of their
+// own the selection is the path, #/music/<slug>, as search results link
+// it; projects and notes, whose path opens a page, keep it in
+// #/projects?item=<slug>.
+const siteUrl = (hash) => `${window.location.origin}${window.location.pathname}${hash}`;
+
+const SECTION_ITEMS = {
+  about: {
+    inPath: true,
+    items: () => SOCIALS.map(s => ({ slug: s.label, href: s.href, url: s.href })),
+  },
+  skills: {
+    inPath: true,
+    items: () => SKILLS.map(s => ({ slug: skillSlug(s.name), url: siteUrl(sectionHref('skills', skillSlug(s.name))) })),
+  },
+  projects: {
+    inPath: false,
+    items: () => PROJECTS.map(p => ({
+      slug: p.slug,
+      href: sectionHref('projects', p.slug),
+      url: p.repo ? `https://github.com/${GITHUB_USERNAME}/${p.repo}` : p.live || siteUrl(sectionHref('projects', p.slug)),
+    })),
+  },
+  notes: {
+    inPath: false,
+    items: () => NOTES.map(n => ({ slug: n.slug, href: sectionHref('notes', n.slug), url: siteUrl(sectionHref('notes', n.slug)) })),
+  },
+  music: {
+    inPath: true,
+    items: () => ARTISTS.map(a => ({ slug: a.slug, href: a.url, url: a.url })),
+  },
+  movies: {
+    inPath: true,
+    items: () => MOVIES.map(m => ({ slug: m.slug, href: m.url, url: m.url })),
+  },
+};
+
+// Item keys scroll sections without items
+const ITEM_SCROLL_FALLBACK = {
+  'item.next': 'scroll.down', 'item.prev': 'scroll.up', 'item.first': 'scroll.top', 'item.last': 'scroll.bottom',
+};
 
 // View Transitions API helper — gracefully no-ops where unsupported
 const startViewTransition = (cb) => {
@@ -225,15 +368,48 @@ const startViewTransition = (cb) => {
   }
 };
 
+// Pixels the scroll.up / scroll.down keys move the content
+const SCROLL_STEP = 80;
+
+// Palette groups for content search; picking a result follows its deep link
+const SEARCH_GROUP_LIMIT = 5;
+
+const searchPalette = (query, navigate) => groupResults(searchContent(query)).map(({ section, results }) => ({
+  id: `search-${section.id}`,
+  label: section.label,
+  items: results.slice(0, SEARCH_GROUP_LIMIT).map(r => ({
+    id: `search-${r.doc.id}`,
+    label: r.doc.title,
+    labelRanges: r.titleRanges,
+    snippet: r.snippet,
+    icon: section.icon,
+    run: () => navigate(hrefPath(r.href)),
+  })),
+}));
+
 // ── Main TUI ──────────────────────────────────────────────
 export default function TUI() {
-  const [active, setActive]     = useState(0);
+  // The route picks the section, page and cursor row; -1 is not found
+  const location = useLocation();
+  const navigate = useNavigate();
+  const route = useMemo(() => matchRoute(location.pathname, location.search), [location]);
+  const active = route ? SECTIONS.findIndex(s => s.id === route.section) : -1;
+  const activeId = route ? route.section : null;
+  const detail = route ? route.detail : null; // #/section/<detail>
+  const item = route ? route.item : null; // #/section?item=<slug>
   const [creature, setCreature] = useState('idle');
   const [paletteOpen, setPaletteOpen] = useState(false);
   const [helpOpen, setHelpOpen] = useState(false);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [notice, setNotice] = useState(null); // brief status bar message
+  const noticeTimer = useRef(null);
   const [progress, setProgress] = useState(0);
   const creatureTimer = useRef(null);
   const contentRef = useRef(null);
+  const githubStale = staleLabel(useGitHubStatus());
+  const shownRef = useRef(active);
+  const shellNavRef = useRef(null); // section the terminal just asked for
+  const { keymap, settings: keymapSettings } = useKeymap();
 
   const triggerCelebrate = useCallback(() => {
     clearTimeout(creatureTimer.current);
@@ -241,41 +417,63 @@ export default function TUI() {
     creatureTimer.current = setTimeout(() => setCreature('idle'), 1200);
   }, []);
 
+  // Each switch is a history entry, so back and forward retrace them.
+  // The section you're in goes back to its list from an open item.
   const goTo = useCallback((idx) => {
-    if (idx === active || idx < 0 || idx >= SECTIONS.length) return;
-    startViewTransition(() => setActive(idx));
-    triggerCelebrate();
-  }, [active, triggerCelebrate]);
+    if (idx < 0 || idx >= SECTIONS.length) return;
+    const path = sectionPath(SECTIONS[idx].id);
+    if (location.pathname === path) return;
+    startViewTransition(() => navigate(path));
+    if (idx !== active) triggerCelebrate();
+  }, [active, location.pathname, navigate, triggerCelebrate]);
 
   const goToId = useCallback((id) => {
     const idx = SECTIONS.findIndex(s => s.id === id);
     if (idx >= 0) goTo(idx);
   }, [goTo]);
 
-  // Hash routing — sync URL ↔ active tab
-  useEffect(() => {
-    const h = (window.location.hash || '').replace('#', '');
-    const idx = SECTIONS.findIndex(s => s.id === h);
-    if (idx >= 0) setActive(idx);
-
-    const onHash = () => {
-      const id = (window.location.hash || '').replace('#', '');
-      const i = SECTIONS.findIndex(s => s.id === id);
-      if (i >= 0) setActive(i);
-    };
-    window.addEventListener('hashchange', onHash);
-    return () => window.removeEventListener('hashchange', onHash);
-  }, []);
+  // ── Shell ── one session, shown by the shell section or the Ctrl+` drawer
+  const onShellNavigate = useCallback((to) => {
+    // Leaving the shell tab from the terminal keeps it open in the drawer
+    if (activeId === 'shell' && to.section !== 'shell') setDrawerOpen(true);
+    const path = routePath(to);
+    if (`${location.pathname}${location.search}` === path) return;
+    startViewTransition(() => navigate(path));
+    if (to.section !== activeId) {
+      shellNavRef.current = to.section;
+      triggerCelebrate();
+    }
+  }, [activeId, location, navigate, triggerCelebrate]);
 
+  const shell = useTerminal({ onNavigate: onShellNavigate, keymap });
+  const { echo, run: runInShell } = shell;
+
+  const toggleDrawer = useCallback(() => {
+    if (activeId !== 'shell') setDrawerOpen(o => !o);
+  }, [activeId]);
+
+  // Run a line where it can be seen: the shell tab, else the drawer
+  const runInTerminal = useCallback((line) => {
+    if (activeId !== 'shell') setDrawerOpen(true);
+    runInShell(line);
+  }, [activeId, runInShell]);
+
+  // Echo navigation done outside the terminal as the equivalent command
   useEffect(() => {
-    const id = SECTIONS[active]?.id;
-    if (id) {
-      const newHash = `#${id}`;
-      if (window.location.hash !== newHash) {
-        window.history.replaceState(null, '', newHash);
-      }
-    }
-  }, [active]);
+    if (shownRef.current === active) return;
+    shownRef.current = active;
+    if (!route) return;
+    const { id } = SECTIONS[active];
+    const fromShell = shellNavRef.current === id;
+    shellNavRef.current = null;
+    if (id === 'shell') setDrawerOpen(false);
+    else if (!fromShell) echo(`open ${id}`);
+  }, [active, route, echo]);
+
+  // `/` shows the first section under its own path
+  useEffect(() => {
+    if (location.pathname === '/') navigate(sectionPath(SECTIONS[0].id), { replace: true });
+  }, [location.pathname, navigate]);
 
   // Reading progress for the active section
   useEffect(() => {
@@ -290,66 +488,91 @@ export default function TUI() {
     return () => el.removeEventListener('scroll', onScroll);
   }, [active]);
 
-  // Reset scroll & progress on tab change
+  // Reset scroll & progress on tab or page change; a path that only
+  // selects a row (#music/<slug>) isn't a new page
+  const cursor = SECTION_ITEMS[activeId];
+  const page = cursor && cursor.inPath ? null : detail;
   useEffect(() => {
     if (contentRef.current) contentRef.current.scrollTop = 0;
     setProgress(0);
-  }, [active]);
+  }, [active, page]);
+
+  const scrollContent = useCallback((action) => {
+    const el = contentRef.current;
+    if (!el) return;
+    if (action === 'scroll.down') el.scrollBy({ top: SCROLL_STEP });
+    else if (action === 'scroll.up') el.scrollBy({ top: -SCROLL_STEP });
+    else if (action === 'scroll.top') el.scrollTo({ top: 0 });
+    else if (action === 'scroll.bottom') el.scrollTo({ top: el.scrollHeight });
+  }, []);
+
+  const flash = useCallback((message) => {
+    clearTimeout(noticeTimer.current);
+    setNotice(message);
+    noticeTimer.current = setTimeout(() => setNotice(null), 1500);
+  }, []);
 
-  // Keyboard shortcuts
+  // ── Item cursor ── rows of the list on screen; none while a page is open
+  const selected = cursor && cursor.inPath ? detail : item;
+  const cursorItems = useMemo(() => (cursor && !page ? cursor.items() : []), [cursor, page]);
+
+  // Move the cursor, keeping the URL in step without adding history entries
+  const select = useCallback((slug) => {
+    const path = SECTION_ITEMS[activeId].inPath
+      ? routePath({ section: activeId, detail: slug, item: null })
+      : routePath({ section: activeId, detail: null, item: slug });
+    navigate(path, { replace: true });
+  }, [activeId, navigate]);
+
+  const onItemAction = useCallback((action) => {
+    if (!cursorItems.length) {
+      if (ITEM_SCROLL_FALLBACK[action]) scrollContent(ITEM_SCROLL_FALLBACK[action]);
+      return;
+    }
+    const index = cursorItems.findIndex(i => i.slug === selected);
+    const current = cursorItems[index];
+    const last = cursorItems.length - 1;
+    if (action === 'item.next') select(cursorItems[index < 0 ? 0 : Math.min(index + 1, last)].slug);
+    else if (action === 'item.prev') select(cursorItems[index < 0 ? 0 : Math.max(index - 1, 0)].slug);
+    else if (action === 'item.first') select(cursorItems[0].slug);
+    else if (action === 'item.last') select(cursorItems[last].slug);
+    else if (!current) return;
+    else if (action === 'item.open' && current.href) {
+      if (hrefPath(current.href)) navigate(hrefPath(current.href));
+      else window.open(current.href, '_blank', 'noreferrer');
+    } else if (action === 'item.external') window.open(current.url, '_blank', 'noreferrer');
+    else if (action === 'item.copy') {
+      navigator.clipboard?.writeText(current.url).then(() => flash('link copied'), () => flash('copy failed'));
+    }
+  }, [cursorItems, selected, select, navigate, scrollContent, flash]);
+
+  // Keyboard shortcuts, from the keymap (constants/keymap)
   useEffect(() => {
-    let pendingG = false;
-    let gTimer = null;
+    const keys = createKeyHandler((action) => {
+      if (action === 'palette.toggle') setPaletteOpen(o => !o);
+      else if (action === 'drawer.toggle') toggleDrawer();
+      else if (action === 'palette.open') setPaletteOpen(true);
+      else if (action === 'help.toggle') setHelpOpen(o => !o);
+      else if (action === 'section.next') goTo((active + 1) % SECTIONS.length);
+      else if (action === 'section.prev') goTo((Math.max(active, 0) - 1 + SECTIONS.length) % SECTIONS.length);
+      else if (action.startsWith('scroll.')) scrollContent(action);
+      else if (action.startsWith('item.')) onItemAction(action);
+      else if (action.startsWith('go.')) goToId(action.slice(3));
+    });
 
     const handler = (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-
-      // Cmd/Ctrl + K → command palette
-      if ((e.metaKey || e.ctrlKey) && (e.key === 'k' || e.key === 'K')) {
-        e.preventDefault();
-        setPaletteOpen(o => !o);
-        return;
-      }
-
-      if (paletteOpen || helpOpen) return;
-
-      if (e.key === '/') {
-        e.preventDefault();
-        setPaletteOpen(true);
-        return;
-      }
-
-      if (e.key === '?') {
-        e.preventDefault();
-        setHelpOpen(o => !o);
-        return;
-      }
-
-      if (e.key === 'ArrowRight' || e.key === 'l') {
-        goTo((active + 1) % SECTIONS.length);
-      } else if (e.key === 'ArrowLeft' || e.key === 'h') {
-        // 'g' chord handling for vim-style 'gh'
-        if (pendingG) {
-          pendingG = false;
-          clearTimeout(gTimer);
-          goToId('about');
-          return;
-        }
-        goTo((active - 1 + SECTIONS.length) % SECTIONS.length);
-      } else if (e.key >= '1' && e.key <= '6') {
-        goTo(parseInt(e.key, 10) - 1);
-      } else if (e.key === 'g') {
-        pendingG = true;
-        clearTimeout(gTimer);
-        gTimer = setTimeout(() => { pendingG = false; }, 600);
-      }
+      const typing = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+      const scopes = typing || paletteOpen || helpOpen ? ['global'] : ['global', 'main'];
+      // A focused link or button keeps Enter
+      const onControl = !!e.target.closest?.('a, button');
+      keys.handle(e, bindingsFor(keymap, scopes).filter(b => !(onControl && b.action === 'item.open')));
     };
     window.addEventListener('keydown', handler);
     return () => {
       window.removeEventListener('keydown', handler);
-      clearTimeout(gTimer);
+      keys.reset();
     };
-  }, [active, goTo, goToId, paletteOpen, helpOpen]);
+  }, [active, goTo, goToId, toggleDrawer, scrollContent, onItemAction, paletteOpen, helpOpen, keymap]);
 
   // Build command palette commands
   const commands = useMemo(() => {
@@ -358,7 +581,7 @@ export default function TUI() {
       label: `Go to ${s.label}`,
       hint: `section ${i + 1}`,
       icon: s.icon,
-      shortcut: String(i + 1),
+      shortcut: keyHint(keymap, `go.${s.id}`),
       keywords: [s.id, s.label, 'navigate', 'go'],
       run: () => goTo(i),
     }));
@@ -366,43 +589,164 @@ export default function TUI() {
     const linkCmds = SOCIALS.map(s => ({
       id: `open-${s.label}`,
       label: `Open ${s.label}`,
-      hint: s.href.replace(/^https?:\/\//, '').replace(/^mailto:/, ''),
+      hint: displayHref(s.href),
       icon: '↗',
       keywords: ['open', 'link', s.label, 'social'],
       run: () => window.open(s.href, '_blank', 'noreferrer'),
     }));
 
+    // Sub-pages: pick a command, then an entry
+    const pageCmds = [
+      {
+        id: 'pick-project',
+        label: 'Open project…',
+        icon: '▸',
+        keywords: ['projects', 'open', 'repo', 'readme'],
+        items: PROJECTS.map(p => ({
+          id: `pick-project-${p.slug}`,
+          label: p.name,
+          hint: p.language,
+          icon: '▸',
+          keywords: p.tech,
+          run: () => navigate(sectionPath('projects', p.slug)),
+        })),
+      },
+      {
+        id: 'pick-note',
+        label: 'Read note…',
+        icon: '✎',
+        keywords: ['notes', 'blog', 'post', 'article'],
+        items: NOTES.map(n => ({
+          id: `pick-note-${n.slug}`,
+          label: n.title,
+          hint: n.date,
+          icon: '✎',
+          keywords: n.tags,
+          run: () => navigate(sectionPath('notes', n.slug)),
+        })),
+      },
+      {
+        id: 'pick-artist',
+        label: 'Play on Spotify…',
+        icon: '♪',
+        keywords: ['music', 'artist', 'listen', 'track'],
+        items: ARTISTS.map(a => ({
+          id: `pick-artist-${a.slug}`,
+          label: a.name,
+          hint: a.desc,
+          icon: '♪',
+          run: () => window.open(a.url, '_blank', 'noreferrer'),
+        })),
+      },
+      {
+        id: 'pick-theme',
+        label: 'Set theme…',
+        icon: '◐',
+        keywords: ['theme', 'color', 'colour', 'accent', 'appearance'],
+        // A function, so the current theme is marked when the page opens
+        items: () => THEMES.map(t => ({
+          id: `pick-theme-${t.id}`,
+          label: t.label,
+          hint: t.id === loadTheme() ? 'current' : undefined,
+          icon: '◐',
+          run: () => applyTheme(t.id),
+        })),
+      },
+      {
+        id: 'pick-keymap',
+        label: 'Set keymap…',
+        icon: '⌨',
+        keywords: ['keys', 'keyboard', 'shortcuts', 'vim', 'emacs', 'bindings'],
+        items: () => KEYMAP_PRESETS.map(p => ({
+          id: `pick-keymap-${p.id}`,
+          label: p.id,
+          hint: p.id === keymapSettings.preset ? 'current' : p.description,
+          icon: '⌨',
+          run: () => updateKeymapSettings({ preset: p.id }),
+        })),
+      },
+    ];
+
+    // Commands that ask for an argument first
+    const promptCmds = [
+      {
+        id: 'run-in-shell',
+        label: 'Run in terminal…',
+        icon: '$',
+        prompt: 'command',
+        keywords: ['terminal', 'shell', 'exec', 'command', 'cli'],
+        run: runInTerminal,
+      },
+      {
+        id: 'send-email',
+        label: 'Send email…',
+        icon: '@',
+        prompt: 'subject',
+        keywords: ['email', 'mail', 'contact', 'message'],
+        run: (subject) => { window.location.href = `mailto:${PROFILE.email}?subject=${encodeURIComponent(subject)}`; },
+      },
+    ];
+
     const utilityCmds = [
+      {
+        id: 'toggle-terminal',
+        label: 'Toggle terminal drawer',
+        icon: '$',
+        shortcut: keyHint(keymap, 'drawer.toggle'),
+        keywords: ['terminal', 'shell', 'console', 'drawer', 'cli'],
+        run: toggleDrawer,
+      },
       {
         id: 'show-help',
         label: 'Show keyboard shortcuts',
         icon: '?',
-        shortcut: '?',
+        shortcut: keyHint(keymap, 'help.toggle'),
         keywords: ['help', 'shortcuts', 'keys'],
         run: () => setHelpOpen(true),
       },
+      {
+        id: 'clear-recent',
+        label: 'Clear recent commands',
+        icon: '⌫',
+        keywords: ['history', 'recent', 'clear', 'forget', 'reset'],
+        track: false,
+        run: clearFrecency,
+      },
       {
         id: 'view-source',
         label: 'View source on GitHub',
         icon: '⌘',
         keywords: ['source', 'repo', 'github', 'code'],
-        run: () => window.open('https://github.com/rohithIlluri/rohithilluri.github.io', '_blank', 'noreferrer'),
+        run: () => window.open(PROFILE.source, '_blank', 'noreferrer'),
       },
       {
         id: 'copy-email',
         label: 'Copy email address',
         icon: '@',
-        hint: 'rohithilluri@gmail.com',
+        hint: PROFILE.email,
         keywords: ['email', 'copy', 'contact'],
-        run: () => navigator.clipboard?.writeText('rohithilluri@gmail.com').catch(() => {}),
+        run: () => navigator.clipboard?.writeText(PROFILE.email).catch(() => {}),
       },
     ];
 
-    return [...sectionCmds, ...utilityCmds, ...linkCmds];
-  }, [goTo]);
+    return [...sectionCmds, ...pageCmds, ...promptCmds, ...utilityCmds, ...linkCmds];
+  }, [goTo, navigate, toggleDrawer, runInTerminal, keymap, keymapSettings]);
+
+  // Terminal lines in the palette's recent and pinned groups. Running
+  // one records it, so the palette doesn't.
+  const paletteLookup = useCallback((id) => {
+    const line = shellEntryLine(id);
+    if (line === null) return null;
+    return { id, label: line, hint: 'terminal', icon: '$', track: false, run: () => runInTerminal(line) };
+  }, [runInTerminal]);
 
-  const { Component } = SECTIONS[active];
-  const activeId = SECTIONS[active].id;
+  const search = useCallback((query) => searchPalette(query, navigate), [navigate]);
+
+  const Component = route && SECTIONS[active].Component;
+  const showDrawer = drawerOpen && activeId !== 'shell';
+  const shellVisible = showDrawer || activeId === 'shell';
+  // While the terminal is on screen the mascot reacts to its commands
+  const mascot = shellVisible && !['idle', 'boot'].includes(shell.creatureState) ? shell.creatureState : creature;
 
   return (
     <div className="tui-root">
@@ -411,8 +755,8 @@ export default function TUI() {
       <header className="tui-header">
         <div className="tui-header-left">
           <span className="tui-header-dot" aria-hidden="true" />
-          <span className="tui-header-name">rohith illuri</span>
-          <span className="tui-header-sub tui-dim">· self-taught dev</span>
+          <span className="tui-header-name">{PROFILE.name.toLowerCase()}</span>
+          <span className="tui-header-sub tui-dim">· {PROFILE.tagline}</span>
         </div>
         <div className="tui-header-right">
           <button
@@ -421,7 +765,7 @@ export default function TUI() {
             aria-label="Open command palette"
           >
             <span className="tui-dim">search…</span>
-            <kbd className="cmdk-kbd">⌘K</kbd>
+            <kbd className="cmdk-kbd">{keyHint(keymap, 'palette.toggle')}</kbd>
           </button>
         </div>
       </header>
@@ -462,25 +806,42 @@ export default function TUI() {
         ref={contentRef}
         className="tui-content"
         role="tabpanel"
-        aria-labelledby={`tab-${activeId}`}
-        data-panel={`panel-${activeId}`}
+        aria-labelledby={route ? `tab-${activeId}` : undefined}
+        data-panel={route ? `panel-${activeId}` : undefined}
+        tabIndex={-1}
         style={{ viewTransitionName: 'tui-panel' }}
       >
         <div key={active} className="tui-fade">
-          <Component />
+          {Component
+            ? <Component shell={shell} detail={detail} selected={selected} />
+            : <NotFoundSection path={location.pathname} />}
         </div>
 
-        <CreatureMascot animationState={creature} />
+        <CreatureMascot animationState={mascot} />
       </main>
 
+      {/* Terminal drawer */}
+      {showDrawer && (
+        <aside className="tui-drawer" aria-label="Terminal">
+          <div className="tui-drawer-bar">
+            <span className="tui-dim">shell</span>
+            <button className="help-close" onClick={() => setDrawerOpen(false)} aria-label="Close terminal">{keyHint(keymap, 'drawer.toggle')}</button>
+          </div>
+          <Terminal session={shell} />
+        </aside>
+      )}
+
       {/* Status bar */}
       <footer className="tui-status">
-        <span><kbd className="cmdk-kbd">←</kbd><kbd className="cmdk-kbd">→</kbd> navigate</span>
-        <span className="tui-dim"><kbd className="cmdk-kbd">⌘K</kbd> palette</span>
-        <span className="tui-dim"><kbd className="cmdk-kbd">?</kbd> help</span>
+        <span><kbd className="cmdk-kbd">{keyHint(keymap, 'section.prev')}</kbd><kbd className="cmdk-kbd">{keyHint(keymap, 'section.next')}</kbd> navigate</span>
+        <span className="tui-dim"><kbd className="cmdk-kbd">{keyHint(keymap, 'palette.toggle')}</kbd> palette</span>
+        <span className="tui-dim"><kbd className="cmdk-kbd">{keyHint(keymap, 'help.toggle')}</kbd> help</span>
+        <span className="tui-dim tui-status-shell"><kbd className="cmdk-kbd">{keyHint(keymap, 'drawer.toggle')}</kbd> shell</span>
+        {githubStale && <span className="tui-status-stale" role="status">◌ {githubStale}</span>}
+        {notice && <span className="tui-status-notice" role="status">{notice}</span>}
         <span className="tui-status-right">
           <span className="tui-status-pulse" aria-hidden="true" />
-          rohith@portfolio
+          {PROFILE.handle}@portfolio
         </span>
       </footer>
 
@@ -488,8 +849,11 @@ export default function TUI() {
         open={paletteOpen}
         onClose={() => setPaletteOpen(false)}
         commands={commands}
+        keymap={keymap}
+        search={search}
+        lookup={paletteLookup}
       />
-      <HelpOverlay open={helpOpen} onClose={() => setHelpOpen(false)} />
+      <HelpOverlay open={helpOpen} onClose={() => setHelpOpen(false)} keymap={keymap} preset={keymapSettings.preset} />
     </div>
   );
 }
@@ -1,19 +1,25 @@
 import React, { useRef, useCallback } from 'react';
-import useTerminal from '../../hooks/useTerminal';
 import TerminalBoot from '../terminal/TerminalBoot';
 import TerminalOutput from '../terminal/TerminalOutput';
 import TerminalInput from '../terminal/TerminalInput';
-import CreatureMascot from '../terminal/CreatureMascot';
+import Spinner from '../terminal/Spinner';
 
-export default function Terminal() {
+/**
+ * Interactive terminal. `session` is the host's useTerminal() state, so
+ * every place the terminal is shown continues the same session.
+ */
+export default function Terminal({ session }) {
   const {
-    lines, inputValue, setInputValue,
-    creatureState, isBooting,
-    handleKeyDown, handleBootComplete,
-  } = useTerminal();
+    lines, inputValue,
+    isBooting, cwd,
+    completion, caret, search, pending,
+    handleChange, handleKeyDown, handleBootComplete,
+  } = session;
 
   const containerRef = useRef(null);
   const focusInput = useCallback(() => {
+    // Leave text selections alone so output can be copied
+    if (window.getSelection()?.toString()) return;
     containerRef.current?.querySelector('input')?.focus();
   }, []);
 
@@ -22,16 +28,20 @@ export default function Terminal() {
       <div className="t-scroll">
         {isBooting && <TerminalBoot onComplete={handleBootComplete} />}
         <TerminalOutput lines={lines} />
-        <CreatureMascot animationState={creatureState} />
+        {pending && <Spinner label={pending} />}
       </div>
 
       {!isBooting && (
         <div className="t-input-wrapper">
           <TerminalInput
             value={inputValue}
-            onChange={setInputValue}
+            onChange={handleChange}
             onKeyDown={handleKeyDown}
             disabled={isBooting}
+            cwd={cwd}
+            completion={completion}
+            caret={caret}
+            search={search}
           />
         </div>
       )}
@@ -0,0 +1,7 @@
+import React from 'react';
+import { PROFILE } from '../../content';
+import { HOME, displayPath } from '../../utils/vfs';
+
+export default function Prompt({ cwd = HOME }) {
+  return <span className="t-prompt">{PROFILE.handle} {displayPath(cwd)} $ </span>;
+}
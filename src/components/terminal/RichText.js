@@ -0,0 +1,41 @@
+import React from 'react';
+import { safeUrl } from '../../utils/markdown';
+
+// Span → inline style; colors are arbitrary so they can't be classes
+function spanStyle(span) {
+  const style = {};
+  if (span.color) style.color = span.color;
+  if (span.background) style.background = span.background;
+  if (span.bold) style.fontWeight = 700;
+  if (span.italic) style.fontStyle = 'italic';
+  const lines = [span.underline && 'underline', span.strike && 'line-through'].filter(Boolean);
+  if (lines.length) style.textDecoration = lines.join(' ');
+  if (span.dim) style.opacity = 0.6;
+  return Object.keys(style).length ? style : undefined;
+}
+
+/**
+ * Render styled spans (see utils/ansi). Spans with an `href` become
+ * links that open in a new tab; `#/section/...` links navigate the TUI.
+ * Unsafe URLs (javascript: and the like) render as plain text.
+ */
+export default function RichText({ spans }) {
+  return spans.map((span, i) => {
+    const style = spanStyle(span);
+    const href = safeUrl(span.href, false);
+    if (href) {
+      return (
+        <a
+          key={i}
+          href={href}
+          className="t-link"
+          style={style}
+          {...(!href.startsWith('#') && { target: '_blank', rel: 'noopener noreferrer' })}
+        >
+          {span.text}
+        </a>
+      );
+    }
+    return style ? <span key={i} style={style}>{span.text}</span> : <React.Fragment key={i}>{span.text}</React.Fragment>;
+  });
+}
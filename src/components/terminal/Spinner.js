@@ -0,0 +1,19 @@
+import React, { useEffect, useState } from 'react';
+
+const FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+// Shown under the output while a command is still running
+export default function Spinner({ label }) {
+  const [frame, setFrame] = useState(0);
+
+  useEffect(() => {
+    const t = setInterval(() => setFrame(f => (f + 1) % FRAMES.length), 80);
+    return () => clearInterval(t);
+  }, []);
+
+  return (
+    <div className="t-line t-line--dim t-spinner" role="status" aria-live="polite">
+      <span aria-hidden="true">{FRAMES[frame]}</span> {label} <span className="t-spinner-hint">· ctrl+c to cancel</span>
+    </div>
+  );
+}
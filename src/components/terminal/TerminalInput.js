@@ -1,8 +1,30 @@
 import React, { useRef, useEffect } from 'react';
+import Prompt from './Prompt';
 
-export default function TerminalInput({ value, onChange, onKeyDown, disabled }) {
+// Paths show just their last segment in the menu, like bash
+const menuLabel = (item) => item.replace(/.*\/(?=.)/, '');
+
+// Match with the search query highlighted (case-insensitive, first hit)
+function SearchMatch({ match, query }) {
+  const at = query ? match.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (at < 0) return <span className="t-search-match">{match}</span>;
+  return (
+    <span className="t-search-match">
+      {match.slice(0, at)}
+      <mark className="t-search-hit">{match.slice(at, at + query.length)}</mark>
+      {match.slice(at + query.length)}
+    </span>
+  );
+}
+
+export default function TerminalInput({ value, onChange, onKeyDown, disabled, cwd, completion, caret, search }) {
   const inputRef = useRef(null);
 
+  // Caret position after a completion rewrote the value
+  useEffect(() => {
+    if (caret) inputRef.current?.setSelectionRange(caret.pos, caret.pos);
+  }, [caret]);
+
   useEffect(() => {
     if (!disabled) {
       const t = setTimeout(() => inputRef.current?.focus(), 80);
@@ -12,11 +34,13 @@ export default function TerminalInput({ value, onChange, onKeyDown, disabled })
 
   return (
     <div className="t-input-line" onClick={() => inputRef.current?.focus()}>
-      <span className="t-prompt">rohith $ </span>
+      {search
+        ? <span className="t-search-label">({search.failed ? 'failed ' : ''}reverse-i-search)`</span>
+        : <Prompt cwd={cwd} />}
       <input
         ref={inputRef}
         type="text"
-        value={value}
+        value={search ? search.query : value}
         onChange={e => onChange(e.target.value)}
         onKeyDown={onKeyDown}
         disabled={disabled}
@@ -25,9 +49,24 @@ export default function TerminalInput({ value, onChange, onKeyDown, disabled })
         autoCapitalize="none"
         spellCheck={false}
         inputMode="text"
-        aria-label="terminal input"
+        aria-label={search ? 'reverse history search' : 'terminal input'}
         className="t-input"
       />
+      {search && <span className="t-search-label">': <SearchMatch match={search.match} query={search.query} /></span>}
+      {completion && (
+        <div className="t-completions" role="listbox" aria-label="completions">
+          {completion.items.map((item, i) => (
+            <span
+              key={item}
+              role="option"
+              aria-selected={i === completion.index}
+              className={i === completion.index ? 't-completion t-completion--active' : 't-completion'}
+            >
+              {menuLabel(item)}
+            </span>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
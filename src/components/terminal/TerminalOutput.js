@@ -1,12 +1,13 @@
 import React, { useEffect, useRef } from 'react';
-
-const PROMPT = <span className="t-prompt">rohith $ </span>;
+import Prompt from './Prompt';
+import RichText from './RichText';
+import { lineSpans } from '../../utils/ansi';
 
 export default function TerminalOutput({ lines }) {
   const bottomRef = useRef(null);
 
   useEffect(() => {
-    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
   }, [lines]);
 
   return (
@@ -15,13 +16,14 @@ export default function TerminalOutput({ lines }) {
         <div
           key={line.id}
           className={
-            line.isCommand ? 't-line t-line--cmd' :
+            line.isCommand ? `t-line t-line--cmd${line.dim ? ' t-line--dim' : ''}` :
             line.green     ? 't-line t-line--green' :
             line.dim       ? 't-line t-line--dim' :
+            line.stderr    ? 't-line t-line--err' :
                              't-line'
           }
         >
-          {line.isCommand ? <>{PROMPT}<span>{line.text}</span></> : line.text}
+          {line.isCommand ? <><Prompt cwd={line.cwd} /><span>{line.text}</span></> : <RichText spans={lineSpans(line)} />}
         </div>
       ))}
       <div ref={bottomRef} />
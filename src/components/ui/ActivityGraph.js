@@ -0,0 +1,92 @@
+import React, { useMemo } from 'react';
+import {
+  contributionCalendar, monthLabels, weeklyCounts, sparkline, topLanguages, HEAT_COLORS, SPARKLINE_WEEKS,
+} from '../../utils/activity';
+import { langColor } from '../../constants/languages';
+
+const WEEKDAYS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const percent = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * GitHub activity for the stats section: contribution heatmap, commit
+ * sparkline per repo and language breakdown
+ * @param {{ activity: import('../../utils/activity').Activity }} props
+ */
+export default function ActivityGraph({ activity }) {
+  const calendar = useMemo(() => contributionCalendar(activity.dates), [activity]);
+  const labels = useMemo(() => monthLabels(calendar.weeks), [calendar]);
+  const languages = topLanguages(activity.languages);
+  const columns = { gridTemplateColumns: `repeat(${calendar.weeks.length}, var(--heat-cell))` };
+
+  return (
+    <div className="tui-activity">
+      <div className="tui-activity-head tui-dim">
+        {plural(calendar.total, 'commit')} in the last year
+        {activity.snapshotAt && ` · build snapshot from ${activity.snapshotAt.slice(0, 10)}`}
+      </div>
+
+      <div className="tui-heatmap-scroll">
+        <div className="tui-heatmap-days tui-dim" aria-hidden="true">
+          {WEEKDAYS.map((d, i) => <span key={i}>{d}</span>)}
+        </div>
+        <div>
+          <div className="tui-heatmap-months tui-dim" style={columns} aria-hidden="true">
+            {labels.map(l => <span key={l.index} style={{ gridColumn: l.index + 1 }}>{l.label}</span>)}
+          </div>
+          <div className="tui-heatmap" role="img" aria-label={`${plural(calendar.total, 'commit')} in the last year`}>
+            {calendar.weeks.flat().map(d => (
+              <span
+                key={d.date}
+                className="tui-heat-cell"
+                style={{ background: HEAT_COLORS[d.level] }}
+                title={`${plural(d.count, 'commit')} on ${d.date}`}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="tui-heat-legend tui-dim" aria-hidden="true">
+        less
+        {HEAT_COLORS.map(c => <span key={c} className="tui-heat-cell" style={{ background: c }} />)}
+        more
+      </div>
+
+      <div className="tui-kv-block tui-activity-repos">
+        {activity.repos.map(r => {
+          const counts = weeklyCounts(r.dates);
+          const recent = counts.reduce((n, c) => n + c, 0);
+          return (
+            <div key={r.name} className="tui-kv-row">
+              <span className="tui-kv-key tui-dim">{r.name.toLowerCase()}</span>
+              <span className="tui-sparkline" aria-label={`${plural(recent, 'commit')} in ${SPARKLINE_WEEKS} weeks`}>
+                {sparkline(counts)}
+              </span>
+              <span className="tui-kv-val tui-dim">{recent} / {SPARKLINE_WEEKS}wk</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {languages.length > 0 && (
+        <>
+          <div className="tui-lang-bar" aria-hidden="true">
+            {languages.map(l => (
+              <span key={l.name} style={{ width: percent(l.share), background: langColor(l.name) }} />
+            ))}
+          </div>
+          <ul className="tui-lang-legend">
+            {languages.map(l => (
+              <li key={l.name}>
+                <span className="tui-lang-dot" style={{ background: langColor(l.name) }} />
+                {l.name.toLowerCase()} <span className="tui-dim">{percent(l.share)}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
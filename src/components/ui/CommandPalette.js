@@ -1,8 +1,90 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { fuzzyMatch, toRanges } from '../../utils/fuzzy';
+import { loadFrecency, recordVisit, frecency } from '../../utils/frecency';
+import { loadPins, togglePin } from '../../utils/pins';
+import { keyAction, keyHint } from '../../utils/keymap';
+import { DEFAULT_KEYMAP } from '../../constants/keymap';
 
-export default function CommandPalette({ open, onClose, commands }) {
+// Keyword and hint matches count, but less than the label's
+const SECONDARY_WEIGHT = 0.7;
+// ~8 points for one pick today, ~28 for ten: enough to reorder close matches
+const FRECENCY_WEIGHT = 8;
+
+// Entries in the "recent" group of an empty palette
+const RECENT_LIMIT = 5;
+
+const boost = (timestamps) => FRECENCY_WEIGHT * Math.log2(1 + frecency(timestamps) / 100);
+
+// Fuzzy score of a command against the query, plus its frecency; null if nothing matches
+function rankCommand(query, command, visits) {
+  const label = fuzzyMatch(query, command.label);
+  const secondary = [...(command.keywords || []), ...(command.hint ? [command.hint] : [])]
+    .map(k => fuzzyMatch(query, k))
+    .reduce((best, m) => (m ? Math.max(best, m.score * SECONDARY_WEIGHT) : best), -Infinity);
+  if (!label && secondary === -Infinity) return null;
+  return {
+    ...command,
+    score: Math.max(label ? label.score : -Infinity, secondary) + boost(visits[command.id]),
+    labelRanges: label ? toRanges(label.positions) : undefined,
+  };
+}
+
+// Text with the matched [start, end) ranges marked
+function Highlight({ text, ranges }) {
+  if (!ranges || !ranges.length) return text;
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={i} className="cmdk-mark">{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
+// "Go to project…" → "Go to project"
+const pageTitle = (command) => command.label.replace(/…$/, '');
+
+// Every command by id, sub-page entries included
+function commandIndex(commands) {
+  const index = new Map();
+  const walk = (list) => list.forEach(c => {
+    index.set(c.id, c);
+    if (c.items) walk(typeof c.items === 'function' ? c.items() : c.items);
+  });
+  walk(commands);
+  return index;
+}
+
+/**
+ * Command palette. Commands are fuzzy-matched (see utils/fuzzy) and
+ * ranked with a frecency boost, so the visitor's usual picks come first.
+ * `search(query)` may add result groups below them: `{ id, label, items }`,
+ * where items are commands that can also carry `labelRanges` and a
+ * `snippet` ({ text, ranges }).
+ *
+ * Instead of `run()`, a command may open a sub-page with `items`, an
+ * array of commands or a function returning one, or ask for an argument
+ * first with `prompt` (the input's placeholder), in which case it's
+ * `run(value)`. The breadcrumb shows the pages opened; Backspace in an
+ * empty input goes back up.
+ *
+ * With an empty query the top level lists pinned commands, then the
+ * most frecent ones, then the rest. Picks of commands are recorded,
+ * search results aside, unless a command sets `track: false` because
+ * running it records the visit itself. Ids the commands don't cover,
+ * such as terminal lines from utils/frecency, are resolved with
+ * `lookup(id)`.
+ *
+ * Keys are the keymap's `palette` scope (constants/keymap).
+ */
+export default function CommandPalette({ open, onClose, commands, search, lookup, keymap = DEFAULT_KEYMAP }) {
   const [query, setQuery] = useState('');
   const [active, setActive] = useState(0);
+  const [visits, setVisits] = useState(loadFrecency);
+  const [pins, setPins] = useState(loadPins);
+  const [pages, setPages] = useState([]); // { title, items } or { title, prompt: command }
   const inputRef = useRef(null);
   const listRef = useRef(null);
 
@@ -10,46 +92,113 @@ export default function CommandPalette({ open, onClose, commands }) {
     if (open) {
       setQuery('');
       setActive(0);
+      setPages([]);
+      setVisits(loadFrecency());
+      setPins(loadPins());
       requestAnimationFrame(() => inputRef.current?.focus());
     }
   }, [open]);
 
+  const page = pages[pages.length - 1];
+  const prompting = page && page.prompt;
+
+  // Commands by id, for pins and recent entries; rebuilt on open so
+  // sub-pages built on demand are current
+  const find = useMemo(() => {
+    const index = open ? commandIndex(commands) : new Map();
+    return (id) => index.get(id) || (lookup && lookup(id)) || null;
+  }, [open, commands, lookup]);
+
+  // Pinned and recent entries from sub-pages or `lookup` can be searched from the top
+  const remembered = useMemo(() => {
+    const top = new Set(commands.map(c => c.id));
+    return [...new Set([...pins, ...Object.keys(visits)])].filter(id => !top.has(id)).map(find).filter(Boolean);
+  }, [commands, pins, visits, find]);
+
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return commands;
-    return commands.filter(c =>
-      c.label.toLowerCase().includes(q) ||
-      (c.hint && c.hint.toLowerCase().includes(q)) ||
-      (c.keywords && c.keywords.some(k => k.toLowerCase().includes(q)))
-    );
-  }, [commands, query]);
+    const current = page ? page.items || [] : [...commands, ...remembered];
+    const q = query.trim();
+    if (!q) return [...current].sort((a, b) => boost(visits[b.id]) - boost(visits[a.id]));
+    return current
+      .map(c => rankCommand(q, c, visits))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }, [page, commands, remembered, query, visits]);
 
-  useEffect(() => { setActive(0); }, [query]);
+  // Content search only runs on the top level
+  const groups = useMemo(() => {
+    if (!page && !query.trim()) {
+      const pinned = pins.map(find).filter(Boolean);
+      const recent = Object.keys(visits)
+        .filter(id => !pins.includes(id))
+        .sort((a, b) => frecency(visits[b]) - frecency(visits[a]))
+        .map(find)
+        .filter(Boolean)
+        .slice(0, RECENT_LIMIT);
+      const listed = new Set([...pinned, ...recent].map(c => c.id));
+      return [
+        { id: 'pinned', label: 'pinned', items: pinned },
+        { id: 'recent', label: 'recent', items: recent },
+        { id: 'commands', label: 'commands', items: commands.filter(c => !listed.has(c.id)) },
+      ].filter(g => g.items.length);
+    }
+    const found = search && !page && query.trim() ? search(query) : [];
+    return [{ id: 'commands', label: 'commands', items: filtered }, ...found].filter(g => g.items.length);
+  }, [filtered, search, page, query, commands, pins, visits, find]);
+
+  const items = useMemo(() => groups.flatMap(g => g.items), [groups]);
+
+  useEffect(() => { setActive(0); }, [query, pages]);
+
+  const choose = useCallback((cmd) => {
+    // Like pins, visits are kept only for commands, not search results
+    if (cmd.track !== false && find(cmd.id)) setVisits(recordVisit(cmd.id));
+    if (cmd.items || cmd.prompt) {
+      const next = cmd.items
+        ? { title: pageTitle(cmd), items: typeof cmd.items === 'function' ? cmd.items() : cmd.items }
+        : { title: pageTitle(cmd), prompt: cmd };
+      setPages(p => [...p, next]);
+      setQuery('');
+      return;
+    }
+    cmd.run();
+    onClose();
+  }, [onClose, find]);
+
+  // Search results aren't commands and can't be pinned
+  const pin = useCallback((cmd) => {
+    if (find(cmd.id)) setPins(togglePin(cmd.id));
+  }, [find]);
+
+  const submit = useCallback(() => {
+    const value = query.trim();
+    if (!value) return;
+    prompting.run(value);
+    onClose();
+  }, [query, prompting, onClose]);
 
   useEffect(() => {
     if (!open) return;
     const onKey = (e) => {
-      if (e.key === 'Escape') {
-        e.preventDefault();
-        onClose();
-      } else if (e.key === 'ArrowDown') {
-        e.preventDefault();
-        setActive(a => Math.min(a + 1, filtered.length - 1));
-      } else if (e.key === 'ArrowUp') {
-        e.preventDefault();
-        setActive(a => Math.max(a - 1, 0));
-      } else if (e.key === 'Enter') {
-        e.preventDefault();
-        const cmd = filtered[active];
-        if (cmd) {
-          cmd.run();
-          onClose();
-        }
-      }
+      const action = keyAction(keymap, 'palette', e);
+      // Backspace edits the query until it's empty
+      if (!action || (action === 'palette.back' && (query || !pages.length))) return;
+      if (prompting && !['palette.close', 'palette.back', 'palette.select'].includes(action)) return;
+      e.preventDefault();
+
+      const cmd = items[active];
+      if (action === 'palette.close') onClose();
+      else if (action === 'palette.back') setPages(p => p.slice(0, -1));
+      else if (action === 'palette.select') {
+        if (prompting) submit();
+        else if (cmd) choose(cmd);
+      } else if (action === 'palette.pin' && cmd) pin(cmd);
+      else if (action === 'palette.down') setActive(a => Math.min(a + 1, items.length - 1));
+      else if (action === 'palette.up') setActive(a => Math.max(a - 1, 0));
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [open, filtered, active, onClose]);
+  }, [open, items, active, query, pages, prompting, onClose, choose, pin, submit, keymap]);
 
   useEffect(() => {
     if (!listRef.current) return;
@@ -59,6 +208,8 @@ export default function CommandPalette({ open, onClose, commands }) {
 
   if (!open) return null;
 
+  const hint = (action) => keyHint(keymap, action);
+
   return (
     <div
       className="cmdk-overlay"
@@ -70,46 +221,84 @@ export default function CommandPalette({ open, onClose, commands }) {
       <div className="cmdk" onClick={(e) => e.stopPropagation()}>
         <div className="cmdk-input-row">
           <span className="cmdk-prompt" aria-hidden="true">❯</span>
+          {pages.length > 0 && (
+            <span className="cmdk-crumbs">
+              {pages.map((p, i) => (
+                <span key={i} className="cmdk-crumb">{p.title}</span>
+              ))}
+            </span>
+          )}
           <input
             ref={inputRef}
             className="cmdk-input"
             type="text"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            placeholder="Type a command or search…"
+            placeholder={prompting ? `${prompting.prompt}…` : page ? 'Filter…' : 'Type a command or search…'}
             aria-label="Command palette search"
             spellCheck={false}
             autoComplete="off"
           />
-          <kbd className="cmdk-kbd">esc</kbd>
+          <kbd className="cmdk-kbd">{hint('palette.close')}</kbd>
         </div>
 
-        <ul ref={listRef} className="cmdk-list" role="listbox">
-          {filtered.length === 0 && (
-            <li className="cmdk-empty">no matches</li>
-          )}
-          {filtered.map((c, i) => (
-            <li
-              key={c.id}
-              data-idx={i}
-              role="option"
-              aria-selected={i === active}
-              className={`cmdk-item${i === active ? ' cmdk-item--active' : ''}`}
-              onMouseEnter={() => setActive(i)}
-              onClick={() => { c.run(); onClose(); }}
-            >
-              <span className="cmdk-item-icon" aria-hidden="true">{c.icon || '›'}</span>
-              <span className="cmdk-item-label">{c.label}</span>
-              {c.hint && <span className="cmdk-item-hint">{c.hint}</span>}
-              {c.shortcut && <kbd className="cmdk-kbd">{c.shortcut}</kbd>}
-            </li>
-          ))}
-        </ul>
+        {prompting ? (
+          <div className="cmdk-prompt-hint">
+            {query.trim()
+              ? <><kbd className="cmdk-kbd">↵</kbd> {page.title}: <span className="cmdk-mark">{query.trim()}</span></>
+              : <>type the {prompting.prompt}, then <kbd className="cmdk-kbd">↵</kbd></>}
+          </div>
+        ) : (
+          <ul ref={listRef} className="cmdk-list" role="listbox">
+            {items.length === 0 && (
+              <li className="cmdk-empty">no matches</li>
+            )}
+            {groups.map((g, gi) => {
+              const offset = groups.slice(0, gi).reduce((n, prev) => n + prev.items.length, 0);
+              return (
+                <React.Fragment key={g.id}>
+                  {(groups.length > 1 || g.id !== 'commands') && (
+                    <li role="presentation" className="cmdk-group">{g.label}</li>
+                  )}
+                  {g.items.map((c, j) => {
+                    const i = offset + j;
+                    return (
+                      <li
+                        key={c.id}
+                        data-idx={i}
+                        role="option"
+                        aria-selected={i === active}
+                        className={`cmdk-item${i === active ? ' cmdk-item--active' : ''}`}
+                        onMouseEnter={() => setActive(i)}
+                        onClick={() => choose(c)}
+                      >
+                        <span className="cmdk-item-icon" aria-hidden="true">{c.icon || '›'}</span>
+                        <span className="cmdk-item-label">
+                          <Highlight text={c.label} ranges={c.labelRanges} />
+                          {c.snippet && c.snippet.text && (
+                            <span className="cmdk-item-snippet">
+                              <Highlight text={c.snippet.text} ranges={c.snippet.ranges} />
+                            </span>
+                          )}
+                        </span>
+                        {c.hint && <span className="cmdk-item-hint">{c.hint}</span>}
+                        {pins.includes(c.id) && <span className="cmdk-item-pin" aria-label="pinned">★</span>}
+                        {c.shortcut && <kbd className="cmdk-kbd">{c.shortcut}</kbd>}
+                      </li>
+                    );
+                  })}
+                </React.Fragment>
+              );
+            })}
+          </ul>
+        )}
 
         <div className="cmdk-footer">
-          <span><kbd className="cmdk-kbd">↑↓</kbd> navigate</span>
-          <span><kbd className="cmdk-kbd">↵</kbd> select</span>
-          <span><kbd className="cmdk-kbd">esc</kbd> close</span>
+          {!prompting && <span><kbd className="cmdk-kbd">{hint('palette.up')}{hint('palette.down')}</kbd> navigate</span>}
+          <span><kbd className="cmdk-kbd">{hint('palette.select')}</kbd> {prompting ? 'run' : 'select'}</span>
+          {pages.length > 0 && <span><kbd className="cmdk-kbd">{hint('palette.back')}</kbd> back</span>}
+          {!prompting && <span><kbd className="cmdk-kbd">{hint('palette.pin')}</kbd> pin</span>}
+          <span><kbd className="cmdk-kbd">{hint('palette.close')}</kbd> close</span>
         </div>
       </div>
     </div>
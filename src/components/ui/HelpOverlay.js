@@ -1,17 +1,12 @@
 import React, { useEffect } from 'react';
+import { KEY_SCOPES, KEY_ACTIONS, DEFAULT_KEYMAP } from '../../constants/keymap';
+import { formatKeys } from '../../utils/keymap';
 
-const SHORTCUTS = [
-  { keys: ['←', '→'], label: 'navigate sections' },
-  { keys: ['h', 'l'], label: 'vim-style navigate' },
-  { keys: ['1', '–', '6'], label: 'jump to section' },
-  { keys: ['⌘', 'K'], label: 'command palette' },
-  { keys: ['/'], label: 'open search' },
-  { keys: ['?'], label: 'toggle this help' },
-  { keys: ['g', 'h'], label: 'go to about' },
-  { keys: ['Esc'], label: 'close overlay' },
-];
-
-export default function HelpOverlay({ open, onClose }) {
+/**
+ * Every bound action in the keymap, grouped by scope
+ * @param {{ open: boolean, onClose: () => void, keymap?: Object<string, string[]>, preset?: string }} props
+ */
+export default function HelpOverlay({ open, onClose, keymap = DEFAULT_KEYMAP, preset = 'default' }) {
   useEffect(() => {
     if (!open) return;
     const onKey = (e) => {
@@ -33,20 +28,34 @@ export default function HelpOverlay({ open, onClose }) {
     >
       <div className="help-panel" onClick={(e) => e.stopPropagation()}>
         <div className="help-header">
-          <span className="help-title">keyboard shortcuts</span>
+          <span className="help-title">
+            keyboard shortcuts{preset !== 'default' && <span className="tui-dim"> · {preset}</span>}
+          </span>
           <button className="help-close" onClick={onClose} aria-label="Close">esc</button>
         </div>
         <ul className="help-list">
-          {SHORTCUTS.map((s) => (
-            <li key={s.label} className="help-row">
-              <span className="help-keys">
-                {s.keys.map((k, i) => (
-                  <kbd key={i} className="cmdk-kbd">{k}</kbd>
+          {KEY_SCOPES.map((scope) => {
+            const actions = KEY_ACTIONS.filter(a => a.scope === scope.id && (keymap[a.id] || []).length);
+            if (!actions.length) return null;
+            return (
+              <React.Fragment key={scope.id}>
+                <li role="presentation" className="help-group">{scope.label}</li>
+                {actions.map((a) => (
+                  <li key={a.id} className="help-row">
+                    <span className="help-keys">
+                      {keymap[a.id].map((keys, i) => (
+                        <React.Fragment key={keys}>
+                          {i > 0 && <span className="tui-dim">/</span>}
+                          {formatKeys(keys).map((k, j) => <kbd key={j} className="cmdk-kbd">{k}</kbd>)}
+                        </React.Fragment>
+                      ))}
+                    </span>
+                    <span className="help-label tui-dim">{a.label}</span>
+                  </li>
                 ))}
-              </span>
-              <span className="help-label tui-dim">{s.label}</span>
-            </li>
-          ))}
+              </React.Fragment>
+            );
+          })}
         </ul>
       </div>
     </div>
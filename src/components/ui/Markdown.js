@@ -0,0 +1,126 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown, safeUrl } from '../../utils/markdown';
+
+// Rendered inside a panel whose title is an h2, so `#` starts at h3
+const HEADING_OFFSET = 2;
+
+function Inline({ nodes, resolveUrl }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case 'code':
+        return <code key={i} className="tui-md-code">{n.text}</code>;
+      case 'strong':
+        return <strong key={i}><Inline nodes={n.children} resolveUrl={resolveUrl} /></strong>;
+      case 'em':
+        return <em key={i}><Inline nodes={n.children} resolveUrl={resolveUrl} /></em>;
+      case 'del':
+        return <del key={i}><Inline nodes={n.children} resolveUrl={resolveUrl} /></del>;
+      case 'break':
+        return <br key={i} />;
+      case 'link': {
+        const href = safeUrl(n.href, false, resolveUrl);
+        const children = <Inline nodes={n.children} resolveUrl={resolveUrl} />;
+        if (!href) return <React.Fragment key={i}>{children}</React.Fragment>;
+        const external = !href.startsWith('#');
+        return (
+          <a key={i} href={href} className="tui-md-link" {...(external && { target: '_blank', rel: 'noopener noreferrer' })}>
+            {children}
+          </a>
+        );
+      }
+      case 'image': {
+        const src = safeUrl(n.src, true, resolveUrl);
+        return src
+          ? <img key={i} src={src} alt={n.alt} loading="lazy" decoding="async" className="tui-md-img" />
+          : <React.Fragment key={i}>{n.alt}</React.Fragment>;
+      }
+      default:
+        return <React.Fragment key={i}>{n.text}</React.Fragment>;
+    }
+  });
+}
+
+function Block({ block, resolveUrl }) {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${Math.min(block.level + HEADING_OFFSET, 6)}`;
+      return (
+        <Tag className={`tui-md-h tui-md-h${block.level}`}>
+          <Inline nodes={block.children} resolveUrl={resolveUrl} />
+        </Tag>
+      );
+    }
+    case 'code':
+      return (
+        <pre className="tui-md-pre" data-lang={block.lang || undefined}>
+          <code>{block.text}</code>
+        </pre>
+      );
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag className="tui-md-list" start={block.ordered && block.start !== 1 ? block.start : undefined}>
+          {block.items.map((item, i) => (
+            <li key={i} className={item.checked === null ? undefined : 'tui-md-task'}>
+              {item.checked !== null && (
+                <input type="checkbox" className="tui-md-check" checked={item.checked} disabled readOnly />
+              )}
+              <Inline nodes={item.children} resolveUrl={resolveUrl} />
+              {item.blocks.map((b, j) => <Block key={j} block={b} resolveUrl={resolveUrl} />)}
+            </li>
+          ))}
+        </Tag>
+      );
+    }
+    case 'table':
+      return (
+        <div className="tui-md-table-scroll">
+          <table className="tui-md-table">
+            <thead>
+              <tr>
+                {block.header.map((cell, c) => (
+                  <th key={c} style={{ textAlign: block.align[c] || undefined }}>
+                    <Inline nodes={cell} resolveUrl={resolveUrl} />
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r}>
+                  {row.map((cell, c) => (
+                    <td key={c} style={{ textAlign: block.align[c] || undefined }}>
+                      <Inline nodes={cell} resolveUrl={resolveUrl} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'quote':
+      return (
+        <blockquote className="tui-md-quote">
+          {block.children.map((b, i) => <Block key={i} block={b} resolveUrl={resolveUrl} />)}
+        </blockquote>
+      );
+    case 'hr':
+      return <hr className="tui-md-hr" />;
+    default:
+      return <p className="tui-md-p"><Inline nodes={block.children} resolveUrl={resolveUrl} /></p>;
+  }
+}
+
+/**
+ * Markdown rendered with the TUI's styles (see utils/markdown)
+ * @param {{ source: string, resolveUrl?: import('../../utils/markdown').UrlResolver }} props
+ */
+export default function Markdown({ source, resolveUrl }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  return (
+    <div className="tui-md">
+      {blocks.map((b, i) => <Block key={i} block={b} resolveUrl={resolveUrl} />)}
+    </div>
+  );
+}
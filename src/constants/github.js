@@ -1,8 +1,9 @@
 // GitHub API configuration and constants
-export const GITHUB_API_BASE = 'https://api.github.com';
-export const GITHUB_USERNAME = 'rohithIlluri';
+import { PROFILE } from '../content';
 
-// Showcase repositories to display
-export const SHOWCASE_REPOS = ["Crave", "toronto-project", "cryptoapp", "Nnets"];
+// Point at scripts/github-mock-server.js with REACT_APP_GITHUB_API_URL
+export const GITHUB_API_BASE = process.env.REACT_APP_GITHUB_API_URL || 'https://api.github.com';
+export const GITHUB_USERNAME = 'rohithIlluri';
 
- 
\ No newline at end of file
+// This site's own repository
+export const SOURCE_REPO = PROFILE.source.split('/').pop();
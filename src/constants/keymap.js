@@ -0,0 +1,150 @@
+// Keyboard shortcuts: every action a key can trigger, the default keys
+// for each, and presets that rebind some of them. The TUI's key handler,
+// the help overlay and the palette's hints are all built from these
+// (see utils/keymap).
+import { SECTION_META } from '../content';
+
+/**
+ * Where an action's keys are listened for:
+ * - global:   anywhere, even while typing
+ * - main:     the sections, when no overlay is open and nothing has focus for typing
+ * - palette:  inside the command palette
+ * - terminal: in the terminal prompt
+ */
+export const KEY_SCOPES = [
+  { id: 'global',   label: 'anywhere' },
+  { id: 'main',     label: 'sections' },
+  { id: 'palette',  label: 'command palette' },
+  { id: 'terminal', label: 'terminal' },
+];
+
+// `g <letter>` jumps to a section
+const SECTION_CHORDS = {
+  about: 'h', skills: 's', projects: 'p', notes: 'n', music: 'm', movies: 'f', stats: 'r', shell: 't',
+};
+
+/**
+ * @typedef {Object} KeyAction
+ * @property {string} id
+ * @property {string} scope - A KEY_SCOPES id
+ * @property {string} label
+ */
+
+/** @type {KeyAction[]} In the order the help overlay lists them */
+export const KEY_ACTIONS = [
+  { id: 'palette.toggle', scope: 'global', label: 'command palette' },
+  { id: 'drawer.toggle',  scope: 'global', label: 'toggle terminal drawer' },
+  { id: 'palette.open',   scope: 'main',   label: 'open search' },
+  { id: 'help.toggle',    scope: 'main',   label: 'toggle this help' },
+  { id: 'section.prev',   scope: 'main',   label: 'previous section' },
+  { id: 'section.next',   scope: 'main',   label: 'next section' },
+  { id: 'item.next',      scope: 'main',   label: 'next item' },
+  { id: 'item.prev',      scope: 'main',   label: 'previous item' },
+  { id: 'item.first',     scope: 'main',   label: 'first item' },
+  { id: 'item.last',      scope: 'main',   label: 'last item' },
+  { id: 'item.open',      scope: 'main',   label: 'open item' },
+  { id: 'item.external',  scope: 'main',   label: 'open item in a new tab' },
+  { id: 'item.copy',      scope: 'main',   label: "copy item's link" },
+  { id: 'scroll.down',    scope: 'main',   label: 'scroll down' },
+  { id: 'scroll.up',      scope: 'main',   label: 'scroll up' },
+  { id: 'scroll.top',     scope: 'main',   label: 'scroll to top' },
+  { id: 'scroll.bottom',  scope: 'main',   label: 'scroll to bottom' },
+  ...SECTION_META.map(s => ({ id: `go.${s.id}`, scope: 'main', label: `go to ${s.label}` })),
+  { id: 'palette.down',   scope: 'palette', label: 'next entry' },
+  { id: 'palette.up',     scope: 'palette', label: 'previous entry' },
+  { id: 'palette.select', scope: 'palette', label: 'select' },
+  { id: 'palette.back',   scope: 'palette', label: 'back, in an empty input' },
+  { id: 'palette.pin',    scope: 'palette', label: 'pin or unpin' },
+  { id: 'palette.close',  scope: 'palette', label: 'close' },
+  { id: 'terminal.complete',     scope: 'terminal', label: 'complete' },
+  { id: 'terminal.history-prev', scope: 'terminal', label: 'previous command' },
+  { id: 'terminal.history-next', scope: 'terminal', label: 'next command' },
+  { id: 'terminal.search',       scope: 'terminal', label: 'search history' },
+  { id: 'terminal.cancel',       scope: 'terminal', label: 'cancel line or running command' },
+  { id: 'terminal.clear',        scope: 'terminal', label: 'clear screen' },
+];
+
+/**
+ * Action id → key sequences. A sequence is steps separated by spaces
+ * (`g p`); a step is a key with optional `mod+`, `ctrl+`, `alt+`,
+ * `shift+` or `meta+` in front (`mod+k`). `mod` is ⌘ or Ctrl.
+ * @type {Object<string, string[]>}
+ */
+export const DEFAULT_KEYMAP = {
+  'palette.toggle': ['mod+k'],
+  'drawer.toggle':  ['ctrl+`'],
+  'palette.open':   ['/'],
+  'help.toggle':    ['?'],
+  'section.prev':   ['ArrowLeft', 'h'],
+  'section.next':   ['ArrowRight', 'l'],
+  'item.next':      ['ArrowDown', 'j'],
+  'item.prev':      ['ArrowUp', 'k'],
+  'item.first':     ['Home'],
+  'item.last':      ['End'],
+  'item.open':      ['Enter'],
+  'item.external':  ['o'],
+  'item.copy':      ['y'],
+  ...Object.fromEntries(SECTION_META.map((s, i) => [
+    `go.${s.id}`,
+    [...(i < 9 ? [String(i + 1)] : []), ...(SECTION_CHORDS[s.id] ? [`g ${SECTION_CHORDS[s.id]}`] : [])],
+  ])),
+  'palette.down':   ['ArrowDown'],
+  'palette.up':     ['ArrowUp'],
+  'palette.select': ['Enter'],
+  'palette.back':   ['Backspace'],
+  'palette.pin':    ['mod+d'],
+  'palette.close':  ['Escape'],
+  'terminal.complete':     ['Tab'],
+  'terminal.history-prev': ['ArrowUp'],
+  'terminal.history-next': ['ArrowDown'],
+  'terminal.search':       ['ctrl+r'],
+  'terminal.cancel':       ['ctrl+c'],
+  'terminal.clear':        ['ctrl+l'],
+};
+
+/**
+ * @typedef {Object} KeymapPreset
+ * @property {string} id
+ * @property {string} description
+ * @property {Object<string, string[]>} keymap - Replaces these actions' default keys
+ */
+
+// Outside macOS, browsers keep Ctrl+N for a new window, so the bindings
+// that use it only work on a Mac
+/** @type {KeymapPreset[]} */
+export const KEYMAP_PRESETS = [
+  { id: 'default', description: 'arrows, h/l and g-chords', keymap: {} },
+  {
+    id: 'vim',
+    description: 'j/k items, gg/G, C-e/C-y scroll, / to search',
+    keymap: {
+      'palette.open':   ['/'],
+      'item.first':     ['g g'],
+      'item.last':      ['shift+g'],
+      'scroll.down':    ['ctrl+e'],
+      'scroll.up':      ['ctrl+y'],
+      'palette.down':   ['ArrowDown', 'ctrl+n'],
+      'palette.up':     ['ArrowUp', 'ctrl+p'],
+    },
+  },
+  {
+    id: 'emacs',
+    description: 'C-n/C-p items, C-f/C-b sections, C-v/M-v scroll, M-x',
+    keymap: {
+      'palette.open':   ['/', 'alt+x'],
+      'section.prev':   ['ArrowLeft', 'ctrl+b'],
+      'section.next':   ['ArrowRight', 'ctrl+f'],
+      'item.next':      ['ArrowDown', 'ctrl+n'],
+      'item.prev':      ['ArrowUp', 'ctrl+p'],
+      'item.first':     ['alt+<'],
+      'item.last':      ['alt+>'],
+      'scroll.down':    ['ctrl+v'],
+      'scroll.up':      ['alt+v'],
+      'palette.down':   ['ArrowDown', 'ctrl+n'],
+      'palette.up':     ['ArrowUp', 'ctrl+p'],
+      'palette.close':  ['Escape', 'ctrl+g'],
+      'terminal.history-prev': ['ArrowUp', 'ctrl+p'],
+      'terminal.history-next': ['ArrowDown', 'ctrl+n'],
+    },
+  },
+];
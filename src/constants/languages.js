@@ -0,0 +1,28 @@
+// ── Language → accent color ──────────────────────────────
+// Shared by the Projects list and the terminal's `projects` output so a
+// language reads the same color everywhere.
+export const LANG_COLORS = {
+  javascript: '#fbbf24',
+  typescript: '#60a5fa',
+  python:     '#60a5fa',
+  'next.js':  '#e4e4e4',
+  nextjs:     '#e4e4e4',
+  react:      '#22d3ee',
+  'node.js':  '#4ade80',
+  java:       '#f87171',
+  go:         '#22d3ee',
+  rust:       '#fb923c',
+  html:       '#fb923c',
+  css:        '#a78bfa',
+  'jupyter notebook': '#f97316',
+};
+
+export const DEFAULT_LANG_COLOR = '#6b6b6b';
+
+/**
+ * Accent color for a language or framework name (case-insensitive)
+ * @param {string} [lang]
+ * @returns {string} Hex color
+ */
+export const langColor = (lang) =>
+  lang ? (LANG_COLORS[lang.toLowerCase()] ?? DEFAULT_LANG_COLOR) : DEFAULT_LANG_COLOR;
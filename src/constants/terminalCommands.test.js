@@ -0,0 +1,71 @@
+import { runCommand } from './terminalCommands';
+import { createFileSystem, HOME } from '../utils/vfs';
+import { completeInput } from '../utils/completion';
+
+const run = async (line, context) => {
+  const res = await runCommand(line, context);
+  return { ...res, out: res.lines.map(l => l.text) };
+};
+
+describe('runCommand', () => {
+  it('skips && after a failure and runs || after it', async () => {
+    const { out, status } = await run('nope && echo skipped || echo recovered');
+    expect(out).toEqual([expect.stringContaining('command not found: nope'), 'recovered']);
+    expect(status).toBe(0);
+  });
+
+  it('skips || after a success', async () => {
+    expect((await run('echo a || echo b && echo c')).out).toEqual(['a', 'c']);
+  });
+
+  it('runs every command after ;, whatever the status', async () => {
+    const { out, status } = await run('nope; echo next');
+    expect(out.slice(-1)).toEqual(['next']);
+    expect(status).toBe(0);
+  });
+
+  it('feeds a pipeline stage into the next', async () => {
+    const line = 'echo b > f; echo a >> f; echo b >> f; cat f | sort | uniq';
+    expect((await run(line, { fs: createFileSystem(), cwd: HOME })).out).toEqual(['a', 'b']);
+  });
+
+  it('keeps the status of the last pipeline', async () => {
+    expect((await run('echo a && nope')).status).toBe(127);
+  });
+
+  it('writes and appends redirected output to the filesystem', async () => {
+    const fs = createFileSystem();
+    const { out } = await run('echo one > log; echo two >> log; cat log', { fs, cwd: HOME });
+    expect(out).toEqual(['one', 'two']);
+    expect(fs.readFile('log', HOME)).toBe('one\ntwo');
+  });
+
+  it('reports syntax errors without running anything', async () => {
+    const { out, status } = await run('echo a |');
+    expect(out).toEqual([expect.stringContaining('syntax error')]);
+    expect(status).not.toBe(0);
+  });
+});
+
+describe('open', () => {
+  it('resolves sections and items as the router does', async () => {
+    expect((await run('open projects')).navigate).toEqual({ section: 'projects', detail: null, item: null });
+    expect((await run('open #/Projects/CRAVE')).navigate).toEqual({ section: 'projects', detail: 'crave', item: null });
+    expect((await run('open notes?item=nope')).navigate).toEqual({ section: 'notes', detail: null, item: null });
+  });
+
+  it('rejects paths the router would not serve', async () => {
+    for (const line of ['open nowhere', 'open projects/nope', 'open projects/crave/more']) {
+      const { out, status, navigate } = await run(line);
+      expect(out).toEqual([expect.stringContaining('no such section or item')]);
+      expect(status).not.toBe(0);
+      expect(navigate).toBeUndefined();
+    }
+  });
+
+  it('completes sections, then their items', () => {
+    const env = { fs: createFileSystem(), cwd: HOME };
+    expect(completeInput('open pro', 8, env).candidates).toEqual(['projects', 'projects/']);
+    expect(completeInput('open projects/cra', 17, env).candidates).toEqual(['projects/crave']);
+  });
+});
@@ -0,0 +1,138 @@
+// ========================================
+// PORTFOLIO CONTENT
+// ========================================
+//
+// Single source of truth for everything the site says about Rohith.
+// The data lives in portfolio.json and is checked by
+// scripts/validate-content.js before every start/build — edit the JSON,
+// never copy these values into components. Notes are markdown files in
+// notes/, compiled to notes.json by scripts/build-notes.js.
+// ========================================
+
+import content from './portfolio.json';
+import notes from './notes.json';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string}   name     - Display name
+ * @property {string}   handle   - Short lowercase handle used in prompts
+ * @property {string}   tagline  - One-line description
+ * @property {string}   jobTitle - Job title for structured data
+ * @property {string}   image    - Avatar path under public/
+ * @property {string[]} roles    - Short role list for `whoami`
+ * @property {string}   email    - Contact address
+ * @property {string}   site     - Canonical site URL (no trailing slash)
+ * @property {string}   source   - Source repository URL
+ * @property {string[]} bio      - Bio, one sentence per entry
+ * @property {string[]} offline  - Things done away from the keyboard
+ */
+
+/**
+ * @typedef {Object} Social
+ * @property {string} label - Lowercase network name
+ * @property {string} icon  - One or two glyph icon
+ * @property {string} href  - Absolute URL or mailto: link
+ */
+
+/**
+ * @typedef {Object} SectionMeta
+ * @property {string} id      - Hash/route id
+ * @property {string} label   - Tab label
+ * @property {string} icon    - Palette icon
+ * @property {string} summary - One-line description for crawlers
+ */
+
+/**
+ * @typedef {Object} Skill
+ * @property {string} name
+ * @property {string} color - Hex tag color
+ */
+
+/**
+ * @typedef {Object} Project
+ * @property {string}      slug        - URL/file-system safe id
+ * @property {string}      name        - Display name
+ * @property {string}      repo        - GitHub repository name (case-sensitive)
+ * @property {string}      desc        - Short lowercase description
+ * @property {string}      description - Long description
+ * @property {string[]}    tech        - Tech stack
+ * @property {string}      language    - Primary language label
+ * @property {string|null} live        - Live demo URL
+ * @property {string|null} screenshot  - Path under public/
+ */
+
+/**
+ * @typedef {Object} Artist
+ * @property {string} slug
+ * @property {string} name
+ * @property {string} desc
+ * @property {string} spotifyId
+ * @property {string} url - Spotify artist URL
+ * @property {string} img - Path under public/
+ */
+
+/**
+ * @typedef {Object} Movie
+ * @property {string}      slug
+ * @property {string}      name
+ * @property {number}      year
+ * @property {string}      desc
+ * @property {number}      tmdbId
+ * @property {string}      url - TMDB URL
+ * @property {string|null} img - Path under public/
+ */
+
+/**
+ * @typedef {Object} Note
+ * @property {string}   slug        - File name in notes/, without .md
+ * @property {string}   title
+ * @property {string}   date        - YYYY-MM-DD
+ * @property {string}   [updated]   - YYYY-MM-DD
+ * @property {string}   summary
+ * @property {string[]} tags
+ * @property {number}   words
+ * @property {number}   readingTime - Minutes
+ * @property {string}   body        - Markdown without the front-matter
+ */
+
+/**
+ * @typedef {Object} Stat
+ * @property {string}  key     - snake_case key used in stats.json
+ * @property {string}  label   - Human label
+ * @property {string}  value
+ * @property {boolean} [trivia] - De-emphasised, not a real record
+ */
+
+/** @type {Profile} */
+export const PROFILE = content.profile;
+
+/** @type {Social[]} */
+export const SOCIALS = content.socials;
+
+/** @type {SectionMeta[]} */
+export const SECTION_META = content.sections;
+
+/** @type {Skill[]} */
+export const SKILLS = content.skills;
+
+/** @type {Project[]} */
+export const PROJECTS = content.projects;
+
+/** @type {Artist[]} */
+export const ARTISTS = content.artists;
+
+/** @type {Movie[]} */
+export const MOVIES = content.movies;
+
+/** @type {Note[]} Newest first */
+export const NOTES = notes;
+
+/** @type {Stat[]} */
+export const STATS = content.stats;
+
+/**
+ * Strip the scheme from a link for compact display
+ * @param {string} href
+ * @returns {string}
+ */
+export const displayHref = (href) => href.replace(/^https?:\/\//, '').replace(/^mailto:/, '');
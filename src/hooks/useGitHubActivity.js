@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+import { fetchActivity } from '../utils/activity';
+
+/**
+ * Commit activity and languages across the site's repos, fetched once
+ * on mount (see utils/activity)
+ * @returns {import('../utils/activity').Activity|null} null until loaded
+ */
+export default function useGitHubActivity() {
+  const [activity, setActivity] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchActivity({ signal: controller.signal }).then(setActivity, () => {
+      // aborted on unmount
+    });
+    return () => controller.abort();
+  }, []);
+
+  return activity;
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { getGitHubStatus, subscribeGitHubStatus } from '../utils/githubClient';
+
+/**
+ * Live GitHub client status, for stale-data indicators
+ * @returns {import('../utils/githubClient').GitHubStatus}
+ */
+export default function useGitHubStatus() {
+  return useSyncExternalStore(subscribeGitHubStatus, getGitHubStatus);
+}
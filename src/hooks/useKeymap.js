@@ -0,0 +1,12 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { getKeymapSettings, subscribeKeymap, resolveKeymap } from '../utils/keymap';
+
+/**
+ * The keymap in use, following preset and override changes live
+ * @returns {{ keymap: Object<string, string[]>, settings: import('../utils/keymap').KeymapSettings }}
+ */
+export default function useKeymap() {
+  const settings = useSyncExternalStore(subscribeKeymap, getKeymapSettings);
+  const keymap = useMemo(() => resolveKeymap(settings), [settings]);
+  return { keymap, settings };
+}
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+const TIMEOUT = 8000;
+
+/**
+ * Whether a live demo answers. The request is `no-cors`, so the response
+ * is opaque, but it only resolves when the host responded at all.
+ * @param {string|null} url
+ * @returns {'none'|'checking'|'up'|'down'} `none` when there is no URL
+ */
+export default function useLiveStatus(url) {
+  const [status, setStatus] = useState(url ? 'checking' : 'none');
+
+  useEffect(() => {
+    if (!url) {
+      setStatus('none');
+      return undefined;
+    }
+    let cancelled = false;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT);
+    setStatus('checking');
+    fetch(url, { mode: 'no-cors', cache: 'no-store', signal: controller.signal }).then(
+      () => !cancelled && setStatus('up'),
+      () => !cancelled && setStatus('down'),
+    );
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [url]);
+
+  return status;
+}
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import { fetchReadme } from '../utils/github';
+
+const LOADING = { markdown: null, loading: true, error: null, cachedAt: null, snapshotAt: null };
+
+/**
+ * A repository's README (see utils/github fetchReadme)
+ * @param {string} repo - Repository name
+ * @returns {{ markdown: string|null, loading: boolean, error: Error|null, cachedAt: number|null, snapshotAt: string|null }}
+ *          `error.status` is 404 when the repo has no README
+ */
+export default function useReadme(repo) {
+  const [state, setState] = useState(LOADING);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState(LOADING);
+    fetchReadme(repo, { signal: controller.signal }).then(
+      res => setState({ ...res, loading: false, error: null }),
+      error => {
+        if (error.name !== 'AbortError') setState({ ...LOADING, loading: false, error });
+      },
+    );
+    return () => controller.abort();
+  }, [repo]);
+
+  return state;
+}
@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchRepos, knownRepo } from '../utils/github';
+
+const toMap = (repos) => Object.fromEntries(repos.map(r => [r.name, r]));
+
+/**
+ * Repository data, stale-while-revalidate: the first render already has
+ * whatever is cached or in the build snapshot, and live data replaces it
+ * once the background fetch answers.
+ * @param {string[]} repoNames - Repository names (case-sensitive)
+ * @returns {{ repos: Object<string, Object>, loading: boolean, refresh: (force?: boolean) => Promise<void> }}
+ *          `refresh(true)` revalidates even fresh cache entries
+ */
+export default function useRepoData(repoNames) {
+  const key = repoNames.join('\n');
+  const [repos, setRepos] = useState(() => toMap(repoNames.map(knownRepo).filter(Boolean)));
+  const [loading, setLoading] = useState(false);
+  const controllerRef = useRef(null);
+
+  const refresh = useCallback(async (force = false) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    try {
+      const fresh = await fetchRepos(key ? key.split('\n') : [], { force, signal: controller.signal });
+      setRepos(prev => ({ ...prev, ...toMap(fresh) }));
+    } catch {
+      // aborted; a newer refresh or unmount took over
+    } finally {
+      if (controllerRef.current === controller) setLoading(false);
+    }
+  }, [key]);
+
+  useEffect(() => {
+    refresh();
+    return () => controllerRef.current?.abort();
+  }, [refresh]);
+
+  return { repos, loading, refresh };
+}
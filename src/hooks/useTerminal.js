@@ -1,18 +1,46 @@
 import { useState, useCallback, useRef } from 'react';
-import { runCommand, TAB_COMPLETIONS } from '../constants/terminalCommands';
+import { runCommand } from '../constants/terminalCommands';
+import { completeInput, commonPrefix } from '../utils/completion';
+import { createFileSystem, HOME } from '../utils/vfs';
+import { loadHistory, saveHistory, addToHistory, expandHistory, searchHistory } from '../utils/history';
+import { recordVisit, shellEntryId } from '../utils/frecency';
+import { keyAction } from '../utils/keymap';
+import { DEFAULT_KEYMAP } from '../constants/keymap';
 
 let uid = 0;
 const makeId = () => `l${++uid}`;
 
-export default function useTerminal() {
+/**
+ * Terminal session state. It lives in the host (the TUI) rather than the
+ * Terminal component, so the shell section and the drawer share one session.
+ * @param {Object} [options]
+ * @param {(route: import('../utils/routes').Route) => void} [options.onNavigate] - Called when a command (`open`) asks the host to show a route
+ * @param {Object<string, string[]>} [options.keymap] - Its `terminal` scope drives the prompt's keys; history search keeps readline's
+ */
+export default function useTerminal({ onNavigate, keymap = DEFAULT_KEYMAP } = {}) {
   const [lines, setLines]               = useState([]);
   const [inputValue, setInputValue]     = useState('');
-  const [cmdHistory, setCmdHistory]     = useState([]);
   const [historyIndex, setHistoryIndex] = useState(-1);
   const [creatureState, setCreatureState] = useState('boot');
   const [isBooting, setIsBooting]       = useState(true);
   const creatureTimer = useRef(null);
-  const historyRef    = useRef([]);   // mirror of cmdHistory for sync reads
+  const historyRef    = useRef(null); // most recent first, persisted per browser
+  if (!historyRef.current) historyRef.current = loadHistory();
+  const [cwd, setCwd]   = useState(HOME);
+  const cwdRef        = useRef(HOME); // mirror of cwd for sync reads
+  const fsRef         = useRef(null);
+  if (!fsRef.current) fsRef.current = createFileSystem();
+  // Tab menu: { items, index, input, start, end, encode } while cycling matches
+  const [completion, setCompletion] = useState(null);
+  // Caret to restore after a programmatic edit: { pos }
+  const [caret, setCaret]           = useState(null);
+  // Ctrl+R: { query, index, failed, original } while searching history
+  const [search, setSearch]         = useState(null);
+  // Command line currently running, and the controller that cancels it
+  const [pending, setPending]       = useState(null);
+  const abortRef      = useRef(null);
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
 
   const triggerCreature = useCallback((state) => {
     if (!state || state === 'idle') return;
@@ -34,70 +62,209 @@ export default function useTerminal() {
     if (!trimmed) return;
 
     // echo the command
-    setLines(prev => [...prev, { id: makeId(), text: trimmed, isCommand: true }]);
-
-    // update history (ref stays in sync for immediate reads)
-    historyRef.current = [trimmed, ...historyRef.current];
-    setCmdHistory(historyRef.current);
+    const echo = { id: makeId(), text: trimmed, isCommand: true, cwd: cwdRef.current };
     setHistoryIndex(-1);
+
+    // !! / !n / !prefix — bash prints the expansion under the command
+    let line;
+    try {
+      const { line: expanded, expanded: changed } = expandHistory(trimmed, historyRef.current);
+      line = expanded;
+      setLines(prev => [...prev, echo, ...(changed ? [{ id: makeId(), text: line, dim: true }] : [])]);
+    } catch (e) {
+      setLines(prev => [...prev, echo, { id: makeId(), text: e.message, stderr: true }]);
+      triggerCreature('error');
+      return;
+    }
+
+    historyRef.current = addToHistory(historyRef.current, line);
+    saveHistory(historyRef.current);
+    recordVisit(shellEntryId(line)); // for the palette's recent commands
     setCreatureState('thinking');
 
-    const { lines: out, creatureHint } = await runCommand(trimmed, {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPending(line);
+
+    // Output streams in while the command runs
+    const { creatureHint, cwd: nextCwd, clearHistory, navigate } = await runCommand(line, {
       history: historyRef.current,
+      fs: fsRef.current,
+      cwd: cwdRef.current,
+      signal: controller.signal,
+      onOutput: (out, { clear }) => {
+        if (clear) setLines([]);
+        if (out.length) appendLines(out);
+      },
     });
 
-    if (out === null) {
-      setLines([]);
-    } else if (out && out.length) {
-      appendLines(out);
+    abortRef.current = null;
+    setPending(null);
+
+    if (nextCwd) {
+      cwdRef.current = nextCwd;
+      setCwd(nextCwd);
+    }
+
+    if (clearHistory) {
+      historyRef.current = [];
+      saveHistory([]);
     }
 
+    if (navigate && onNavigateRef.current) onNavigateRef.current(navigate);
+
     triggerCreature(creatureHint || 'celebrate');
   }, [appendLines, triggerCreature]);
 
+  // Replace `range.start..range.end` of `input` and park the caret after it
+  const replaceRange = useCallback((input, range, text) => {
+    setInputValue(input.slice(0, range.start) + text + input.slice(range.end));
+    setCaret({ pos: range.start + text.length });
+  }, []);
+
+  const handleTab = useCallback((e) => {
+    if (completion) {
+      const n = completion.items.length;
+      const step = e.shiftKey ? -1 : 1;
+      const index = completion.index < 0 && step < 0 ? n - 1 : (completion.index + step + n) % n;
+      setCompletion({ ...completion, index });
+      replaceRange(completion.input, completion, completion.encode(completion.items[index], false));
+      return;
+    }
+
+    const cursor = e.target.selectionStart ?? inputValue.length;
+    const c = completeInput(inputValue, cursor, { fs: fsRef.current, cwd: cwdRef.current });
+    if (!c.candidates.length) return;
+
+    if (c.candidates.length === 1) {
+      replaceRange(inputValue, c, c.encode(c.candidates[0], true));
+      return;
+    }
+    // bash-style: extend to the shared prefix first, show the menu once that's exhausted
+    const prefix = commonPrefix(c.candidates);
+    if (prefix.length > c.word.length) {
+      replaceRange(inputValue, c, c.encode(prefix, false));
+      return;
+    }
+    setCompletion({ items: c.candidates, index: -1, input: inputValue, start: c.start, end: c.end, encode: c.encode });
+  }, [completion, inputValue, replaceRange]);
+
+  // ── Reverse-i-search ──
+  const handleChange = useCallback((value) => {
+    if (!search) {
+      setInputValue(value);
+      return;
+    }
+    const index = searchHistory(historyRef.current, value);
+    // A failing search keeps showing the last match, like bash
+    setSearch({ ...search, query: value, index: index < 0 ? search.index : index, failed: !!value && index < 0 });
+  }, [search]);
+
+  const handleSearchKey = useCallback((e) => {
+    const match = historyRef.current[search.index];
+
+    if (e.key === 'r' && e.ctrlKey) {
+      e.preventDefault();
+      const index = searchHistory(historyRef.current, search.query, search.index + 1);
+      setSearch({ ...search, index: index < 0 ? search.index : index, failed: index < 0 });
+
+    } else if (e.key === 'Escape' || ((e.key === 'g' || e.key === 'c') && e.ctrlKey)) {
+      e.preventDefault();
+      setSearch(null);
+      setInputValue(e.key === 'c' ? '' : search.original);
+
+    } else if (e.key === 'Enter' && !abortRef.current) {
+      e.preventDefault();
+      setSearch(null);
+      setInputValue('');
+      executeCommand(match !== undefined ? match : search.original);
+
+    } else if (['Enter', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Tab', 'Home', 'End'].includes(e.key)) {
+      // Leave search with the match ready to edit (Enter too while a command runs)
+      e.preventDefault();
+      const value = match !== undefined ? match : search.original;
+      setSearch(null);
+      setInputValue(value);
+      setCaret({ pos: value.length });
+    }
+  }, [search, executeCommand]);
+
   const handleKeyDown = useCallback((e) => {
+    const action = keyAction(keymap, 'terminal', e);
+    // Cancel interrupts a running command before anything else
+    if (abortRef.current && action === 'terminal.cancel') {
+      e.preventDefault();
+      abortRef.current.abort();
+      abortRef.current = null;
+      appendLines([{ text: '^C', dim: true }]);
+      return;
+    }
+    if (search) {
+      handleSearchKey(e);
+      return;
+    }
+    if (action === 'terminal.search') {
+      e.preventDefault();
+      setCompletion(null);
+      setSearch({ query: '', index: -1, failed: false, original: inputValue });
+      return;
+    }
+    if (action === 'terminal.complete') {
+      e.preventDefault();
+      handleTab(e);
+      return;
+    }
+    if (completion && e.key === 'Escape') {
+      e.preventDefault();
+      setInputValue(completion.input);
+      setCaret({ pos: completion.end });
+      setCompletion(null);
+      return;
+    }
+    // Any other key accepts the highlighted match
+    if (completion && e.key !== 'Shift') setCompletion(null);
+
     if (e.key === 'Enter') {
+      if (abortRef.current) return; // still running: keep the typed line
       const val = inputValue;
       setInputValue('');
       executeCommand(val);
 
-    } else if (e.key === 'ArrowUp') {
+    } else if (action === 'terminal.history-prev') {
       e.preventDefault();
       const next = Math.min(historyIndex + 1, historyRef.current.length - 1);
       setHistoryIndex(next);
       if (historyRef.current[next] !== undefined) setInputValue(historyRef.current[next]);
 
-    } else if (e.key === 'ArrowDown') {
+    } else if (action === 'terminal.history-next') {
       e.preventDefault();
       const next = historyIndex - 1;
       setHistoryIndex(next);
       setInputValue(next < 0 ? '' : historyRef.current[next] || '');
 
-    } else if (e.key === 'Tab') {
-      e.preventDefault();
-      const matches = TAB_COMPLETIONS.filter(c => c.startsWith(inputValue) && c !== inputValue);
-      if (matches.length === 1) {
-        setInputValue(matches[0]);
-      } else if (matches.length > 1) {
-        appendLines([{ text: matches.join('   '), dim: true }]);
-      }
-
-    } else if (e.key === 'c' && e.ctrlKey) {
+    } else if (action === 'terminal.cancel') {
       e.preventDefault();
       if (inputValue) {
         setLines(prev => [
           ...prev,
-          { id: makeId(), text: `${inputValue} ^C`, isCommand: true, dim: true },
+          { id: makeId(), text: `${inputValue} ^C`, isCommand: true, dim: true, cwd: cwdRef.current },
         ]);
       }
       setInputValue('');
       setHistoryIndex(-1);
 
-    } else if (e.key === 'l' && e.ctrlKey) {
+    } else if (action === 'terminal.clear') {
       e.preventDefault();
       setLines([]);
     }
-  }, [inputValue, historyIndex, executeCommand, appendLines]);
+  }, [keymap, inputValue, historyIndex, completion, search, executeCommand, appendLines, handleTab, handleSearchKey]);
+
+  // Show something the host did as if it had been typed, without running
+  // it or adding it to history. Dropped until the terminal has booted.
+  const echo = useCallback((text) => {
+    if (isBooting) return;
+    appendLines([{ text, isCommand: true, dim: true, cwd: cwdRef.current }]);
+  }, [isBooting, appendLines]);
 
   const handleBootComplete = useCallback(() => {
     setIsBooting(false);
@@ -106,7 +273,11 @@ export default function useTerminal() {
 
   return {
     lines, inputValue, setInputValue,
-    creatureState, isBooting,
-    handleKeyDown, handleBootComplete,
+    creatureState, isBooting, cwd,
+    completion, caret, pending,
+    search: search && { query: search.query, match: historyRef.current[search.index] || '', failed: search.failed },
+    handleChange, handleKeyDown, handleBootComplete, echo,
+    // Run a line as if it had been typed, e.g. from the command palette
+    run: executeCommand,
   };
 }
@@ -3,6 +3,16 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import { HashRouter as Router } from 'react-router-dom';
+import { applyTheme, loadTheme } from './utils/theme';
+
+applyTheme(loadTheme());
+
+// Under the HashRouter the skip link's #main would be a route; move
+// focus to the content instead
+document.querySelector('.skip-link')?.addEventListener('click', (e) => {
+  e.preventDefault();
+  document.getElementById('main')?.focus();
+});
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -0,0 +1,189 @@
+// ========================================
+// GITHUB ACTIVITY
+// ========================================
+//
+// Commit activity and languages across this site's repo and every
+// project repo, built on the GitHub utilities (so it shares their
+// cache, rate-limit handling and snapshot fallback):
+// - contributionCalendar  GitHub-style heatmap: one column per week
+// - weeklyCounts/sparkline per-repo commit trend
+// - languageBreakdown     bytes per language, summed over repos
+//
+// The commits API returns a repo's latest 100 commits, so the calendar
+// covers at most that many per repo. StatsSection renders all of this
+// as a grid, `stats --github` as block characters.
+// ========================================
+
+import { fetchCommits, fetchLanguages } from './github';
+import { SOURCE_REPO } from '../constants/github';
+import { PROJECT_REPOS } from '../constants/projects';
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+export const HEATMAP_WEEKS = 52;
+export const SPARKLINE_WEEKS = 12;
+
+// Level 0 (no commits) to 4, shared by the grid and the terminal
+export const HEAT_COLORS = ['#1e1e1e', '#14532d', '#15803d', '#22c55e', '#4ade80'];
+export const HEAT_CHARS = ['·', '░', '▒', '▓', '█'];
+
+const BARS = '▁▂▃▄▅▆▇█';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * @typedef {Object} CalendarDay
+ * @property {string} date  - Local `YYYY-MM-DD`
+ * @property {number} count - Commits that day
+ * @property {number} level - 0–4, relative to the busiest day
+ */
+
+/**
+ * @typedef {Object} Activity
+ * @property {{ name: string, dates: string[] }[]} repos - Commit dates (ISO) per repo, newest first
+ * @property {string[]} dates - Every commit date
+ * @property {{ name: string, bytes: number, share: number }[]} languages
+ * @property {string|null} snapshotAt - Set when any repo came from the build snapshot
+ */
+
+// ── Aggregation ───────────────────────────────────────────
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Local calendar day of a date, as `YYYY-MM-DD` */
+export const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * Commits per day laid out like GitHub's contribution graph: columns are
+ * weeks (Sunday first), oldest first, ending with the current partial week
+ * @param {string[]} dates - Commit dates
+ * @param {{ weeks?: number, now?: number }} [options]
+ * @returns {{ weeks: CalendarDay[][], total: number, max: number }}
+ */
+export function contributionCalendar(dates, { weeks = HEATMAP_WEEKS, now = Date.now() } = {}) {
+  const today = new Date(now);
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - weeks * 7 - today.getDay());
+  const first = dayKey(start);
+  const last = dayKey(today);
+
+  const counts = new Map();
+  for (const date of dates) {
+    const key = dayKey(date);
+    if (key >= first && key <= last) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const max = Math.max(0, ...counts.values());
+  const level = (count) => (count ? Math.min(4, Math.ceil((4 * count) / max)) : 0);
+
+  const columns = [];
+  // Date arithmetic by calendar day, so DST shifts can't skip or repeat one
+  for (let i = 0; ; i++) {
+    const key = dayKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    if (key > last) break;
+    if (i % 7 === 0) columns.push([]);
+    const count = counts.get(key) || 0;
+    columns[columns.length - 1].push({ date: key, count, level: level(count) });
+  }
+
+  const total = [...counts.values()].reduce((n, c) => n + c, 0);
+  return { weeks: columns, total, max };
+}
+
+/**
+ * Month names over the weeks they start in, skipping one that would
+ * crowd the next
+ * @param {CalendarDay[][]} weeks
+ * @returns {{ index: number, label: string }[]}
+ */
+export function monthLabels(weeks) {
+  const labels = [];
+  weeks.forEach((week, index) => {
+    const month = Number(week[0].date.slice(5, 7)) - 1;
+    const previous = index && Number(weeks[index - 1][0].date.slice(5, 7)) - 1;
+    if (index === 0 || month !== previous) labels.push({ index, label: MONTHS[month] });
+  });
+  return labels.filter((l, i) => !labels[i + 1] || labels[i + 1].index - l.index >= 3);
+}
+
+/**
+ * Commits in each of the last `weeks` weeks, oldest first
+ * @param {string[]} dates
+ * @param {{ weeks?: number, now?: number }} [options]
+ * @returns {number[]}
+ */
+export function weeklyCounts(dates, { weeks = SPARKLINE_WEEKS, now = Date.now() } = {}) {
+  const counts = new Array(weeks).fill(0);
+  for (const date of dates) {
+    const ago = Math.floor((now - Date.parse(date)) / WEEK);
+    if (ago >= 0 && ago < weeks) counts[weeks - 1 - ago]++;
+  }
+  return counts;
+}
+
+/**
+ * `▁▃█▂` bars scaled to the largest value; any activity shows above the baseline
+ * @param {number[]} counts
+ * @returns {string}
+ */
+export function sparkline(counts) {
+  const max = Math.max(0, ...counts);
+  return counts.map(c => BARS[c ? Math.max(1, Math.round((c / max) * (BARS.length - 1))) : 0]).join('');
+}
+
+/**
+ * Sum bytes per language across repos
+ * @param {Object<string, number>[]} maps - `/languages` payloads
+ * @returns {{ name: string, bytes: number, share: number }[]} Largest first; shares sum to 1
+ */
+export function languageBreakdown(maps) {
+  const totals = new Map();
+  for (const map of maps) {
+    for (const [name, bytes] of Object.entries(map)) totals.set(name, (totals.get(name) || 0) + bytes);
+  }
+  const sum = [...totals.values()].reduce((n, b) => n + b, 0);
+  return [...totals]
+    .map(([name, bytes]) => ({ name, bytes, share: bytes / sum }))
+    .sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * The largest languages, the rest folded into `other`
+ * @param {{ name: string, share: number }[]} languages - From languageBreakdown
+ * @param {number} [count=6]
+ * @returns {{ name: string, share: number }[]}
+ */
+export function topLanguages(languages, count = 6) {
+  const rest = languages.slice(count).reduce((n, l) => n + l.share, 0);
+  return rest ? [...languages.slice(0, count), { name: 'other', share: rest }] : languages.slice(0, count);
+}
+
+// ── Fetching ──────────────────────────────────────────────
+
+const REPOS = [SOURCE_REPO, ...PROJECT_REPOS];
+
+/**
+ * Commits and languages for every repo. A repo that can't be read at
+ * all (not even from the snapshot) is left out.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Activity>}
+ */
+export async function fetchActivity({ signal } = {}) {
+  const skipFailed = (error) => {
+    if (error.name === 'AbortError') throw error;
+    return null;
+  };
+  const [histories, languages] = await Promise.all([
+    Promise.all(REPOS.map(name => fetchCommits(name, { signal }).then(res => ({ name, ...res }), skipFailed))),
+    Promise.all(PROJECT_REPOS.map(name => fetchLanguages(name, { signal }))),
+  ]);
+
+  const repos = histories.filter(Boolean);
+  return {
+    repos: repos.map(r => ({ name: r.name, dates: r.commits.map(c => c.date) })),
+    dates: repos.flatMap(r => r.commits.map(c => c.date)),
+    languages: languageBreakdown(languages),
+    snapshotAt: (repos.find(r => r.snapshotAt) || {}).snapshotAt || null,
+  };
+}
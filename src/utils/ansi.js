@@ -0,0 +1,162 @@
+// ========================================
+// RICH TEXT & ANSI
+// ========================================
+//
+// Terminal lines can carry styled spans instead of one flat style:
+//
+//   { text: 'crave  React', spans: [{ text: 'crave', bold: true }, ...] }
+//
+// `text` is always the plain string so pipes, grep and redirection keep
+// working on it. Lines without spans may instead contain ANSI SGR escape
+// sequences (and OSC 8 hyperlinks), which parseAnsi turns into spans.
+// ========================================
+
+import { safeUrl } from './markdown';
+
+/**
+ * @typedef {Object} Span
+ * @property {string}  text
+ * @property {string}  [color]      - CSS color
+ * @property {string}  [background] - CSS color
+ * @property {boolean} [bold]
+ * @property {boolean} [dim]
+ * @property {boolean} [italic]
+ * @property {boolean} [underline]
+ * @property {boolean} [strike]
+ * @property {string}  [href]       - Opens in a new tab
+ */
+
+// eslint-disable-next-line no-control-regex
+const ANSI_RE = /\x1b\[([0-9;]*)m|\x1b\]8;[^;\x07\x1b]*;([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+
+// 30–37 / 90–97, matching the site palette where it has one
+const BASIC = ['#0a0a0a', '#f87171', '#4ade80', '#fbbf24', '#60a5fa', '#c084fc', '#22d3ee', '#e4e4e4'];
+const BRIGHT = ['#6b6b6b', '#fca5a5', '#86efac', '#fde68a', '#93c5fd', '#d8b4fe', '#67e8f9', '#ffffff'];
+
+/** @param {string} text */
+// eslint-disable-next-line no-control-regex
+export const hasAnsi = (text) => /\x1b[[\]]/.test(text);
+
+/**
+ * Remove escape sequences, leaving the visible text
+ * @param {string} text
+ * @returns {string}
+ */
+export const stripAnsi = (text) => text.replace(ANSI_RE, '');
+
+// xterm 256-color palette entry
+function color256(n) {
+  if (n < 8) return BASIC[n];
+  if (n < 16) return BRIGHT[n - 8];
+  if (n >= 232) {
+    const v = 8 + (n - 232) * 10;
+    return `rgb(${v}, ${v}, ${v})`;
+  }
+  const i = n - 16;
+  const level = (c) => (c ? 55 + c * 40 : 0);
+  return `rgb(${level(Math.floor(i / 36))}, ${level(Math.floor(i / 6) % 6)}, ${level(i % 6)})`;
+}
+
+/**
+ * Apply one SGR parameter list to a style, returning the new style
+ * @param {Object} style
+ * @param {number[]} codes
+ * @returns {Object}
+ */
+function applySgr(style, codes) {
+  const next = { ...style };
+  for (let i = 0; i < codes.length; i++) {
+    const c = codes[i];
+    if (c === 0) Object.keys(next).forEach(k => { if (k !== 'href') delete next[k]; });
+    else if (c === 1) next.bold = true;
+    else if (c === 2) next.dim = true;
+    else if (c === 3) next.italic = true;
+    else if (c === 4) next.underline = true;
+    else if (c === 9) next.strike = true;
+    else if (c === 22) { delete next.bold; delete next.dim; }
+    else if (c === 23) delete next.italic;
+    else if (c === 24) delete next.underline;
+    else if (c === 29) delete next.strike;
+    else if (c >= 30 && c <= 37) next.color = BASIC[c - 30];
+    else if (c >= 90 && c <= 97) next.color = BRIGHT[c - 90];
+    else if (c === 39) delete next.color;
+    else if (c >= 40 && c <= 47) next.background = BASIC[c - 40];
+    else if (c >= 100 && c <= 107) next.background = BRIGHT[c - 100];
+    else if (c === 49) delete next.background;
+    else if (c === 38 || c === 48) {
+      const key = c === 38 ? 'color' : 'background';
+      if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+        next[key] = color256(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+        next[key] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+        i += 4;
+      }
+    }
+  }
+  return next;
+}
+
+/**
+ * Split text containing ANSI SGR / OSC 8 sequences into styled spans
+ * @param {string} text
+ * @returns {Span[]}
+ */
+export function parseAnsi(text) {
+  const spans = [];
+  let style = {};
+  let last = 0;
+
+  const push = (chunk) => {
+    if (chunk) spans.push({ ...style, text: chunk });
+  };
+
+  text.replace(ANSI_RE, (match, sgr, href, offset) => {
+    push(text.slice(last, offset));
+    last = offset + match.length;
+    if (sgr !== undefined) {
+      style = applySgr(style, sgr === '' ? [0] : sgr.split(';').map(Number));
+    } else {
+      // OSC 8 with a URL opens a link, without one closes it. Text from
+      // echo -e or GitHub can carry javascript: links; those stay plain.
+      const { href: _closed, ...rest } = style;
+      const safe = href && safeUrl(href, false);
+      style = safe ? { ...rest, href: safe } : rest;
+    }
+    return match;
+  });
+  push(text.slice(last));
+  return spans;
+}
+
+// Trailing punctuation belongs to the sentence, not the URL
+const URL_RE = /\bhttps?:\/\/[^\s<>"')\]]*[^\s<>"')\].,;:!?]/g;
+
+/**
+ * Spans for a plain string with bare http(s) URLs made clickable
+ * @param {string} text
+ * @returns {Span[]}
+ */
+export function linkify(text) {
+  const spans = [];
+  let last = 0;
+  for (const m of text.matchAll(URL_RE)) {
+    if (m.index > last) spans.push({ text: text.slice(last, m.index) });
+    spans.push({ text: m[0], href: m[0] });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) spans.push({ text: text.slice(last) });
+  return spans;
+}
+
+/**
+ * The spans to render for a terminal line: explicit spans, parsed ANSI,
+ * or the plain text with URLs linked
+ * @param {{ text: string, spans?: Span[] }} line
+ * @returns {Span[]}
+ */
+export function lineSpans(line) {
+  if (line.spans) return line.spans;
+  const text = line.text || '';
+  return hasAnsi(text) ? parseAnsi(text) : linkify(text);
+}
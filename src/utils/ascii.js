@@ -0,0 +1,60 @@
+// ── Image → ASCII (canvas, browser only) ─────────────────
+const ASCII_CHARS = [' ', '.', ':', '-', '=', '+', 'x', '%', '#', '@'];
+const ART_W = 44;
+const ART_H = 20;
+
+const abortError = () => Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+/**
+ * Render an image as rows of ASCII characters by luminance
+ * @param {string} src - Image URL
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - Cancels the image download
+ * @returns {Promise<string[]>} ART_H rows, or a placeholder row when the image fails
+ * @throws {Error} AbortError when `signal` aborts first
+ */
+export async function imageToAscii(src, { signal } = {}) {
+  const img = new Image();
+  try {
+    await new Promise((res, rej) => {
+      if (signal && signal.aborted) {
+        rej(abortError());
+        return;
+      }
+      const onAbort = () => {
+        img.src = '';
+        rej(abortError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      img.onload = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        res();
+      };
+      img.onerror = (e) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        rej(e);
+      };
+      img.src = src;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width  = ART_W;
+    canvas.height = ART_H;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, ART_W, ART_H);
+    const { data } = ctx.getImageData(0, 0, ART_W, ART_H);
+    const rows = [];
+    for (let y = 0; y < ART_H; y++) {
+      let row = '';
+      for (let x = 0; x < ART_W; x++) {
+        const i = (y * ART_W + x) * 4;
+        const lum = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+        row += ASCII_CHARS[Math.floor(lum * (ASCII_CHARS.length - 1))];
+      }
+      rows.push(row);
+    }
+    return rows;
+  } catch (e) {
+    if (e && e.name === 'AbortError') throw e;
+    return ['  [image unavailable]'];
+  }
+}
@@ -0,0 +1,183 @@
+// ========================================
+// COMMAND REGISTRY
+// ========================================
+//
+// Every terminal command is a plain definition object registered here.
+// The runner dispatches through it, and `help`, `man <cmd>` and tab
+// completion (utils/completion) are generated from the same definitions,
+// so a command only has to be described once.
+//
+// Sections can contribute their own commands:
+//
+//   const unregister = registerCommands([{ name: 'open', ... }]);
+//
+// The returned function removes them again, which makes registering from
+// a React effect safe. Registering a name that already exists replaces
+// the previous definition.
+// ========================================
+
+/**
+ * @typedef {Object} Operand
+ * @property {string}  name       - Placeholder shown in usage, e.g. `path`
+ * @property {'path'|'dir'|'command'|'project'|string[]} [type] - Drives completion; an array lists fixed values
+ * @property {boolean} [required]
+ * @property {boolean} [variadic] - Accepts any number of values
+ */
+
+/**
+ * @typedef {Object} ArgSpec
+ * @property {Object<string, string>} [flags]    - Single-letter boolean flags → description.
+ *                                                 Unknown flags are rejected unless `options` is set.
+ * @property {Object<string, string>} [options]  - Flags taking a value, e.g. `{ '-n <num>': '…' }`.
+ *                                                 Documentation only; the handler parses them.
+ * @property {Operand[]}             [operands]
+ */
+
+/**
+ * @typedef {Object} CompletionContext
+ * @property {string[]} args  - Words before the one being completed (command excluded)
+ * @property {number}   index - Argument index of the word being completed
+ * @property {string}   word  - Partial word
+ * @property {Object}   fs    - Virtual filesystem
+ * @property {string}   cwd
+ */
+
+/**
+ * @typedef {Object} CommandDef
+ * @property {string}   name
+ * @property {string[]} [aliases]
+ * @property {string}   description  - One line for `help`
+ * @property {string}   [group]      - Heading `help` lists the command under
+ * @property {string}   [usage]      - Synopsis; generated from `args` when omitted
+ * @property {ArgSpec}  [args]
+ * @property {boolean}  [hidden]     - Left out of `help` and completion
+ * @property {(ctx: CompletionContext) => string[]} [complete] - Candidates for an argument
+ * @property {(args: string[], ctx: Object) => Object|Promise<Object>|AsyncGenerator} run
+ *           Receives the expanded arguments and `{ cmd, fs, cwd, stdin, isTTY, history,
+ *           signal, emit }`, returns `{ lines, creatureHint, status, cwd?, clear? }`.
+ *           Long-running handlers stream with `emit(lines)` or by being an async
+ *           generator that yields lines and returns the result; either way they
+ *           should stop when `signal` aborts.
+ */
+
+const commands = new Map(); // name → CommandDef
+const aliases  = new Map(); // alias → name
+
+// ── Registration ──────────────────────────────────────────
+
+/**
+ * Remove a command and its aliases. Only removes `def` itself when given,
+ * so a stale unregister can't drop a newer definition with the same name.
+ * @param {string} name
+ * @param {CommandDef} [def]
+ */
+export function unregisterCommand(name, def) {
+  const current = commands.get(name);
+  if (!current || (def && current !== def)) return;
+  commands.delete(name);
+  for (const [alias, target] of aliases) {
+    if (target === name) aliases.delete(alias);
+  }
+}
+
+/**
+ * Register one command
+ * @param {CommandDef} def
+ * @returns {() => void} Unregister function
+ */
+export function registerCommand(def) {
+  if (!def || !/^[a-z][a-z0-9-]*$/.test(def.name || '')) {
+    throw new Error(`registerCommand: invalid command name "${def && def.name}"`);
+  }
+  if (typeof def.run !== 'function') {
+    throw new Error(`registerCommand: "${def.name}" has no run()`);
+  }
+  unregisterCommand(def.name);
+  commands.set(def.name, def);
+  (def.aliases || []).forEach(a => aliases.set(a, def.name));
+  return () => unregisterCommand(def.name, def);
+}
+
+/**
+ * Register several commands at once
+ * @param {CommandDef[]} defs
+ * @returns {() => void} Unregisters all of them
+ */
+export function registerCommands(defs) {
+  const undo = defs.map(registerCommand);
+  return () => undo.forEach(fn => fn());
+}
+
+// ── Lookup ────────────────────────────────────────────────
+
+/**
+ * Find a command by name or alias (case-insensitive)
+ * @param {string} name
+ * @returns {CommandDef|null}
+ */
+export function getCommand(name) {
+  const key = (name || '').toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * Registered commands in registration order
+ * @param {Object} [opts]
+ * @param {boolean} [opts.hidden=false] - Include hidden commands
+ * @returns {CommandDef[]}
+ */
+export function listCommands({ hidden = false } = {}) {
+  return [...commands.values()].filter(c => hidden || !c.hidden);
+}
+
+// ── Arguments ─────────────────────────────────────────────
+
+const isFlag = (a) => a.length > 1 && a.startsWith('-');
+
+/**
+ * Synopsis line, e.g. `ls [-al] [path ...]`
+ * @param {CommandDef} def
+ * @returns {string}
+ */
+export function formatUsage(def) {
+  if (def.usage) return def.usage;
+  const { flags = {}, options = {}, operands = [] } = def.args || {};
+  const letters = Object.keys(flags).sort().join('');
+  return [
+    def.name,
+    ...(letters ? [`[-${letters}]`] : []),
+    ...Object.keys(options).map(o => `[${o}]`),
+    ...operands.map(o => {
+      const name = o.variadic ? `${o.name} ...` : o.name;
+      return o.required ? name : `[${name}]`;
+    }),
+  ].join(' ');
+}
+
+/**
+ * Check arguments against a command's spec
+ * @param {CommandDef} def
+ * @param {string[]} args
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateArgs(def, args) {
+  if (!def.args) return null;
+  const { flags, options, operands } = def.args;
+  const positional = options ? args : args.filter(a => !isFlag(a));
+
+  if (flags && !options) {
+    for (const a of args.filter(isFlag)) {
+      const bad = [...a.slice(1)].find(f => !(f in flags));
+      if (bad) return `invalid option -- '${bad}'`;
+    }
+  }
+
+  if (operands && !options) {
+    const required = operands.filter(o => o.required).length;
+    const max = operands.some(o => o.variadic) ? Infinity : operands.length;
+    if (positional.length < required) return 'missing operand';
+    if (positional.length > max) return 'too many arguments';
+  }
+
+  return null;
+}
@@ -0,0 +1,232 @@
+// ========================================
+// TAB COMPLETION
+// ========================================
+//
+// Works out what is being completed from the text left of the cursor:
+//
+//   cat pro|          → argument 1 of `cat`, a path
+//   ls | gr|          → a command name (new pipeline stage)
+//   git |             → argument 0 of `git`, its own provider
+//   ls -|             → a flag of `ls`
+//   echo hi > no|     → a redirect target, always a path
+//
+// Candidates come from the command registry: a command's `complete`
+// provider, or the completer for its operand `type`.
+// ========================================
+
+import { getCommand, listCommands } from './commandRegistry';
+
+const OPERATORS = ['&&', '||', '>>', ';', '|', '>'];
+
+/**
+ * @typedef {Object} CompletionTarget
+ * @property {string[]} args     - Completed words of the current command, command name first
+ * @property {string}   word     - Partial word at the cursor, quotes and escapes removed
+ * @property {number}   start    - Index in the input where the partial word begins
+ * @property {string|null} quote - Open quote character the word is inside of
+ * @property {boolean}  redirect - Word is the target of `>` / `>>`
+ */
+
+/**
+ * Split the text left of the cursor into the current command's words.
+ * Unlike the shell parser this never throws: an unterminated quote just
+ * means the cursor is inside it.
+ * @param {string} input - Text before the cursor
+ * @returns {CompletionTarget}
+ */
+export function scanInput(input) {
+  let words = [];
+  let cur = null;
+  let quote = null;
+  let pendingRedirect = false;
+
+  const endWord = () => {
+    if (cur && !cur.redirect) words.push(cur.value);
+    cur = null;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && /["\\$`]/.test(input[i + 1] || '')) cur.value += input[++i];
+      else cur.value += c;
+      continue;
+    }
+    if (/\s/.test(c)) { endWord(); continue; }
+
+    const op = OPERATORS.find(o => input.startsWith(o, i));
+    if (op) {
+      endWord();
+      i += op.length - 1;
+      if (op[0] === '>') {
+        pendingRedirect = true;
+      } else {
+        words = [];
+        pendingRedirect = false;
+      }
+      continue;
+    }
+
+    if (!cur) {
+      cur = { value: '', start: i, redirect: pendingRedirect };
+      pendingRedirect = false;
+    }
+    if (c === "'" || c === '"') quote = c;
+    else if (c === '\\') cur.value += input[++i] || '';
+    else cur.value += c;
+  }
+
+  return {
+    args: words,
+    word: cur ? cur.value : '',
+    start: cur ? cur.start : input.length,
+    quote,
+    redirect: cur ? cur.redirect : pendingRedirect,
+  };
+}
+
+// ── Sources ───────────────────────────────────────────────
+
+/**
+ * Directory entries completing a partial path, directories with a trailing `/`
+ * @param {string} word
+ * @param {{ fs: Object, cwd: string }} env
+ * @param {boolean} [dirsOnly]
+ * @returns {string[]}
+ */
+export function completePath(word, { fs, cwd }, dirsOnly = false) {
+  const slash = word.lastIndexOf('/');
+  const dir = slash < 0 ? '' : word.slice(0, slash + 1);
+  const base = word.slice(slash + 1);
+  try {
+    return fs.readdir(dir || '.', cwd)
+      .filter(e => !dirsOnly || e.node.type === 'dir')
+      .filter(e => !e.name.startsWith('.') || base.startsWith('.'))
+      .map(e => `${dir}${e.name}${e.node.type === 'dir' ? '/' : ''}`);
+  } catch {
+    return [];
+  }
+}
+
+const commandNames = () => listCommands().flatMap(c => [c.name, ...(c.aliases || [])]);
+
+const TYPE_COMPLETERS = {
+  path:    (ctx) => completePath(ctx.word, ctx, false),
+  dir:     (ctx) => completePath(ctx.word, ctx, true),
+  command: () => commandNames(),
+};
+
+/**
+ * Register a completion source for an operand type, e.g. `project`
+ * @param {string} type
+ * @param {(ctx: import('./commandRegistry').CompletionContext) => string[]} fn
+ */
+export function registerOperandType(type, fn) {
+  TYPE_COMPLETERS[type] = fn;
+}
+
+const isFlag = (a) => a.length > 1 && a.startsWith('-');
+
+function flagCandidates(def) {
+  const { flags = {}, options = {} } = def.args || {};
+  return [
+    ...Object.keys(flags).sort().map(f => `-${f}`),
+    ...Object.keys(options).map(o => o.split(' ')[0]),
+  ];
+}
+
+function argumentCandidates(def, ctx) {
+  if (ctx.word.startsWith('-')) {
+    const flags = flagCandidates(def);
+    if (flags.length) return flags;
+  }
+  if (def.complete) return def.complete(ctx);
+
+  const operands = (def.args && def.args.operands) || [];
+  if (!operands.length) return [];
+  const position = ctx.args.filter(a => !isFlag(a)).length;
+  const operand = operands[Math.min(position, operands.length - 1)];
+  if (position >= operands.length && !operand.variadic) return [];
+  if (Array.isArray(operand.type)) return operand.type;
+  const fn = TYPE_COMPLETERS[operand.type];
+  return fn ? fn(ctx) : [];
+}
+
+// ── Engine ────────────────────────────────────────────────
+
+/**
+ * Longest prefix shared by every string
+ * @param {string[]} strings
+ * @returns {string}
+ */
+export function commonPrefix(strings) {
+  if (!strings.length) return '';
+  let prefix = strings[0];
+  for (const s of strings.slice(1)) {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === s[i]) i++;
+    prefix = prefix.slice(0, i);
+  }
+  return prefix;
+}
+
+/**
+ * Quote or escape a completed word so it re-parses to the same value
+ * @param {string} value
+ * @param {string|null} quote - Quote the user opened, kept open unless `close`
+ * @param {boolean} close
+ * @returns {string}
+ */
+function encodeWord(value, quote, close) {
+  if (quote === "'") return `'${value.replace(/'/g, "'\\''")}${close ? "'" : ''}`;
+  if (quote === '"') return `"${value.replace(/(["\\$`])/g, '\\$1')}${close ? '"' : ''}`;
+  // `~` is left alone so a leading one still expands to $HOME
+  return value.replace(/([\s'"\\|;&<>*?[\]$])/g, '\\$1');
+}
+
+/**
+ * @typedef {Object} Completion
+ * @property {number}   start      - Start of the range to replace
+ * @property {number}   end        - End of the range to replace (the cursor)
+ * @property {string}   word       - Partial word being completed
+ * @property {string[]} candidates - Sorted matches, raw values
+ * @property {(value: string, final: boolean) => string} encode
+ *           Text that replaces `start..end` for a value; `final` adds the
+ *           closing quote and trailing space when it isn't a directory
+ */
+
+/**
+ * Completion candidates for the word under the cursor
+ * @param {string} input
+ * @param {number} cursor - Caret position in `input`
+ * @param {{ fs: Object, cwd: string }} env
+ * @returns {Completion}
+ */
+export function completeInput(input, cursor, env) {
+  const target = scanInput(input.slice(0, cursor));
+  const { args, word, quote } = target;
+
+  let candidates;
+  if (target.redirect) {
+    candidates = completePath(word, env);
+  } else if (!args.length) {
+    candidates = commandNames();
+  } else {
+    const def = getCommand(args[0]);
+    const rest = args.slice(1);
+    candidates = def ? argumentCandidates(def, { ...env, args: rest, index: rest.length, word }) : [];
+  }
+
+  return {
+    start: target.start,
+    end: cursor,
+    word,
+    candidates: [...new Set(candidates)].filter(c => c.startsWith(word)).sort(),
+    encode: (value, final) => {
+      const done = final && !value.endsWith('/');
+      return encodeWord(value, quote, done) + (done ? ' ' : '');
+    },
+  };
+}
@@ -0,0 +1,98 @@
+// ========================================
+// FRECENCY
+// ========================================
+//
+// How often and how recently the visitor picked each palette entry or
+// ran each terminal command, persisted to localStorage so favourites
+// float up across sessions. Each entry keeps its last MAX_VISITS
+// timestamps; a visit is worth less the older it is (the weighting
+// browsers use for URL bars).
+//
+// Palette entries are keyed by command id, terminal commands by
+// `shell:<line>`.
+// ========================================
+
+export const FRECENCY_KEY = 'palette:frecency';
+
+const SHELL_PREFIX = 'shell:';
+
+const MAX_VISITS = 10;
+const MAX_ENTRIES = 200;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Visit age (days) → weight
+const BUCKETS = [[4, 100], [14, 70], [31, 50], [90, 30], [Infinity, 10]];
+
+/**
+ * Read persisted visits: entry id → timestamps, newest first
+ * @returns {Object<string, number[]>}
+ */
+export function loadFrecency() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(FRECENCY_KEY));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record that an entry was picked. Storage failures are ignored.
+ * @param {string} id
+ * @param {number} [now]
+ * @returns {Object<string, number[]>} The updated visits
+ */
+export function recordVisit(id, now = Date.now()) {
+  const visits = loadFrecency();
+  visits[id] = [now, ...(Array.isArray(visits[id]) ? visits[id] : [])].slice(0, MAX_VISITS);
+
+  // Forget the least recently used entries past the cap
+  const ids = Object.keys(visits).sort((a, b) => visits[b][0] - visits[a][0]);
+  for (const stale of ids.slice(MAX_ENTRIES)) delete visits[stale];
+
+  try {
+    window.localStorage.setItem(FRECENCY_KEY, JSON.stringify(visits));
+  } catch {
+    // ignore
+  }
+  return visits;
+}
+
+/**
+ * Forget every visit. Storage failures are ignored.
+ */
+export function clearFrecency() {
+  try {
+    window.localStorage.removeItem(FRECENCY_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Frecency of one entry: the sum of its visits' weights
+ * @param {number[]|undefined} timestamps
+ * @param {number} [now]
+ * @returns {number} 0 for an entry never picked
+ */
+export function frecency(timestamps, now = Date.now()) {
+  if (!Array.isArray(timestamps)) return 0;
+  return timestamps.reduce((sum, t) => {
+    const age = (now - t) / DAY;
+    return sum + BUCKETS.find(([days]) => age < days)[1];
+  }, 0);
+}
+
+/**
+ * Entry id of a terminal command line
+ * @param {string} line
+ * @returns {string}
+ */
+export const shellEntryId = (line) => `${SHELL_PREFIX}${line}`;
+
+/**
+ * The command line behind a terminal entry id
+ * @param {string} id
+ * @returns {string|null} null for palette entries
+ */
+export const shellEntryLine = (id) => (id.startsWith(SHELL_PREFIX) ? id.slice(SHELL_PREFIX.length) : null);
@@ -0,0 +1,50 @@
+import { frecency, recordVisit, loadFrecency, clearFrecency, shellEntryId, shellEntryLine, FRECENCY_KEY } from './frecency';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+afterEach(() => window.localStorage.clear());
+
+describe('frecency', () => {
+  it('weighs recent visits more', () => {
+    expect(frecency([NOW - DAY], NOW)).toBe(100);
+    expect(frecency([NOW - 10 * DAY], NOW)).toBe(70);
+    expect(frecency([NOW - 365 * DAY], NOW)).toBe(10);
+  });
+
+  it('adds visits up, so frequent beats a single recent one', () => {
+    const often = [NOW - 20 * DAY, NOW - 21 * DAY, NOW - 22 * DAY];
+    expect(frecency(often, NOW)).toBeGreaterThan(frecency([NOW], NOW));
+  });
+
+  it('is 0 for an entry never picked', () => {
+    expect(frecency(undefined, NOW)).toBe(0);
+  });
+});
+
+describe('recordVisit', () => {
+  it('keeps the newest visits first and persists them', () => {
+    recordVisit('go-about', NOW - DAY);
+    recordVisit('go-about', NOW);
+    expect(loadFrecency()['go-about']).toEqual([NOW, NOW - DAY]);
+  });
+
+  it('forgets everything on clear', () => {
+    recordVisit('go-about', NOW);
+    clearFrecency();
+    expect(window.localStorage.getItem(FRECENCY_KEY)).toBeNull();
+    expect(loadFrecency()).toEqual({});
+  });
+
+  it('ignores malformed data', () => {
+    window.localStorage.setItem(FRECENCY_KEY, '[1, 2]');
+    expect(loadFrecency()).toEqual({});
+  });
+});
+
+describe('shell entries', () => {
+  it('round-trips a command line', () => {
+    expect(shellEntryLine(shellEntryId('ls -l'))).toBe('ls -l');
+    expect(shellEntryLine('go-about')).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+// ========================================
+// FUZZY MATCHING
+// ========================================
+//
+// fzf-style subsequence matching for the command palette: "gtpr" finds
+// "Go to projects". Every pattern character has to appear in order; the
+// best-scoring alignment wins, found by dynamic programming in
+// O(pattern × text).
+//
+// Scoring, roughly fzf's:
+// - each matched character              +16
+// - at a word start (after space, -, /) +8, ×2 for the first character
+// - at a camelCase hump or digit        +7
+// - right after the previous match      +4 (or the word-start bonus)
+// - same case as typed                  +1
+// - a gap                               -3 to open, -1 per extra char
+//
+// Lowercase patterns match any case; one uppercase letter makes the
+// whole pattern case-sensitive (smart case).
+// ========================================
+
+const SCORE_MATCH = 16;
+const SCORE_GAP_START = -3;
+const SCORE_GAP_EXTENSION = -1;
+const BONUS_BOUNDARY = 8;
+const BONUS_CAMEL = 7;
+const BONUS_CONSECUTIVE = 4;
+const BONUS_FIRST_CHAR = 2;
+const BONUS_CASE = 1;
+
+const charClass = (c) => (/\p{Ll}/u.test(c) ? 'lower' : /\p{Lu}/u.test(c) ? 'upper' : /\p{N}/u.test(c) ? 'digit' : /\p{L}/u.test(c) ? 'letter' : 'other');
+
+// What matching text[j] is worth beyond SCORE_MATCH
+function bonusAt(text, j) {
+  if (j === 0) return BONUS_BOUNDARY;
+  const prev = charClass(text[j - 1]);
+  const cur = charClass(text[j]);
+  if (cur === 'other') return 0;
+  if (prev === 'other') return BONUS_BOUNDARY;
+  if ((prev === 'lower' && cur === 'upper') || (prev !== 'digit' && cur === 'digit')) return BONUS_CAMEL;
+  return 0;
+}
+
+/**
+ * @typedef {Object} FuzzyMatch
+ * @property {number}   score
+ * @property {number[]} positions - Indices in the text of the matched characters
+ */
+
+/**
+ * Best fuzzy alignment of a pattern in a text
+ * @param {string} pattern - Whitespace is ignored
+ * @param {string} text
+ * @returns {FuzzyMatch|null} null when the pattern isn't a subsequence
+ */
+export function fuzzyMatch(pattern, text) {
+  const typed = pattern.replace(/\s+/g, '');
+  const m = typed.length;
+  const n = text.length;
+  if (!m) return { score: 0, positions: [] };
+  if (m > n) return null;
+
+  const caseSensitive = typed !== typed.toLowerCase();
+  const p = caseSensitive ? typed : typed.toLowerCase();
+  const t = caseSensitive ? text : text.toLowerCase();
+  const bonus = Array.from({ length: n }, (_, j) => bonusAt(text, j));
+
+  // score[i][j]: best score with p[i] matched at t[j]; from[i][j]: where p[i - 1] matched
+  const score = Array.from({ length: m }, () => new Array(n).fill(-Infinity));
+  const from = Array.from({ length: m }, () => new Array(n).fill(-1));
+
+  for (let i = 0; i < m; i++) {
+    // Best way to reach j across a gap, carried along as j advances
+    let gap = -Infinity;
+    let gapFrom = -1;
+    for (let j = i; j < n - (m - 1 - i); j++) {
+      if (i > 0 && j >= 2) {
+        gap += SCORE_GAP_EXTENSION;
+        const open = score[i - 1][j - 2] + SCORE_GAP_START;
+        if (open > gap) {
+          gap = open;
+          gapFrom = j - 2;
+        }
+      }
+      if (t[j] !== p[i]) continue;
+
+      const base = SCORE_MATCH + (text[j] === typed[i] ? BONUS_CASE : 0);
+      if (i === 0) {
+        score[0][j] = base + bonus[j] * BONUS_FIRST_CHAR;
+        continue;
+      }
+      const consecutive = score[i - 1][j - 1] + base + Math.max(bonus[j], BONUS_CONSECUTIVE);
+      const gapped = gap + base + bonus[j];
+      if (consecutive >= gapped) {
+        score[i][j] = consecutive;
+        from[i][j] = j - 1;
+      } else {
+        score[i][j] = gapped;
+        from[i][j] = gapFrom;
+      }
+    }
+  }
+
+  let end = -1;
+  for (let j = m - 1; j < n; j++) {
+    if (score[m - 1][j] > -Infinity && (end < 0 || score[m - 1][j] > score[m - 1][end])) end = j;
+  }
+  if (end < 0) return null;
+
+  const positions = new Array(m);
+  for (let i = m - 1, j = end; i >= 0; j = from[i][j], i--) positions[i] = j;
+  return { score: score[m - 1][end], positions };
+}
+
+/**
+ * Matched positions as [start, end) ranges, runs merged
+ * @param {number[]} positions - Ascending
+ * @returns {[number, number][]}
+ */
+export function toRanges(positions) {
+  const ranges = [];
+  for (const pos of positions) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === pos) last[1] = pos + 1;
+    else ranges.push([pos, pos + 1]);
+  }
+  return ranges;
+}
@@ -0,0 +1,72 @@
+import { fuzzyMatch, toRanges } from './fuzzy';
+
+const score = (pattern, text) => fuzzyMatch(pattern, text).score;
+const rank = (pattern, texts) => texts
+  .map(text => ({ text, match: fuzzyMatch(pattern, text) }))
+  .filter(r => r.match)
+  .sort((a, b) => b.match.score - a.match.score)
+  .map(r => r.text);
+
+describe('fuzzyMatch', () => {
+  it('matches a subsequence and reports where', () => {
+    expect(fuzzyMatch('gtpr', 'Go to projects').positions).toEqual([0, 3, 6, 7]);
+  });
+
+  it('fails when a character is missing or out of order', () => {
+    expect(fuzzyMatch('xyz', 'Go to projects')).toBeNull();
+    expect(fuzzyMatch('og', 'Go')).toBeNull();
+    expect(fuzzyMatch('projects!', 'projects')).toBeNull();
+  });
+
+  it('matches anything with an empty pattern and ignores whitespace', () => {
+    expect(fuzzyMatch('', 'abc')).toEqual({ score: 0, positions: [] });
+    expect(fuzzyMatch('go  pro', 'Go to projects').positions).toEqual([0, 1, 6, 7, 8]);
+  });
+
+  it('is case-insensitive for lowercase patterns and smart-case otherwise', () => {
+    expect(fuzzyMatch('git', 'GitHub')).not.toBeNull();
+    expect(fuzzyMatch('Git', 'github')).toBeNull();
+    expect(fuzzyMatch('GH', 'GitHub')).not.toBeNull();
+  });
+
+  it('picks the best alignment, not the first', () => {
+    // The first "n" is in "Open"; the word start "notes" scores higher
+    expect(fuzzyMatch('no', 'Open notes').positions).toEqual([5, 6]);
+  });
+
+  it('scores word starts above mid-word matches', () => {
+    expect(score('s', 'Go to stats')).toBeGreaterThan(score('s', 'Go to bus'));
+  });
+
+  it('scores camelCase humps above plain letters', () => {
+    expect(score('h', 'gitHub')).toBeGreaterThan(score('h', 'github'));
+  });
+
+  it('scores consecutive matches above gaps, and short gaps above long ones', () => {
+    expect(score('pro', 'projects')).toBeGreaterThan(score('pro', 'pxrxoxjects'));
+    expect(score('ab', 'axb')).toBeGreaterThan(score('ab', 'axxxxb'));
+  });
+
+  it('scores an exact case match a little higher', () => {
+    expect(score('go', 'go')).toBeGreaterThan(score('go', 'Go'));
+  });
+});
+
+describe('ranking', () => {
+  it('puts prefix and word-start matches first', () => {
+    expect(rank('pro', ['Open a reproduction', 'Go to projects', 'Show profile'])).toEqual(
+      ['Go to projects', 'Show profile', 'Open a reproduction'],
+    );
+  });
+
+  it('ranks acronyms of the label over scattered letters', () => {
+    expect(rank('tt', ['Toggle terminal drawer', 'Go to stats'])[0]).toBe('Toggle terminal drawer');
+  });
+});
+
+describe('toRanges', () => {
+  it('merges runs of positions', () => {
+    expect(toRanges([0, 1, 2, 5, 7, 8])).toEqual([[0, 3], [5, 6], [7, 9]]);
+    expect(toRanges([])).toEqual([]);
+  });
+});
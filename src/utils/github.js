@@ -1,90 +1,238 @@
 // ========================================
 // GITHUB API UTILITIES
 // ========================================
-// 
-// Utility functions for fetching live GitHub repository data
-// Provides real-time updates for project information
+//
+// Repository and commit data for GITHUB_USERNAME's repos. Requests go
+// through utils/githubClient (cache, ETags, rate-limit backoff). Both
+// fall back to build-time snapshots when the API can't answer:
+// - repos   src/content/github.json  (scripts/snapshot-github.js),
+//           with languages and READMEs
+// - commits src/content/gitlog.json  (scripts/snapshot-git.js)
+//
+// knownRepo answers synchronously from the client cache or the snapshot,
+// so views can paint before revalidating (see hooks/useRepoData).
 // ========================================
 
-import { GITHUB_API_BASE, GITHUB_USERNAME } from '../constants/github';
+import { GITHUB_USERNAME } from '../constants/github';
+import { githubGet, peekGitHub } from './githubClient';
+import REPO_SNAPSHOT from '../content/github.json';
+import GIT_SNAPSHOT from '../content/gitlog.json';
+
+// ── Repositories ──────────────────────────────────────────
+
+const repoPath = (repoName) => `/repos/${GITHUB_USERNAME}/${repoName}`;
+
+const withTopics = (data) => ({ ...data, topics: Array.isArray(data.topics) ? data.topics : [] });
+
+/**
+ * Best data on hand for a repository, without a request: the client
+ * cache, else the build snapshot
+ * @param {string} repoName - Repository name (case-sensitive)
+ * @returns {Object|null}
+ */
+export const knownRepo = (repoName) => {
+  const cached = peekGitHub(repoPath(repoName));
+  if (cached) return withTopics(cached.data);
+  const snapshot = REPO_SNAPSHOT.repos && REPO_SNAPSHOT.repos[repoName];
+  return snapshot ? withTopics(snapshot) : null;
+};
 
 /**
- * Fetch live repository data for specific projects
- * @param {string[]} repoNames - Array of repository names to fetch
- * @returns {Promise<Object[]>} Array of repository objects with live data
+ * Live data for one repository. The repo payload already includes
+ * `topics`, so no second request is needed.
+ * @param {string} repoName - Repository name (case-sensitive)
+ * @param {{ force?: boolean, signal?: AbortSignal }} [options] - `force` revalidates a fresh cache entry
+ * @returns {Promise<Object|null>} Repository object (from the build snapshot if the API
+ *          can't answer), or null if there is none
  */
-export const fetchLiveRepoData = async (repoNames) => {
+export const fetchRepo = async (repoName, options = {}) => {
   try {
-    const promises = repoNames.map(async (repoName) => {
-      const repoRes = await fetch(`${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repoName}`);
-      if (!repoRes.ok) {
-        console.warn(`Failed to fetch data for repository: ${repoName}`);
-        return null;
-      }
-      const repoJson = await repoRes.json();
-
-      // Fetch topics for richer tech metadata (best-effort)
-      try {
-        const topicsRes = await fetch(`${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repoName}/topics`, {
-          headers: { Accept: 'application/vnd.github+json' }
-        });
-        if (topicsRes.ok) {
-          const topicsJson = await topicsRes.json();
-          repoJson.topics = Array.isArray(topicsJson.names) ? topicsJson.names : [];
-        } else {
-          repoJson.topics = [];
-        }
-      } catch (e) {
-        repoJson.topics = [];
-      }
-
-      return repoJson;
-    });
-
-    const results = await Promise.all(promises);
-    return results.filter(repo => repo !== null);
+    const { data } = await githubGet(repoPath(repoName), options);
+    return withTopics(data);
   } catch (error) {
-    console.error('Error fetching live repository data:', error);
-    return [];
+    if (error.name === 'AbortError') throw error;
+    console.warn(`Failed to fetch data for repository: ${repoName}`);
+    return error.status === 404 ? null : knownRepo(repoName);
   }
 };
 
 /**
- * Fetch live repository data for a single project
- * @param {string} repoName - Repository name to fetch
- * @returns {Promise<Object|null>} Repository object with live data or null
+ * Data for several repositories, skipping any that fail
+ * @param {string[]} repoNames
+ * @param {{ force?: boolean, signal?: AbortSignal }} [options]
+ * @returns {Promise<Object[]>}
+ */
+export const fetchRepos = async (repoNames, options = {}) => {
+  const repos = await Promise.all(repoNames.map(name => fetchRepo(name, options)));
+  return repos.filter(Boolean);
+};
+
+/**
+ * Bytes of code per language in one repository, from the build snapshot
+ * when the API can't answer
+ * @param {string} repoName - Repository name (case-sensitive)
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object<string, number>>} Empty when unknown
  */
-export const fetchSingleRepoData = async (repoName) => {
+export const fetchLanguages = async (repoName, { signal } = {}) => {
   try {
-    const response = await fetch(`${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repoName}`);
-    if (!response.ok) {
-      console.warn(`Failed to fetch data for repository: ${repoName}`);
-      return null;
-    }
-    const repoJson = await response.json();
-
-    // Attach topics (best-effort)
-    try {
-      const topicsRes = await fetch(`${GITHUB_API_BASE}/repos/${GITHUB_USERNAME}/${repoName}/topics`, {
-        headers: { Accept: 'application/vnd.github+json' }
-      });
-      if (topicsRes.ok) {
-        const topicsJson = await topicsRes.json();
-        repoJson.topics = Array.isArray(topicsJson.names) ? topicsJson.names : [];
-      } else {
-        repoJson.topics = [];
-      }
-    } catch (e) {
-      repoJson.topics = [];
-    }
-
-    return repoJson;
+    const { data } = await githubGet(`${repoPath(repoName)}/languages`, { signal });
+    return data;
   } catch (error) {
-    console.error(`Error fetching data for repository ${repoName}:`, error);
-    return null;
+    if (error.name === 'AbortError') throw error;
+    const snapshot = REPO_SNAPSHOT.repos && REPO_SNAPSHOT.repos[repoName];
+    return (snapshot && snapshot.languages) || {};
   }
 };
 
+// ── Commits ───────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CommitFile
+ * @property {string} status    - A, M, D, R or C
+ * @property {string} filename
+ * @property {number} additions
+ * @property {number} deletions
+ */
+
+/**
+ * @typedef {Object} Commit
+ * @property {string}       sha
+ * @property {string}       author
+ * @property {string}       email
+ * @property {string}       date    - ISO date
+ * @property {string}       message - Full message, subject first
+ * @property {CommitFile[]} [files] - Only for single commits
+ */
+
+const FILE_STATUS = { added: 'A', removed: 'D', renamed: 'R', copied: 'C' };
+
+/** @returns {Commit} the API's commit object in snapshot shape */
+const toCommit = (c) => ({
+  sha: c.sha,
+  author: c.commit.author.name,
+  email: c.commit.author.email,
+  date: c.commit.author.date,
+  message: c.commit.message,
+  ...(c.files && {
+    files: c.files.map(f => ({
+      status: FILE_STATUS[f.status] || 'M',
+      filename: f.filename,
+      additions: f.additions,
+      deletions: f.deletions,
+    })),
+  }),
+});
+
+/**
+ * GET `path` through the client, falling back to `repo`'s entry in a
+ * build-time snapshot when the API is unreachable or rate-limited with
+ * nothing cached. Aborts and 404s are rethrown. `cachedAt` is set when
+ * the client answered from stale cache.
+ */
+async function withSnapshot(snapshot, repo, path, signal, fromApi, fromSnapshot) {
+  try {
+    const { data, stale, fetchedAt } = await githubGet(path, { signal });
+    return { ...fromApi(data), cachedAt: stale ? fetchedAt : null, snapshotAt: null };
+  } catch (error) {
+    const entry = snapshot.repos && snapshot.repos[repo];
+    if (error.name === 'AbortError' || error.status === 404 || !entry) throw error;
+    const found = fromSnapshot(entry);
+    if (!found) throw error;
+    return { ...found, cachedAt: null, snapshotAt: snapshot.generatedAt };
+  }
+}
+
+/**
+ * Recent commits of one of GITHUB_USERNAME's repositories, newest first
+ * @param {string} repo - Repository name
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ commits: Commit[], branch: string|null, cachedAt: number|null, snapshotAt: string|null }>}
+ *          `cachedAt` / `snapshotAt` say when the data isn't live
+ * @throws {Error} with `status` (HTTP status, undefined for network errors)
+ */
+export const fetchCommits = (repo, { signal } = {}) => withSnapshot(
+  GIT_SNAPSHOT,
+  repo,
+  `/repos/${GITHUB_USERNAME}/${repo}/commits?per_page=100`,
+  signal,
+  (data) => ({ commits: data.map(toCommit), branch: null }),
+  (snapshot) => ({ commits: snapshot.commits, branch: snapshot.branch }),
+);
+
+/**
+ * One commit with its changed files
+ * @param {string} repo - Repository name
+ * @param {string} ref - Full or abbreviated sha, or HEAD
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ commit: Commit, cachedAt: number|null, snapshotAt: string|null }>}
+ * @throws {Error} with `status` (HTTP status, undefined for network errors)
+ */
+export const fetchCommit = (repo, ref, { signal } = {}) => withSnapshot(
+  GIT_SNAPSHOT,
+  repo,
+  `/repos/${GITHUB_USERNAME}/${repo}/commits/${encodeURIComponent(ref)}`,
+  signal,
+  (data) => ({ commit: toCommit(data) }),
+  (snapshot) => {
+    const commit = ref === 'HEAD' ? snapshot.commits[0] : snapshot.commits.find(c => c.sha.startsWith(ref.toLowerCase()));
+    return commit && { commit };
+  },
+);
+
+// ── READMEs ───────────────────────────────────────────────
+
+// The contents API sends base64 of the UTF-8 bytes, wrapped at 60 columns
+const decodeBase64 = (content) => {
+  const binary = window.atob(content.replace(/\s/g, ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+/**
+ * A repository's README
+ * @param {string} repo - Repository name
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ markdown: string, cachedAt: number|null, snapshotAt: string|null }>}
+ * @throws {Error} with `status` 404 when the repo has no README
+ */
+export const fetchReadme = (repo, { signal } = {}) => withSnapshot(
+  REPO_SNAPSHOT,
+  repo,
+  `${repoPath(repo)}/readme`,
+  signal,
+  (data) => ({ markdown: decodeBase64(data.content) }),
+  (snapshot) => snapshot.readme != null && { markdown: snapshot.readme },
+);
+
+/**
+ * README markdown on hand without a request: the client cache, else the
+ * build snapshot
+ * @param {string} repo - Repository name
+ * @returns {string|null}
+ */
+export const knownReadme = (repo) => {
+  const cached = peekGitHub(`${repoPath(repo)}/readme`);
+  if (cached) return decodeBase64(cached.data.content);
+  const snapshot = REPO_SNAPSHOT.repos && REPO_SNAPSHOT.repos[repo];
+  return (snapshot && snapshot.readme) || null;
+};
+
+/**
+ * Resolve a link or image in a repository's README the way github.com
+ * does: relative paths point into the repo, absolute URLs pass through
+ * @param {string} repo - Repository name
+ * @param {string} url
+ * @param {{ image?: boolean }} [options] - Images resolve to their raw file
+ * @returns {string}
+ */
+export const resolveRepoUrl = (repo, url, { image = false } = {}) => {
+  if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(url)) return url;
+  const path = url.replace(/^\.?\//, '');
+  return image
+    ? `https://raw.githubusercontent.com/${GITHUB_USERNAME}/${repo}/HEAD/${path}`
+    : `https://github.com/${GITHUB_USERNAME}/${repo}/blob/HEAD/${path}`;
+};
+
 /**
  * Get formatted last updated date
  * @param {string} updatedAt - ISO date string from GitHub API
@@ -118,7 +266,7 @@ export const getRelativeTime = (updatedAt) => {
   const date = new Date(updatedAt);
   const now = new Date();
   const diffTime = Math.abs(now - date);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
   
   if (diffDays === 0) return 'Today';
   if (diffDays === 1) return 'Yesterday';
@@ -0,0 +1,236 @@
+// ========================================
+// GITHUB CLIENT
+// ========================================
+//
+// Every GitHub API request goes through githubGet, which:
+// - answers from cache while an entry is younger than its TTL
+// - revalidates older entries with If-None-Match (a 304 is free: it
+//   doesn't count against the rate limit)
+// - shares one in-flight request between concurrent callers
+// - stops calling the API once X-RateLimit-Remaining hits 0 (or a
+//   Retry-After arrives) until the reset time, answering from cache
+//   with `stale: true` meanwhile
+//
+// Entries live in memory and in localStorage, so reloads start warm.
+// getGitHubStatus / subscribeGitHubStatus (see hooks/useGitHubStatus)
+// let the UI say when it is showing stale data.
+// ========================================
+
+import { GITHUB_API_BASE } from '../constants/github';
+
+export const DEFAULT_TTL = 10 * 60 * 1000;
+
+const CACHE_PREFIX = 'github:cache:';
+const RATE_LIMIT_KEY = 'github:rate-limit';
+const FALLBACK_BACKOFF = 60 * 1000; // rate-limited with no reset time given
+
+/**
+ * @typedef {Object} GitHubResult
+ * @property {*}       data
+ * @property {number}  fetchedAt - When the data was last confirmed by the API
+ * @property {boolean} stale     - Served from cache because the API couldn't be asked
+ */
+
+/**
+ * @typedef {Object} GitHubStatus
+ * @property {boolean} stale            - The latest answer came from stale cache
+ * @property {number}  rateLimitedUntil - Epoch ms; 0 when not rate-limited
+ */
+
+// ── Storage ───────────────────────────────────────────────
+// Failures (private mode, quota) fall back to memory only
+
+const memory = new Map();
+
+function readCache(path) {
+  if (memory.has(path)) return memory.get(path);
+  try {
+    const entry = JSON.parse(window.localStorage.getItem(CACHE_PREFIX + path));
+    if (entry && 'data' in entry) {
+      memory.set(path, entry);
+      return entry;
+    }
+  } catch {
+    // ignore
+  }
+  return null;
+}
+
+function writeCache(path, entry) {
+  memory.set(path, entry);
+  try {
+    window.localStorage.setItem(CACHE_PREFIX + path, JSON.stringify(entry));
+  } catch {
+    // ignore
+  }
+}
+
+function loadRateLimit() {
+  try {
+    const until = Number(window.localStorage.getItem(RATE_LIMIT_KEY));
+    return until > Date.now() ? until : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function saveRateLimit(until) {
+  try {
+    window.localStorage.setItem(RATE_LIMIT_KEY, String(until));
+  } catch {
+    // ignore
+  }
+}
+
+// ── Status ────────────────────────────────────────────────
+
+let status = { stale: false, rateLimitedUntil: loadRateLimit() };
+const listeners = new Set();
+let resetTimer = null;
+
+function setStatus(patch) {
+  const next = { ...status, ...patch };
+  if (next.stale === status.stale && next.rateLimitedUntil === status.rateLimitedUntil) return;
+  status = next;
+  listeners.forEach(l => l());
+}
+
+/** @returns {GitHubStatus} Same object until something changes */
+export const getGitHubStatus = () => status;
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeGitHubStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const isRateLimited = () => status.rateLimitedUntil > Date.now();
+
+function startBackoff(until) {
+  saveRateLimit(until);
+  setStatus({ rateLimitedUntil: until });
+  // Let subscribers drop the indicator once the limit resets
+  clearTimeout(resetTimer);
+  resetTimer = setTimeout(() => setStatus({ rateLimitedUntil: 0 }), Math.max(until - Date.now(), 0));
+}
+
+/**
+ * When to resume after this response, or 0 to carry on. A response with
+ * X-RateLimit-Remaining: 0 is still good, but the next one won't be.
+ */
+function backoffUntil(res) {
+  const retryAfter = Number(res.headers.get('Retry-After'));
+  if (retryAfter) return Date.now() + retryAfter * 1000;
+  if (res.headers.get('X-RateLimit-Remaining') !== '0') return 0;
+  const reset = Number(res.headers.get('X-RateLimit-Reset'));
+  return reset ? reset * 1000 : Date.now() + FALLBACK_BACKOFF;
+}
+
+/**
+ * Short description of stale data for indicators, or null when fresh
+ * @param {GitHubStatus} s
+ * @returns {string|null}
+ */
+export function staleLabel(s) {
+  if (!s.stale) return null;
+  if (s.rateLimitedUntil <= Date.now()) return 'github data stale';
+  const at = new Date(s.rateLimitedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `github data stale · rate limit resets ${at}`;
+}
+
+// ── Requests ──────────────────────────────────────────────
+
+const inflight = new Map();
+
+const result = (entry, stale) => ({ data: entry.data, fetchedAt: entry.fetchedAt, stale });
+
+function answerStale(entry) {
+  setStatus({ stale: true });
+  return result(entry, true);
+}
+
+function answerFresh(path, entry) {
+  writeCache(path, entry);
+  setStatus({ stale: false });
+  return result(entry, false);
+}
+
+const httpError = (status, extra) =>
+  Object.assign(new Error(status === 404 ? 'not found' : `HTTP ${status}`), { status, ...extra });
+
+const rateLimitError = () => httpError(403, { rateLimited: true, resetAt: status.rateLimitedUntil });
+
+const abortError = () => Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+// A shared request keeps running for the other callers; only this
+// caller stops waiting
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+async function request(path, cached) {
+  let res;
+  try {
+    res = await fetch(`${GITHUB_API_BASE}${path}`, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        ...(cached && cached.etag && { 'If-None-Match': cached.etag }),
+      },
+    });
+  } catch (error) {
+    if (cached) return answerStale(cached);
+    throw error;
+  }
+
+  const until = backoffUntil(res);
+  if (until) startBackoff(until);
+
+  if (res.status === 304 && cached) return answerFresh(path, { ...cached, fetchedAt: Date.now() });
+  if (res.ok) return answerFresh(path, { etag: res.headers.get('ETag'), data: await res.json(), fetchedAt: Date.now() });
+  if (cached && res.status !== 404) return answerStale(cached);
+  throw until ? rateLimitError() : httpError(res.status);
+}
+
+/**
+ * Whatever is cached for a path, however old, without a request
+ * @param {string} path
+ * @param {number} [ttl=DEFAULT_TTL]
+ * @returns {GitHubResult|null} `stale` is set once the TTL has passed
+ */
+export function peekGitHub(path, ttl = DEFAULT_TTL) {
+  const cached = readCache(path);
+  return cached && result(cached, Date.now() - cached.fetchedAt >= ttl);
+}
+
+/**
+ * GET a GitHub API path through the cache
+ * @param {string} path - e.g. `/repos/owner/name`
+ * @param {Object} [options]
+ * @param {number}      [options.ttl=DEFAULT_TTL] - How long a cached answer is used without asking
+ * @param {boolean}     [options.force]           - Revalidate even if the cached entry is fresh
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<GitHubResult>}
+ * @throws {Error} with `status` (HTTP status, undefined for network errors),
+ *         and `rateLimited` / `resetAt` while backing off with nothing cached
+ */
+export function githubGet(path, { ttl = DEFAULT_TTL, force = false, signal } = {}) {
+  const cached = readCache(path);
+  if (cached && !force && Date.now() - cached.fetchedAt < ttl) return Promise.resolve(result(cached, false));
+
+  if (isRateLimited()) return cached ? Promise.resolve(answerStale(cached)) : Promise.reject(rateLimitError());
+
+  if (!inflight.has(path)) {
+    inflight.set(path, request(path, cached).finally(() => inflight.delete(path)));
+  }
+  return abortable(inflight.get(path), signal);
+}
@@ -0,0 +1,135 @@
+// ========================================
+// COMMAND HISTORY
+// ========================================
+//
+// Terminal history is kept most-recent-first, persisted to localStorage
+// per browser, deduplicated (re-running a command moves it to the front)
+// and capped at HISTORY_SIZE entries.
+//
+// `history` lists it oldest-first and numbered, so `!n` refers to the
+// number shown there — like bash.
+// ========================================
+
+export const HISTORY_KEY = 'terminal:history';
+export const HISTORY_SIZE = 500;
+
+/**
+ * Read persisted history, most recent first
+ * @returns {string[]}
+ */
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(HISTORY_KEY));
+    return Array.isArray(saved) ? saved.filter(h => typeof h === 'string').slice(0, HISTORY_SIZE) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist history. Storage failures (private mode, quota) are ignored:
+ * history still works for the session.
+ * @param {string[]} history - Most recent first
+ */
+export function saveHistory(history) {
+  try {
+    if (history.length) window.localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    else window.localStorage.removeItem(HISTORY_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Add a command to the front, dropping older copies and trimming to size
+ * @param {string[]} history - Most recent first
+ * @param {string} command
+ * @returns {string[]}
+ */
+export function addToHistory(history, command) {
+  return [command, ...history.filter(h => h !== command)].slice(0, HISTORY_SIZE);
+}
+
+// ── Expansion ─────────────────────────────────────────────
+
+const eventNotFound = (event) => Object.assign(new Error(`${event}: event not found`), { code: 'EEVENT' });
+
+/**
+ * Look up one history event designator
+ * @param {string} event - `!!`, `!n`, `!-n` or `!prefix`
+ * @param {string[]} history - Most recent first
+ * @returns {string}
+ */
+function resolveEvent(event, history) {
+  const spec = event.slice(1);
+  let found;
+  if (spec === '!') found = history[0];
+  else if (/^-\d+$/.test(spec)) found = history[Number(spec.slice(1)) - 1];
+  else if (/^\d+$/.test(spec)) found = history[history.length - Number(spec)];
+  else found = history.find(h => h.startsWith(spec));
+  if (found === undefined || spec === '0') throw eventNotFound(event);
+  return found;
+}
+
+/**
+ * Expand `!!`, `!n`, `!-n` and `!prefix` against history. Single quotes
+ * and a backslash suppress expansion, double quotes don't; a `!` followed
+ * by whitespace, `=`, `(` or the end of the line is literal.
+ * @param {string} input
+ * @param {string[]} history - Most recent first, not yet including `input`
+ * @returns {{ line: string, expanded: boolean }}
+ * @throws {Error} `!x: event not found` (code EEVENT)
+ */
+export function expandHistory(input, history) {
+  if (!input.includes('!')) return { line: input, expanded: false };
+
+  let line = '';
+  let expanded = false;
+  let single = false;
+  let double = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (c === "'" && !double) single = !single;
+    if (c === '"' && !single) double = !double;
+    if (single || c !== '!') {
+      if (c === '\\' && input[i + 1] === '!' && !single) {
+        line += '\\!';
+        i++;
+        continue;
+      }
+      line += c;
+      continue;
+    }
+
+    const m = /^!(!|-?\d+|[^\s;|&<>'"()=!]+)/.exec(input.slice(i));
+    if (!m) {
+      line += c;
+      continue;
+    }
+    line += resolveEvent(m[0], history);
+    expanded = true;
+    i += m[0].length - 1;
+  }
+
+  return { line, expanded };
+}
+
+// ── Search ────────────────────────────────────────────────
+
+/**
+ * Reverse incremental search: the next entry at or after `from`
+ * (older entries have higher indexes) containing `query`, ignoring case
+ * @param {string[]} history - Most recent first
+ * @param {string} query
+ * @param {number} [from=0]
+ * @returns {number} Index into `history`, or -1
+ */
+export function searchHistory(history, query, from = 0) {
+  if (!query) return -1;
+  const q = query.toLowerCase();
+  for (let i = Math.max(from, 0); i < history.length; i++) {
+    if (history[i].toLowerCase().includes(q)) return i;
+  }
+  return -1;
+}
@@ -0,0 +1,96 @@
+import {
+  expandHistory, addToHistory, searchHistory, loadHistory, saveHistory, HISTORY_KEY, HISTORY_SIZE,
+} from './history';
+
+// Most recent first: `history` numbers them 1 (ls) to 4 (git log)
+const HISTORY = ['git log', 'cat about.txt', 'cd music', 'ls'];
+
+const expand = (input) => expandHistory(input, HISTORY).line;
+
+describe('expandHistory', () => {
+  it('expands !! to the last command', () => {
+    expect(expandHistory('!!', HISTORY)).toEqual({ line: 'git log', expanded: true });
+    expect(expand('sudo !! | wc')).toBe('sudo git log | wc');
+  });
+
+  it('expands !n by number, oldest first', () => {
+    expect(expand('!1')).toBe('ls');
+    expect(expand('!4')).toBe('git log');
+  });
+
+  it('expands !-n counting back from the last command', () => {
+    expect(expand('!-1')).toBe('git log');
+    expect(expand('!-3')).toBe('cd music');
+  });
+
+  it('expands !prefix to the latest command starting with it', () => {
+    expect(expand('!c')).toBe('cat about.txt');
+    expect(expand('!cd && !l')).toBe('cd music && ls');
+  });
+
+  it('ends a prefix at shell punctuation', () => {
+    expect(expand('!git|grep x')).toBe('git log|grep x');
+    expect(expand('!l;pwd')).toBe('ls;pwd');
+  });
+
+  it('expands inside double quotes but not single quotes', () => {
+    expect(expand('echo "!!"')).toBe('echo "git log"');
+    expect(expand("echo '!!'")).toBe("echo '!!'");
+  });
+
+  it('leaves an escaped ! for the parser', () => {
+    expect(expandHistory('echo \\!!', HISTORY)).toEqual({ line: 'echo \\!!', expanded: false });
+  });
+
+  it.each(['echo hi!', 'echo ! x', 'a!=b', '(!)'])('leaves a literal ! in %p', (input) => {
+    expect(expandHistory(input, HISTORY)).toEqual({ line: input, expanded: false });
+  });
+
+  it.each(['!9', '!0', '!-9', '!nope'])('rejects %p', (event) => {
+    expect(() => expandHistory(event, HISTORY)).toThrow(expect.objectContaining({ code: 'EEVENT', message: `${event}: event not found` }));
+  });
+
+  it('has nothing to expand in an empty history', () => {
+    expect(() => expandHistory('!!', [])).toThrow('!!: event not found');
+  });
+});
+
+describe('addToHistory', () => {
+  it('moves a repeated command to the front', () => {
+    expect(addToHistory(HISTORY, 'cd music')).toEqual(['cd music', 'git log', 'cat about.txt', 'ls']);
+  });
+
+  it('caps the size', () => {
+    const full = Array.from({ length: HISTORY_SIZE }, (_, i) => `echo ${i}`);
+    const next = addToHistory(full, 'pwd');
+    expect(next).toHaveLength(HISTORY_SIZE);
+    expect(next[0]).toBe('pwd');
+  });
+});
+
+describe('searchHistory', () => {
+  it('finds the next match at or after an index, ignoring case', () => {
+    expect(searchHistory(HISTORY, 'C')).toBe(1);
+    expect(searchHistory(HISTORY, 'c', 2)).toBe(2);
+    expect(searchHistory(HISTORY, 'c', 3)).toBe(-1);
+    expect(searchHistory(HISTORY, '')).toBe(-1);
+  });
+});
+
+describe('persistence', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('round-trips through localStorage', () => {
+    saveHistory(HISTORY);
+    expect(loadHistory()).toEqual(HISTORY);
+    saveHistory([]);
+    expect(window.localStorage.getItem(HISTORY_KEY)).toBeNull();
+  });
+
+  it('ignores malformed data', () => {
+    window.localStorage.setItem(HISTORY_KEY, '{oops');
+    expect(loadHistory()).toEqual([]);
+    window.localStorage.setItem(HISTORY_KEY, JSON.stringify(['ls', 3, null]));
+    expect(loadHistory()).toEqual(['ls']);
+  });
+});
@@ -0,0 +1,266 @@
+// ========================================
+// KEYMAP
+// ========================================
+//
+// Matches key presses against a keymap (action id → key sequences, see
+// constants/keymap) and formats keys for display.
+//
+// Steps are compared by `KeyboardEvent.key`. Letters need Shift exactly
+// when the step says so (`shift+g` is G); other keys ignore it unless
+// asked, so `?` works on any layout. With Ctrl, Alt or ⌘ held the
+// physical key counts too: ⌥P types "π" on a Mac.
+//
+// The keymap in use is a preset with the visitor's own overrides on
+// top, persisted to localStorage. getKeymapSettings / subscribeKeymap
+// (see hooks/useKeymap) let the UI follow changes live.
+//
+// Sequences (`g p`) wait up to SEQUENCE_TIMEOUT for the next step. When
+// a sequence is both complete and the start of a longer one, it fires
+// once the wait runs out.
+// ========================================
+
+import { KEY_ACTIONS, DEFAULT_KEYMAP, KEYMAP_PRESETS } from '../constants/keymap';
+
+export const SEQUENCE_TIMEOUT = 800;
+
+const MODIFIERS = ['mod', 'ctrl', 'alt', 'shift', 'meta'];
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta']);
+const KEY_NAMES = { space: ' ', esc: 'Escape' };
+
+/**
+ * @typedef {Object} KeyStep
+ * @property {string}  key - Lowercased when a single character
+ * @property {boolean} mod
+ * @property {boolean} ctrl
+ * @property {boolean} alt
+ * @property {boolean} shift
+ * @property {boolean} meta
+ */
+
+/** @typedef {{ action: string, keys: string, steps: KeyStep[] }} Binding */
+
+const parsed = new Map();
+
+/**
+ * Parse a key sequence such as `g p` or `mod+k`
+ * @param {string} keys
+ * @returns {KeyStep[]}
+ */
+export function parseKeys(keys) {
+  if (!parsed.has(keys)) {
+    parsed.set(keys, keys.trim().split(/\s+/).map(step => {
+      // `mod+k` → "mod+", "k"; `shift++` → "shift+", "+"
+      const [, prefix, key] = /^((?:\w+\+)*)(.+)$/.exec(step);
+      const mods = prefix.split('+');
+      const flags = Object.fromEntries(MODIFIERS.map(m => [m, mods.includes(m)]));
+      const name = KEY_NAMES[key.toLowerCase()] || key;
+      return { key: name.length === 1 ? name.toLowerCase() : name, ...flags };
+    }));
+  }
+  return parsed.get(keys);
+}
+
+// Punctuation by physical key, unshifted and shifted (US layout)
+const PUNCTUATION_KEYS = { Backquote: ['`', '~'], Comma: [',', '<'], Period: ['.', '>'] };
+
+// The character on the physical key: `KeyP` → "p", `Digit1` → "1",
+// shift+`Comma` → "<". macOS Option rewrites `e.key`, so alt bindings
+// are matched through this.
+function physicalKey(code, shift) {
+  const m = /^(?:Key|Digit)(\w)$/.exec(code || '');
+  if (m) return m[1].toLowerCase();
+  const chars = PUNCTUATION_KEYS[code];
+  return chars ? chars[shift ? 1 : 0] : null;
+}
+
+/**
+ * Whether a key press is one step
+ * @param {KeyStep} step
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+export function matchStep(step, e) {
+  if (step.mod ? !(e.metaKey || e.ctrlKey) : e.ctrlKey !== step.ctrl || e.metaKey !== step.meta) return false;
+  if (e.altKey !== step.alt) return false;
+  if (/^[a-z]$/.test(step.key) ? e.shiftKey !== step.shift : step.shift && !e.shiftKey) return false;
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  if (key === step.key) return true;
+  return (e.ctrlKey || e.metaKey || e.altKey) && physicalKey(e.code, e.shiftKey) === step.key;
+}
+
+/**
+ * Bindings of the actions in some scopes
+ * @param {Object<string, string[]>} keymap
+ * @param {string[]} scopes
+ * @returns {Binding[]}
+ */
+export function bindingsFor(keymap, scopes) {
+  return KEY_ACTIONS
+    .filter(a => scopes.includes(a.scope))
+    .flatMap(a => (keymap[a.id] || []).map(keys => ({ action: a.id, keys, steps: parseKeys(keys) })));
+}
+
+/**
+ * The action a single key press triggers in a scope. Sequences are
+ * ignored: scopes handled this way (palette, terminal) don't use them.
+ * @param {Object<string, string[]>} keymap
+ * @param {string} scope
+ * @param {KeyboardEvent} e
+ * @returns {string|null}
+ */
+export function keyAction(keymap, scope, e) {
+  const binding = bindingsFor(keymap, [scope]).find(b => b.steps.length === 1 && matchStep(b.steps[0], e));
+  return binding ? binding.action : null;
+}
+
+/**
+ * A key handler that follows sequences across presses
+ * @param {(action: string) => void} onAction
+ * @returns {{ handle: (e: KeyboardEvent, bindings: Binding[]) => boolean, reset: () => void }}
+ *   `handle` returns whether the press was used (and default-prevented)
+ */
+export function createKeyHandler(onAction) {
+  let pending = [];
+  let timer = null;
+
+  const reset = () => {
+    clearTimeout(timer);
+    pending = [];
+  };
+
+  const candidates = (presses, bindings) => bindings.filter(b =>
+    b.steps.length >= presses.length && presses.every((p, i) => matchStep(b.steps[i], p)));
+
+  const handle = (e, bindings) => {
+    if (MODIFIER_KEYS.has(e.key)) return false;
+    const press = { key: e.key, code: e.code, ctrlKey: e.ctrlKey, metaKey: e.metaKey, altKey: e.altKey, shiftKey: e.shiftKey };
+
+    // A press that doesn't continue the pending sequence starts over
+    let presses = [...pending, press];
+    let found = candidates(presses, bindings);
+    if (!found.length && pending.length) {
+      presses = [press];
+      found = candidates(presses, bindings);
+    }
+    reset();
+    if (!found.length) return false;
+
+    e.preventDefault();
+    const complete = found.find(b => b.steps.length === presses.length);
+    if (complete && found.every(b => b.steps.length === presses.length)) {
+      onAction(complete.action);
+      return true;
+    }
+    pending = presses;
+    timer = setTimeout(() => {
+      pending = [];
+      if (complete) onAction(complete.action);
+    }, SEQUENCE_TIMEOUT);
+    return true;
+  };
+
+  return { handle, reset };
+}
+
+// ── Display ───────────────────────────────────────────────
+
+const KEY_SYMBOLS = {
+  ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+  Enter: '↵', Escape: 'esc', Backspace: '⌫', Tab: 'tab', ' ': 'space',
+};
+const MODIFIER_SYMBOLS = { mod: '⌘', ctrl: '⌃', alt: '⌥', shift: '⇧', meta: '⌘' };
+
+/**
+ * Steps of a key sequence as shown on keycaps: `mod+k` → ["⌘K"], `g p` → ["g", "p"]
+ * @param {string} keys
+ * @returns {string[]}
+ */
+export function formatKeys(keys) {
+  return parseKeys(keys).map(step => {
+    const mods = MODIFIERS.filter(m => step[m]).map(m => MODIFIER_SYMBOLS[m]).join('');
+    const key = KEY_SYMBOLS[step.key] || step.key;
+    return mods + (mods && key.length === 1 ? key.toUpperCase() : key);
+  });
+}
+
+/**
+ * An action's first binding as one string, e.g. "⌃`" or "g p"
+ * @param {Object<string, string[]>} keymap
+ * @param {string} action
+ * @returns {string|undefined} undefined when the action has no keys
+ */
+export function keyHint(keymap, action) {
+  const keys = (keymap[action] || [])[0];
+  return keys ? formatKeys(keys).join(' ') : undefined;
+}
+
+// ── Settings ──────────────────────────────────────────────
+
+export const KEYMAP_KEY = 'tui:keymap';
+
+/**
+ * @typedef {Object} KeymapSettings
+ * @property {string} preset - A KEYMAP_PRESETS id
+ * @property {Object<string, string[]>} overrides - Action id → keys, on top of the preset
+ */
+
+const isKeys = (keys) => Array.isArray(keys) && keys.every(k => typeof k === 'string' && k.trim());
+
+// Persisted settings; anything unknown or malformed is dropped
+function loadKeymapSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(KEYMAP_KEY));
+  } catch {
+    // ignore
+  }
+  const preset = saved && KEYMAP_PRESETS.some(p => p.id === saved.preset) ? saved.preset : KEYMAP_PRESETS[0].id;
+  const overrides = Object.fromEntries(Object.entries((saved && saved.overrides) || {})
+    .filter(([action, keys]) => KEY_ACTIONS.some(a => a.id === action) && isKeys(keys)));
+  return { preset, overrides };
+}
+
+let settings = null;
+const listeners = new Set();
+
+/** @returns {KeymapSettings} Same object until something changes */
+export function getKeymapSettings() {
+  if (!settings) settings = loadKeymapSettings();
+  return settings;
+}
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeKeymap(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Change the settings, persist them and tell subscribers. Storage
+ * failures are ignored: the keymap still changes for the session.
+ * @param {Partial<KeymapSettings>} patch
+ * @returns {KeymapSettings}
+ */
+export function updateKeymapSettings(patch) {
+  settings = { ...getKeymapSettings(), ...patch };
+  try {
+    window.localStorage.setItem(KEYMAP_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+  listeners.forEach(l => l());
+  return settings;
+}
+
+/**
+ * The keymap for some settings: defaults, then the preset, then overrides
+ * @param {KeymapSettings} settings
+ * @returns {Object<string, string[]>}
+ */
+export function resolveKeymap({ preset, overrides }) {
+  const { keymap } = KEYMAP_PRESETS.find(p => p.id === preset) || KEYMAP_PRESETS[0];
+  return { ...DEFAULT_KEYMAP, ...keymap, ...overrides };
+}
@@ -0,0 +1,68 @@
+import {
+  parseKeys, matchStep, resolveKeymap, updateKeymapSettings, subscribeKeymap, KEYMAP_KEY,
+} from './keymap';
+import { DEFAULT_KEYMAP, KEYMAP_PRESETS } from '../constants/keymap';
+
+const press = (init) => ({ key: '', code: '', ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...init });
+const matches = (keys, init) => matchStep(parseKeys(keys)[0], press(init));
+
+describe('matchStep', () => {
+  it('matches the character a key types', () => {
+    expect(matches('g', { key: 'g', code: 'KeyG' })).toBe(true);
+    expect(matches('?', { key: '?', code: 'Slash', shiftKey: true })).toBe(true);
+  });
+
+  it('needs Shift on letters exactly when the step names it', () => {
+    expect(matches('shift+g', { key: 'G', code: 'KeyG', shiftKey: true })).toBe(true);
+    expect(matches('g', { key: 'G', code: 'KeyG', shiftKey: true })).toBe(false);
+    expect(matches('shift+g', { key: 'g', code: 'KeyG' })).toBe(false);
+  });
+
+  it('matches modified keys by their physical key when Option rewrites e.key', () => {
+    expect(matches('alt+x', { key: '≈', code: 'KeyX', altKey: true })).toBe(true);
+    expect(matches('alt+<', { key: '¯', code: 'Comma', altKey: true, shiftKey: true })).toBe(true);
+    expect(matches('alt+>', { key: '˘', code: 'Period', altKey: true, shiftKey: true })).toBe(true);
+    expect(matches('alt+<', { key: '≤', code: 'Comma', altKey: true })).toBe(false);
+    expect(matches('ctrl+`', { key: '`', code: 'Backquote', ctrlKey: true })).toBe(true);
+  });
+
+  it('needs the modifiers a step names, and no others', () => {
+    expect(matches('mod+k', { key: 'k', code: 'KeyK', metaKey: true })).toBe(true);
+    expect(matches('mod+k', { key: 'k', code: 'KeyK', ctrlKey: true })).toBe(true);
+    expect(matches('alt+x', { key: 'x', code: 'KeyX' })).toBe(false);
+    expect(matches('k', { key: 'k', code: 'KeyK', ctrlKey: true })).toBe(false);
+  });
+});
+
+describe('resolveKeymap', () => {
+  const vim = KEYMAP_PRESETS.find(p => p.id === 'vim');
+
+  it('layers the preset over the defaults', () => {
+    const keymap = resolveKeymap({ preset: 'vim', overrides: {} });
+    expect(keymap['palette.down']).toEqual(vim.keymap['palette.down']);
+    expect(keymap['help.toggle']).toEqual(DEFAULT_KEYMAP['help.toggle']);
+  });
+
+  it('puts overrides on top', () => {
+    const keymap = resolveKeymap({ preset: 'vim', overrides: { 'palette.down': ['ctrl+j'] } });
+    expect(keymap['palette.down']).toEqual(['ctrl+j']);
+  });
+
+  it('falls back to the defaults for an unknown preset', () => {
+    expect(resolveKeymap({ preset: 'nope', overrides: {} })).toEqual(DEFAULT_KEYMAP);
+  });
+});
+
+describe('updateKeymapSettings', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('persists the settings and tells subscribers', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeKeymap(listener);
+    const settings = updateKeymapSettings({ preset: 'emacs' });
+    unsubscribe();
+    expect(settings.preset).toBe('emacs');
+    expect(JSON.parse(window.localStorage.getItem(KEYMAP_KEY))).toEqual(settings);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
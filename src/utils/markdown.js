@@ -0,0 +1,424 @@
+// ========================================
+// MARKDOWN
+// ========================================
+//
+// One GitHub-flavoured markdown parser with two back-ends, so `cat *.md`
+// in the terminal and the TUI's detail panels read the same tree:
+// - markdownToLines (here)      line objects for TerminalOutput
+// - components/ui/Markdown      React elements styled with tui-md-*
+//
+//   blocks   heading (ATX, setext) · paragraph · code (fenced) · list
+//            (nested, ordered, tasks) · quote · table · hr
+//   inline   text · code · strong · em · del · link · image · break
+//
+// Raw HTML is dropped. Link and image URLs pass through `resolveUrl`
+// (relative README paths → github.com) and anything that isn't http(s),
+// mailto or a #fragment afterwards is dropped too.
+// ========================================
+
+/**
+ * @typedef {Object} MarkdownNode
+ * @property {string} type
+ * @property {string} [text]              - text, code (inline and block)
+ * @property {MarkdownNode[]} [children]  - heading, paragraph, quote, strong, em, del, link
+ * @property {number} [level]             - heading, 1–6
+ * @property {string} [lang]              - code block
+ * @property {boolean} [ordered]          - list
+ * @property {number} [start]             - ordered list
+ * @property {ListItem[]} [items]         - list
+ * @property {Align[]} [align]            - table, per column
+ * @property {MarkdownNode[][]} [header]  - table, inline nodes per cell
+ * @property {MarkdownNode[][][]} [rows]  - table
+ * @property {string} [href]              - link
+ * @property {string} [src]               - image
+ * @property {string} [alt]               - image
+ */
+
+/**
+ * @typedef {Object} ListItem
+ * @property {MarkdownNode[]} children - Inline content of the first paragraph
+ * @property {MarkdownNode[]} blocks   - Anything after it, e.g. a nested list
+ * @property {boolean|null}   checked  - Task list state; null for plain items
+ */
+
+/** @typedef {'left'|'center'|'right'|null} Align */
+
+/**
+ * @typedef {(url: string, options: { image: boolean }) => string} UrlResolver
+ */
+
+// ── Inline ────────────────────────────────────────────────
+
+// One alternative per construct; the earliest match wins, then the first
+// alternative. Numbers are the capture groups parseInline reads.
+const INLINE = new RegExp([
+  /\\([!-/:-@[-`{-~])/.source,                                               // 1 escaped char
+  /(`+)([^`]|[^`][\s\S]*?[^`])\2(?!`)/.source,                               // 2 fence, 3 code
+  /!\[([^\]]*)\]\(\s*<?([^\s<>()]*)>?(?:\s+"[^"]*")?\s*\)/.source,           // 4 alt, 5 src
+  /\[((?:\\.|[^\\\]]|\[[^\]]*\])*)\]\(\s*<?([^\s<>()]*)>?(?:\s+"[^"]*")?\s*\)/.source, // 6 text, 7 href
+  /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/.source,                // 8, 9 strong
+  /\*(?=[^\s*])([\s\S]*?[^\s*])\*|_(?=\S)([\s\S]*?\S)_(?!\w)/.source,        // 10, 11 em
+  /<((?:https?:\/\/|mailto:)[^>\s]+)>/.source,                               // 12 autolink
+  /(https?:\/\/[^\s<>]*[^\s<>.,;:!?)\]'"*_~])/.source,                       // 13 bare URL
+  /~~(?=\S)([\s\S]*?\S)~~/.source,                                          // 14 del
+  /<\/?[a-zA-Z][^>]*>/.source,                                               // inline HTML, dropped
+].join('|'), 'g');
+
+// Link text can't hold another link (e.g. `[https://x](https://x)`)
+const unlinked = (nodes) => nodes.flatMap(n => (n.type === 'link' ? n.children : [n]));
+
+/**
+ * Parse inline markdown. `\n` marks a hard line break.
+ * @param {string} text
+ * @returns {MarkdownNode[]}
+ */
+export function parseInline(text) {
+  const nodes = [];
+  const pushText = (t) => t.split('\n').forEach((part, i) => {
+    if (i) nodes.push({ type: 'break' });
+    if (!part) return;
+    const prev = nodes[nodes.length - 1];
+    if (prev && prev.type === 'text') prev.text += part;
+    else nodes.push({ type: 'text', text: part });
+  });
+
+  // `_` opens emphasis only after a non-word character, so snake_case
+  // stays text. That's checked here: Safari before 16.4 can't parse a
+  // lookbehind, and one in INLINE would break every module importing this.
+  const re = new RegExp(INLINE);
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[11] !== undefined && /\w/.test(text[m.index - 1] || '')) {
+      re.lastIndex = m.index + 1;
+      continue;
+    }
+    pushText(text.slice(last, m.index));
+    last = re.lastIndex;
+    if (m[1] !== undefined) pushText(m[1]);
+    else if (m[3] !== undefined) nodes.push({ type: 'code', text: m[3].replace(/\n/g, ' ').replace(/^ (.+) $/, '$1') });
+    else if (m[5] !== undefined) nodes.push({ type: 'image', src: m[5], alt: m[4] });
+    else if (m[7] !== undefined) nodes.push({ type: 'link', href: m[7], children: unlinked(parseInline(m[6])) });
+    else if (m[8] !== undefined || m[9] !== undefined) nodes.push({ type: 'strong', children: parseInline(m[8] ?? m[9]) });
+    else if (m[10] !== undefined || m[11] !== undefined) nodes.push({ type: 'em', children: parseInline(m[10] ?? m[11]) });
+    else if (m[12] !== undefined || m[13] !== undefined) {
+      const url = m[12] ?? m[13];
+      nodes.push({ type: 'link', href: url, children: [{ type: 'text', text: url.replace(/^mailto:/, '') }] });
+    } else if (m[14] !== undefined) nodes.push({ type: 'del', children: parseInline(m[14]) });
+  }
+  pushText(text.slice(last));
+  return nodes;
+}
+
+// ── Blocks ────────────────────────────────────────────────
+
+const FENCE   = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT  = /^ {0,3}(=+|-+)\s*$/;
+const HR      = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE   = /^ {0,3}>\s?(.*)$/;
+const ITEM    = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TASK    = /^\[([ xX])\]\s+/;
+const DELIM   = /^ {0,3}\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const HTML    = /^ {0,3}<(?:\/?[a-zA-Z][\w-]*(?:\s[^>]*)?\/?>|!--)/;
+
+const isOrdered = (marker) => /\d/.test(marker);
+const indentOf = (line) => line.length - line.trimStart().length;
+
+/** Split a table row on unescaped pipes outside code spans */
+function splitRow(row) {
+  const s = row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  const cells = [''];
+  let code = false;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '\\' && s[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i++;
+    } else if (s[i] === '|' && !code) {
+      cells.push('');
+    } else {
+      if (s[i] === '`') code = !code;
+      cells[cells.length - 1] += s[i];
+    }
+  }
+  return cells.map(c => c.trim());
+}
+
+const alignOf = (cell) => (/^:-+:$/.test(cell) ? 'center' : /-:$/.test(cell) ? 'right' : /^:-/.test(cell) ? 'left' : null);
+
+// Soft breaks become spaces; two trailing spaces or a backslash make a hard one
+const joinLines = (lines) => lines.map((l, i) => {
+  if (i === lines.length - 1) return l.trim();
+  const hard = / {2,}$|\\$/.test(l);
+  return `${l.trim().replace(/\\$/, '')}${hard ? '\n' : ' '}`;
+}).join('');
+
+function listItem(lines) {
+  const task = TASK.exec(lines[0]);
+  const [first, ...rest] = parseMarkdown([task ? lines[0].slice(task[0].length) : lines[0], ...lines.slice(1)].join('\n'));
+  const inline = first && first.type === 'paragraph';
+  return {
+    children: inline ? first.children : [],
+    blocks: inline ? rest : [first, ...rest].filter(Boolean),
+    checked: task ? task[1] !== ' ' : null,
+  };
+}
+
+/**
+ * Parse markdown into a block tree
+ * @param {string} source
+ * @returns {MarkdownNode[]}
+ */
+export function parseMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const blank = (n) => n >= lines.length || !lines[n].trim();
+  const tableAt = (n) => n + 1 < lines.length && lines[n].includes('|') && lines[n + 1].includes('-')
+    && DELIM.test(lines[n + 1]) && splitRow(lines[n]).length === splitRow(lines[n + 1]).length;
+  const startsBlock = (n) => FENCE.test(lines[n]) || HEADING.test(lines[n]) || HR.test(lines[n])
+    || QUOTE.test(lines[n]) || ITEM.test(lines[n]) || HTML.test(lines[n]) || tableAt(n);
+  const sameList = (n, ordered) => {
+    const item = n < lines.length && ITEM.exec(lines[n]);
+    return !!item && isOrdered(item[2]) === ordered;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    if (!line.trim()) {
+      i++;
+    } else if ((m = FENCE.exec(line))) {
+      const close = new RegExp(`^ {0,3}${m[1][0]}{${m[1].length},}\\s*$`);
+      const code = [];
+      for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      blocks.push({ type: 'code', lang: m[2], text: code.join('\n') });
+    } else if ((m = HEADING.exec(line))) {
+      blocks.push({ type: 'heading', level: m[1].length, children: parseInline(m[2] || '') });
+      i++;
+    } else if (HR.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && (m = QUOTE.exec(lines[i]))) {
+        quoted.push(m[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+    } else if ((m = ITEM.exec(line))) {
+      const ordered = isOrdered(m[2]);
+      const items = [];
+      while (sameList(i, ordered)) {
+        const item = ITEM.exec(lines[i]);
+        // Lines indented past the marker belong to the item (nested lists too)
+        const indent = item[1].length + item[2].length + 1;
+        const body = [item[3] || ''];
+        for (i++; i < lines.length; i++) {
+          if (blank(i)) {
+            if (blank(i + 1) || indentOf(lines[i + 1]) < indent) break;
+            body.push('');
+          } else if (indentOf(lines[i]) >= indent) {
+            body.push(lines[i].slice(indent));
+          } else if (!startsBlock(i)) {
+            body.push(lines[i].trim()); // lazy continuation
+          } else {
+            break;
+          }
+        }
+        items.push(listItem(body));
+        // A blank line between items keeps the list going
+        if (blank(i) && sameList(i + 1, ordered)) i++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(m[2], 10) : 1, items });
+    } else if (tableAt(i)) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(alignOf);
+      const rows = [];
+      for (i += 2; !blank(i) && !(startsBlock(i) && !lines[i].includes('|')); i++) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, c) => parseInline(cells[c] || '')));
+      }
+      blocks.push({ type: 'table', align, header: header.map(c => parseInline(c)), rows });
+    } else if (HTML.test(line)) {
+      while (!blank(i)) i++; // dropped
+    } else {
+      const text = [];
+      let level = 0;
+      while (!blank(i)) {
+        if (text.length && SETEXT.test(lines[i])) {
+          level = lines[i].trim()[0] === '=' ? 1 : 2;
+          i++;
+          break;
+        }
+        if (text.length && startsBlock(i)) break;
+        text.push(lines[i++]);
+      }
+      const children = parseInline(joinLines(text));
+      blocks.push(level ? { type: 'heading', level, children } : { type: 'paragraph', children });
+    }
+  }
+  return blocks;
+}
+
+// ── URLs ──────────────────────────────────────────────────
+
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+
+/**
+ * Resolve a link or image URL, or null when it isn't safe to follow
+ * @param {string} url
+ * @param {boolean} image
+ * @param {UrlResolver} [resolveUrl]
+ * @returns {string|null}
+ */
+export function safeUrl(url, image, resolveUrl) {
+  if (!url) return null;
+  const resolved = resolveUrl ? resolveUrl(url, { image }) : url;
+  return SAFE_URL.test(resolved) || !/^[a-z][a-z0-9+.-]*:/i.test(resolved) ? resolved : null;
+}
+
+// ── Plain text ────────────────────────────────────────────
+
+const inlineText = (nodes) => nodes.map(n => {
+  if (n.type === 'break') return ' ';
+  if (n.type === 'image') return n.alt;
+  return n.children ? inlineText(n.children) : n.text;
+}).join('');
+
+function blockText(block) {
+  switch (block.type) {
+    case 'code':  return block.text;
+    case 'hr':    return '';
+    case 'quote': return block.children.map(blockText).join('\n');
+    case 'list':  return block.items.map(i => [inlineText(i.children), ...i.blocks.map(blockText)].join('\n')).join('\n');
+    case 'table': return [block.header, ...block.rows].map(r => r.map(inlineText).join(' ')).join('\n');
+    default:      return inlineText(block.children);
+  }
+}
+
+/**
+ * Markdown without its markup, one block per line — for search and snippets
+ * @param {string} source
+ * @returns {string}
+ */
+export function markdownToText(source) {
+  return parseMarkdown(source).map(blockText).filter(Boolean).join('\n');
+}
+
+// ── Terminal back-end ─────────────────────────────────────
+
+const CODE_COLOR = '#fbbf24';
+const RULE_WIDTH = 37;
+
+const plain = (spans) => spans.map(s => s.text).join('');
+const line = (spans, opts = {}) => ({ text: plain(spans), spans, ...opts });
+const pad = (n) => ' '.repeat(Math.max(n, 0));
+
+function inlineSpans(nodes, style, resolveUrl) {
+  return nodes.flatMap(n => {
+    switch (n.type) {
+      case 'code':   return [{ ...style, text: n.text, color: CODE_COLOR }];
+      case 'strong': return inlineSpans(n.children, { ...style, bold: true }, resolveUrl);
+      case 'em':     return inlineSpans(n.children, { ...style, italic: true }, resolveUrl);
+      case 'del':    return inlineSpans(n.children, { ...style, strike: true }, resolveUrl);
+      case 'break':  return [{ text: '', break: true }];
+      case 'link': {
+        const href = safeUrl(n.href, false, resolveUrl);
+        return inlineSpans(n.children, href ? { ...style, href } : style, resolveUrl);
+      }
+      case 'image': {
+        const src = safeUrl(n.src, true, resolveUrl);
+        return [{ ...style, text: `[image${n.alt ? `: ${n.alt}` : ''}]`, dim: true, ...(!style.href && src && { href: src }) }];
+      }
+      default:       return [{ ...style, text: n.text }];
+    }
+  });
+}
+
+// Spans → one line per hard break
+function inlineLines(spans, opts) {
+  const rows = [[]];
+  spans.forEach(s => (s.break ? rows.push([]) : rows[rows.length - 1].push(s)));
+  return rows.map(r => line(r, opts));
+}
+
+// Prefix the first line with `head` and the rest with as many spaces
+function hanging(lines, head) {
+  return lines.map((l, i) => {
+    const prefix = { text: i ? pad(head.text.length) : head.text, dim: true, ...(i === 0 && head.color && { color: head.color }) };
+    return line([prefix, ...(l.spans || [{ text: l.text }])], { ...(l.green && { green: true }), ...(l.dim && { dim: true }) });
+  });
+}
+
+// Box-drawn table; columns sized to their widest cell
+function tableLines(block, spans) {
+  const rows = [block.header.map(c => spans(c, { bold: true })), ...block.rows.map(r => r.map(c => spans(c)))];
+  const widths = block.header.map((_, c) => Math.max(3, ...rows.map(r => plain(r[c]).length)));
+  const rule = (l, m, r) => ({ text: `${l}${widths.map(w => '─'.repeat(w + 2)).join(m)}${r}`, dim: true });
+  const cell = (cellSpans, c) => {
+    const space = widths[c] - plain(cellSpans).length;
+    const left = block.align[c] === 'right' ? space : block.align[c] === 'center' ? Math.floor(space / 2) : 0;
+    return [{ text: pad(left) }, ...cellSpans, { text: pad(space - left) }];
+  };
+  const row = (r) => line(r.flatMap((c, j) => [{ text: j ? ' │ ' : '│ ', dim: true }, ...cell(c, j)]).concat({ text: ' │', dim: true }));
+  return [
+    rule('┌', '┬', '┐'),
+    row(rows[0]),
+    rule('├', '┼', '┤'),
+    ...rows.slice(1).map(row),
+    rule('└', '┴', '┘'),
+  ];
+}
+
+function blockLines(block, resolveUrl) {
+  const spans = (nodes, style = {}) => inlineSpans(nodes, style, resolveUrl);
+  switch (block.type) {
+    case 'heading': {
+      const title = line(spans(block.children, { bold: true }).filter(s => !s.break), { green: true });
+      if (block.level > 2) return [title];
+      return [title, { text: (block.level === 1 ? '═' : '─').repeat(Math.max(title.text.length, 3)), dim: true }];
+    }
+    case 'code':
+      return [
+        { text: `╭─${block.lang ? ` ${block.lang}` : ''}`, dim: true },
+        ...block.text.split('\n').map(t => line([{ text: '│ ', dim: true }, { text: t, color: CODE_COLOR }])),
+        { text: '╰─', dim: true },
+      ];
+    case 'list':
+      return block.items.flatMap((item, n) => {
+        const marker = block.ordered ? `${block.start + n}.` : '•';
+        const box = item.checked === null ? '' : item.checked ? '☑ ' : '☐ ';
+        const body = [...inlineLines(spans(item.children)), ...markdownBody(item.blocks, resolveUrl)];
+        return hanging(body.length ? body : [{ text: '' }], { text: `  ${marker} ${box}`, ...(item.checked && { color: CODE_COLOR }) });
+      });
+    case 'quote':
+      return markdownBody(block.children, resolveUrl).map(l => ({ ...hanging([l], { text: '│ ' })[0], dim: true }));
+    case 'table':
+      return tableLines(block, spans);
+    case 'hr':
+      return [{ text: '─'.repeat(RULE_WIDTH), dim: true }];
+    default:
+      return inlineLines(spans(block.children));
+  }
+}
+
+function markdownBody(blocks, resolveUrl) {
+  return blocks.flatMap((b, i) => [...(i ? [{ text: '' }] : []), ...blockLines(b, resolveUrl)]);
+}
+
+/**
+ * Render markdown as terminal output lines with styled spans (see
+ * utils/ansi): green headings, framed code, bullets and task boxes,
+ * box-drawn tables, clickable links. Each line's `text` stays plain
+ * for pipes.
+ * @param {string} source
+ * @param {{ resolveUrl?: UrlResolver }} [options]
+ * @returns {{ text: string, spans?: Object[], green?: boolean, dim?: boolean }[]}
+ */
+export function markdownToLines(source, { resolveUrl } = {}) {
+  return markdownBody(parseMarkdown(source), resolveUrl);
+}
@@ -0,0 +1,26 @@
+import { parseInline } from './markdown';
+
+describe('parseInline', () => {
+  it('emphasises _text_ between non-word characters', () => {
+    const em = { type: 'em', children: [{ type: 'text', text: 'b' }] };
+    expect(parseInline('a _b_ c')).toEqual([{ type: 'text', text: 'a ' }, em, { type: 'text', text: ' c' }]);
+    expect(parseInline('_b_')).toEqual([em]);
+    expect(parseInline('(_b_)')).toEqual([{ type: 'text', text: '(' }, em, { type: 'text', text: ')' }]);
+    expect(parseInline('`a`_b_')).toEqual([{ type: 'code', text: 'a' }, em]);
+  });
+
+  it('leaves underscores inside words alone', () => {
+    expect(parseInline('snake_case_word')).toEqual([{ type: 'text', text: 'snake_case_word' }]);
+    expect(parseInline('a_b _c_')).toEqual([
+      { type: 'text', text: 'a_b ' },
+      { type: 'em', children: [{ type: 'text', text: 'c' }] },
+    ]);
+  });
+
+  it('still emphasises with *', () => {
+    expect(parseInline('snake*case*')).toEqual([
+      { type: 'text', text: 'snake' },
+      { type: 'em', children: [{ type: 'text', text: 'case' }] },
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+// ========================================
+// PINNED COMMANDS
+// ========================================
+//
+// Palette entries the visitor pinned, in the order they were pinned,
+// persisted to localStorage. The palette lists them first.
+// ========================================
+
+export const PINS_KEY = 'palette:pins';
+
+/**
+ * Read pinned entry ids
+ * @returns {string[]}
+ */
+export function loadPins() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PINS_KEY));
+    return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Pin an entry, or unpin it if it was pinned. Storage failures are ignored.
+ * @param {string} id
+ * @returns {string[]} The updated pins
+ */
+export function togglePin(id) {
+  const pins = loadPins();
+  const next = pins.includes(id) ? pins.filter(p => p !== id) : [...pins, id];
+  try {
+    if (next.length) window.localStorage.setItem(PINS_KEY, JSON.stringify(next));
+    else window.localStorage.removeItem(PINS_KEY);
+  } catch {
+    // ignore
+  }
+  return next;
+}
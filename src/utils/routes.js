@@ -0,0 +1,97 @@
+// ========================================
+// ROUTES
+// ========================================
+//
+// Paths served by the HashRouter (see index.js and App.js):
+//
+//   /<section>              a section, e.g. #/notes
+//   /<section>/<slug>       one of its items: a page for projects and
+//                           notes, a highlighted row elsewhere
+//   /<section>?item=<slug>  a highlighted row on a section whose items
+//                           have pages of their own
+//
+// Links from before the router (#projects/crave) still resolve: the
+// router reads a hash without its leading slash as if it had one.
+//
+// matchRoute is what the TUI renders and what the terminal's `open`
+// accepts, so both agree on which paths exist.
+// ========================================
+
+import { matchPath } from 'react-router-dom';
+import { SECTION_META, SOCIALS, SKILLS, PROJECTS, NOTES, ARTISTS, MOVIES } from '../content';
+
+/** Skill name → slug for `#/skills/<slug>`, e.g. `Node.js` → `node-js` */
+export const skillSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Slugs a path can name, by section; sections not listed have no items
+const ITEM_SLUGS = {
+  about:    () => SOCIALS.map(s => s.label),
+  skills:   () => SKILLS.map(s => skillSlug(s.name)),
+  projects: () => PROJECTS.map(p => p.slug),
+  notes:    () => NOTES.map(n => n.slug),
+  music:    () => ARTISTS.map(a => a.slug),
+  movies:   () => MOVIES.map(m => m.slug),
+};
+
+/**
+ * Slugs of a section's items
+ * @param {string} section
+ * @returns {string[]}
+ */
+export const itemSlugs = (section) => (ITEM_SLUGS[section] ? ITEM_SLUGS[section]() : []);
+
+/**
+ * Router path of a section or one of its items
+ * @param {string} section - Section id
+ * @param {string|null} [item] - Item slug
+ * @returns {string} e.g. `/projects/crave`
+ */
+export const sectionPath = (section, item) => `/${section}${item ? `/${encodeURIComponent(item)}` : ''}`;
+
+/**
+ * Link href of a section or one of its items, for plain anchors
+ * @param {string} section
+ * @param {string|null} [item]
+ * @returns {string} e.g. `#/projects/crave`
+ */
+export const sectionHref = (section, item) => `#${sectionPath(section, item)}`;
+
+/**
+ * The router path of an in-app href
+ * @param {string} href
+ * @returns {string|null} null for links that leave the app
+ */
+export const hrefPath = (href) => (href.startsWith('#') ? `/${href.slice(1).replace(/^\//, '')}` : null);
+
+/**
+ * @typedef {Object} Route
+ * @property {string}      section - Section id
+ * @property {string|null} detail  - Item named by the path, spelled as its slug
+ * @property {string|null} item    - Item named by `?item=`
+ */
+
+/**
+ * What a path shows: `/projects/crave` → { section: 'projects', detail:
+ * 'crave', item: null }. `/` is the first section; slugs match in any case.
+ * @param {string} pathname
+ * @param {string} [search] - Query string, e.g. `?item=crave`
+ * @returns {Route|null} null for an unknown section or item, or a deeper path
+ */
+export function matchRoute(pathname, search = '') {
+  if (pathname === '/') return { section: SECTION_META[0].id, detail: null, item: null };
+  const match = matchPath('/:section/:slug?', pathname);
+  const section = match && SECTION_META.find(s => s.id === match.params.section);
+  if (!section) return null;
+  const find = (slug) => (slug ? itemSlugs(section.id).find(s => s.toLowerCase() === slug.toLowerCase()) ?? null : null);
+  const detail = find(match.params.slug);
+  if (match.params.slug && !detail) return null;
+  return { section: section.id, detail, item: find(new URLSearchParams(search).get('item')) };
+}
+
+/**
+ * Router path of a route, the inverse of matchRoute
+ * @param {Route} route
+ * @returns {string}
+ */
+export const routePath = ({ section, detail, item }) =>
+  `${sectionPath(section, detail)}${item ? `?item=${encodeURIComponent(item)}` : ''}`;
@@ -0,0 +1,233 @@
+// ========================================
+// CONTENT SEARCH
+// ========================================
+//
+// Full-text index over everything the site says: bio, skills, projects
+// (with their READMEs), notes, artists and movies. The command palette
+// and the terminal's `search` read the same index.
+//
+// Every query word has to match, as a prefix so results follow typing.
+// A hit in a title counts more than one in keywords, keywords more than
+// body text, and rare words more than common ones. READMEs come from
+// the GitHub cache or the build snapshot, whichever is on hand when the
+// index is first built.
+// ========================================
+
+import { PROFILE, SECTION_META, SKILLS, PROJECTS, NOTES, ARTISTS, MOVIES } from '../content';
+import { knownRepo, knownReadme } from './github';
+import { markdownToText } from './markdown';
+import { sectionHref, skillSlug } from './routes';
+
+/**
+ * @typedef {Object} SearchDoc
+ * @property {string}      id
+ * @property {string}      section    - Section the result opens
+ * @property {string|null} item       - Slug within it, for `#/section/<item>`
+ * @property {string}      title
+ * @property {string[]}    [keywords]
+ * @property {string}      text       - Body; snippets come from here
+ */
+
+/** @typedef {[number, number]} Range - Start and end offset of a match */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {SearchDoc} doc
+ * @property {number}    score
+ * @property {string}    href        - `#/section` or `#/section/<item>` (see utils/routes)
+ * @property {Range[]}   titleRanges - Matches in `doc.title`
+ * @property {{ text: string, ranges: Range[] }} snippet - Excerpt of `doc.text` around the first match
+ */
+
+const FIELD_WEIGHTS = { title: 4, keywords: 2, text: 1 };
+const SNIPPET_LENGTH = 96;
+const SNIPPET_LEAD = 32;
+
+const TOKEN_RE = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercased words with their offsets
+ * @param {string} text
+ * @returns {{ term: string, start: number, end: number }[]}
+ */
+export const tokenize = (text) =>
+  [...text.matchAll(TOKEN_RE)].map(m => ({ term: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length }));
+
+/**
+ * Where query words match in a text, as prefixes of its words
+ * @param {string} text
+ * @param {string[]} words - Lowercased query words
+ * @returns {Range[]}
+ */
+export function matchRanges(text, words) {
+  return tokenize(text).flatMap(t => {
+    const longest = words.filter(w => t.term.startsWith(w)).sort((a, b) => b.length - a.length)[0];
+    return longest ? [[t.start, t.start + longest.length]] : [];
+  });
+}
+
+// Excerpt around the first match, cut at word boundaries
+function snippet(text, words) {
+  const ranges = matchRanges(text, words);
+  let start = ranges.length ? Math.max(0, ranges[0][0] - SNIPPET_LEAD) : 0;
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: ranges.filter(([a, b]) => a >= start && b <= end).map(([a, b]) => [a + shift, b + shift]),
+  };
+}
+
+/**
+ * Build an inverted index over documents
+ * @param {SearchDoc[]} docs
+ * @returns {{ search: (query: string, options?: { limit?: number }) => SearchResult[], size: number }}
+ */
+export function createSearchIndex(docs) {
+  const entries = docs.map(d => ({ ...d, text: (d.text || '').replace(/\s+/g, ' ').trim() }));
+
+  const postings = new Map(); // term → Map<doc index, weighted count>
+  entries.forEach((doc, i) => {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = field === 'keywords' ? (doc.keywords || []).join(' ') : doc[field];
+      for (const { term } of tokenize(value)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docsWithTerm = postings.get(term);
+        docsWithTerm.set(i, (docsWithTerm.get(i) || 0) + weight);
+      }
+    }
+  });
+  const terms = [...postings.keys()].sort();
+
+  // Indexed terms starting with `prefix`: binary search, then scan
+  const expand = (prefix) => {
+    let lo = 0;
+    let hi = terms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (terms[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) out.push(terms[i]);
+    return out;
+  };
+
+  const search = (query, { limit = 30 } = {}) => {
+    const words = [...new Set(tokenize(query).map(t => t.term))];
+    if (!words.length) return [];
+
+    let scores = null;
+    for (const word of words) {
+      const matched = new Map();
+      for (const term of expand(word)) {
+        const docsWithTerm = postings.get(term);
+        const idf = Math.log(1 + entries.length / docsWithTerm.size);
+        // A whole word beats a longer word it only starts
+        const exact = term === word ? 1 : 0.6;
+        for (const [i, weight] of docsWithTerm) matched.set(i, (matched.get(i) || 0) + weight * idf * exact);
+      }
+      scores = scores
+        ? new Map([...scores].filter(([i]) => matched.has(i)).map(([i, s]) => [i, s + matched.get(i)]))
+        : matched;
+      if (!scores.size) return [];
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([i, score]) => {
+        const doc = entries[i];
+        return {
+          doc,
+          score,
+          href: sectionHref(doc.section, doc.item),
+          titleRanges: matchRanges(doc.title, words),
+          snippet: snippet(doc.text, words),
+        };
+      });
+  };
+
+  return { search, size: entries.length };
+}
+
+// ── Portfolio content ─────────────────────────────────────
+
+/**
+ * Every searchable piece of content
+ * @returns {SearchDoc[]}
+ */
+export function contentDocuments() {
+  return [
+    {
+      id: 'about',
+      section: 'about',
+      item: null,
+      title: PROFILE.name,
+      keywords: [PROFILE.tagline, ...PROFILE.roles],
+      text: [...PROFILE.bio, ...PROFILE.offline].join('. '),
+    },
+    ...SKILLS.map(s => ({ id: `skill-${skillSlug(s.name)}`, section: 'skills', item: skillSlug(s.name), title: s.name, text: '' })),
+    ...PROJECTS.map(p => {
+      const readme = knownReadme(p.repo);
+      return {
+        id: `project-${p.slug}`,
+        section: 'projects',
+        item: p.slug,
+        title: p.name,
+        keywords: [...p.tech, p.language, ...((knownRepo(p.repo) || {}).topics || [])],
+        text: [p.description, readme ? markdownToText(readme) : ''].join(' '),
+      };
+    }),
+    ...NOTES.map(n => ({
+      id: `note-${n.slug}`,
+      section: 'notes',
+      item: n.slug,
+      title: n.title,
+      keywords: n.tags,
+      text: `${n.summary} ${markdownToText(n.body)}`,
+    })),
+    ...ARTISTS.map(a => ({ id: `artist-${a.slug}`, section: 'music', item: a.slug, title: a.name, text: a.desc })),
+    ...MOVIES.map(m => ({
+      id: `movie-${m.slug}`,
+      section: 'movies',
+      item: m.slug,
+      title: m.name,
+      keywords: [String(m.year)],
+      text: m.desc,
+    })),
+  ];
+}
+
+let contentIndex = null;
+
+/**
+ * Search the portfolio. The index is built on first use.
+ * @param {string} query
+ * @param {{ limit?: number }} [options]
+ * @returns {SearchResult[]} Best first
+ */
+export function searchContent(query, options) {
+  if (!contentIndex) contentIndex = createSearchIndex(contentDocuments());
+  return contentIndex.search(query, options);
+}
+
+/**
+ * Results grouped by section, groups ordered by their best result
+ * @param {SearchResult[]} results
+ * @returns {{ section: import('../content').SectionMeta, results: SearchResult[] }[]}
+ */
+export function groupResults(results) {
+  const groups = new Map();
+  for (const r of results) {
+    if (!groups.has(r.doc.section)) {
+      groups.set(r.doc.section, { section: SECTION_META.find(s => s.id === r.doc.section), results: [] });
+    }
+    groups.get(r.doc.section).results.push(r);
+  }
+  return [...groups.values()];
+}
@@ -0,0 +1,158 @@
+// ========================================
+// SHELL PARSER
+// ========================================
+//
+// Turns a terminal input line into a small AST:
+//
+//   list      := pipeline (( ';' | '&&' | '||' ) pipeline)* [';']
+//   pipeline  := command ( '|' command )*
+//   command   := word+ ( ( '>' | '>>' ) word )?
+//
+// Words support 'single quotes' (literal), "double quotes" (with \" \\
+// escapes) and backslash escapes. Unquoted glob characters and a leading
+// unquoted `~` are remembered so expansion can honour quoting later.
+// ========================================
+
+const OPERATORS = ['&&', '||', '>>', ';', '|', '>'];
+
+/**
+ * @typedef {Object} Word
+ * @property {string}  value - Text with quotes and escapes removed
+ * @property {boolean} glob  - Contains unquoted *, ? or [
+ * @property {boolean} tilde - Starts with an unquoted ~ (or ~/)
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {Word[]} argv
+ * @property {{ target: Word, append: boolean } | null} redirect
+ */
+
+/**
+ * @typedef {Object} ListItem
+ * @property {null|';'|'&&'|'||'} op - Operator joining this pipeline to the previous one
+ * @property {Command[]} pipeline
+ */
+
+const operatorAt = (input, i) => OPERATORS.find(o => input.startsWith(o, i));
+
+const syntaxError = (msg) => Object.assign(new Error(`syntax error: ${msg}`), { code: 'ESYNTAX' });
+
+/**
+ * Split input into word and operator tokens
+ * @param {string} input
+ * @returns {({ type: 'op', value: string } | ({ type: 'word' } & Word))[]}
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const c = input[i];
+
+    if (/\s/.test(c)) { i++; continue; }
+
+    const op = operatorAt(input, i);
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    // Word: read until unquoted whitespace or operator
+    let value = '';
+    let glob = false;
+    const tilde = c === '~' && (i + 1 === input.length || /[\s/;|&>]/.test(input[i + 1]));
+
+    while (i < input.length && !/\s/.test(input[i]) && !operatorAt(input, i)) {
+      const ch = input[i];
+      if (ch === "'") {
+        const end = input.indexOf("'", i + 1);
+        if (end < 0) throw syntaxError('unterminated quote');
+        value += input.slice(i + 1, end);
+        i = end + 1;
+      } else if (ch === '"') {
+        i++;
+        while (i < input.length && input[i] !== '"') {
+          if (input[i] === '\\' && /["\\$`]/.test(input[i + 1] || '')) i++;
+          value += input[i++];
+        }
+        if (i >= input.length) throw syntaxError('unterminated quote');
+        i++;
+      } else if (ch === '\\') {
+        if (i + 1 < input.length) value += input[i + 1];
+        i += 2;
+      } else {
+        if (/[*?[]/.test(ch)) glob = true;
+        value += ch;
+        i++;
+      }
+    }
+
+    tokens.push({ type: 'word', value, glob, tilde });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse input into a command list
+ * @param {string} input
+ * @returns {ListItem[]}
+ */
+export function parse(input) {
+  const tokens = tokenize(input);
+  const items = [];
+  let op = null;
+  let pipeline = [];
+  let command = { argv: [], redirect: null };
+
+  const unexpected = (t) => syntaxError(`unexpected token '${t ? t.value : 'newline'}'`);
+
+  const endCommand = (t) => {
+    if (!command.argv.length) throw unexpected(t);
+    pipeline.push(command);
+    command = { argv: [], redirect: null };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+
+    if (t.type === 'word') {
+      if (command.redirect) throw unexpected(t);
+      command.argv.push({ value: t.value, glob: t.glob, tilde: t.tilde });
+      continue;
+    }
+
+    switch (t.value) {
+      case '>':
+      case '>>': {
+        const target = tokens[i + 1];
+        if (!command.argv.length || command.redirect || !target || target.type !== 'word') {
+          throw unexpected(target && target.type === 'op' ? target : t);
+        }
+        command.redirect = { target, append: t.value === '>>' };
+        i++;
+        break;
+      }
+      case '|':
+        endCommand(t);
+        break;
+      default: // ; && ||
+        endCommand(t);
+        items.push({ op, pipeline });
+        op = t.value;
+        pipeline = [];
+    }
+  }
+
+  if (command.argv.length) {
+    pipeline.push(command);
+  } else if (pipeline.length || (op && op !== ';')) {
+    // dangling `|`, `&&` or `||`
+    throw unexpected(null);
+  }
+  if (pipeline.length) items.push({ op, pipeline });
+
+  return items;
+}
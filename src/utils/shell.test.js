@@ -0,0 +1,83 @@
+import { tokenize, parse } from './shell';
+
+const words = (input) => tokenize(input).map(t => (t.type === 'op' ? `<${t.value}>` : t.value));
+const argv = (command) => command.argv.map(w => w.value);
+
+describe('tokenize', () => {
+  it('splits on whitespace and operators', () => {
+    expect(words('ls  -l|grep x&&echo ok;pwd>>log')).toEqual(
+      ['ls', '-l', '<|>', 'grep', 'x', '<&&>', 'echo', 'ok', '<;>', 'pwd', '<>>>', 'log'],
+    );
+  });
+
+  it('prefers the longest operator', () => {
+    expect(words('a||b>c')).toEqual(['a', '<||>', 'b', '<>>', 'c']);
+  });
+
+  it('keeps single quotes literal', () => {
+    expect(words("echo 'a  b|c' '\\n'")).toEqual(['echo', 'a  b|c', '\\n']);
+  });
+
+  it('unescapes \\" and \\\\ inside double quotes only', () => {
+    expect(words('echo "say \\"hi\\" \\\\ \\n"')).toEqual(['echo', 'say "hi" \\ \\n']);
+  });
+
+  it('joins quoted and unquoted parts of one word', () => {
+    expect(words(`a"b c"'d'e`)).toEqual(['ab cde']);
+  });
+
+  it('treats a backslash as escaping the next character', () => {
+    expect(words('echo a\\ b \\|')).toEqual(['echo', 'a b', '|']);
+  });
+
+  it('marks unquoted glob characters only', () => {
+    const [, bare, quoted, escaped] = tokenize(`ls *.md '*.md' \\*.md`);
+    expect([bare.glob, quoted.glob, escaped.glob]).toEqual([true, false, false]);
+  });
+
+  it('marks a leading unquoted ~ only', () => {
+    const [, home, sub, quoted, user] = tokenize(`cd ~ ~/notes '~' ~rohith`);
+    expect([home.tilde, sub.tilde, quoted.tilde, user.tilde]).toEqual([true, true, false, false]);
+  });
+
+  it('rejects unterminated quotes', () => {
+    expect(() => tokenize("echo 'oops")).toThrow('syntax error: unterminated quote');
+    expect(() => tokenize('echo "oops')).toThrow(expect.objectContaining({ code: 'ESYNTAX' }));
+  });
+});
+
+describe('parse', () => {
+  it('binds | tighter than && and ||, and those tighter than ;', () => {
+    const list = parse('a | b && c || d | e; f');
+    expect(list.map(item => [item.op, item.pipeline.map(c => argv(c).join(' '))])).toEqual([
+      [null, ['a', 'b']],
+      ['&&', ['c']],
+      ['||', ['d', 'e']],
+      [';', ['f']],
+    ]);
+  });
+
+  it('attaches a redirect to its own command', () => {
+    const [{ pipeline }] = parse('cat a | sort >> out');
+    expect(pipeline[0].redirect).toBeNull();
+    expect(pipeline[1].redirect.target.value).toBe('out');
+    expect(pipeline[1].redirect.append).toBe(true);
+    expect(argv(pipeline[1])).toEqual(['sort']);
+  });
+
+  it('allows a trailing ;', () => {
+    expect(parse('pwd;')).toHaveLength(1);
+  });
+
+  it.each([
+    ['| ls', "unexpected token '|'"],
+    ['ls |', "unexpected token 'newline'"],
+    ['ls &&', "unexpected token 'newline'"],
+    ['ls ;; pwd', "unexpected token ';'"],
+    ['ls >', "unexpected token '>'"],
+    ['ls > a b', "unexpected token 'b'"],
+    ['> out', "unexpected token '>'"],
+  ])('rejects %p', (input, message) => {
+    expect(() => parse(input)).toThrow(`syntax error: ${message}`);
+  });
+});
@@ -0,0 +1,57 @@
+// ========================================
+// THEMES
+// ========================================
+//
+// Accent colour schemes for the TUI. A theme is a `data-theme` attribute
+// on <html>; index.css swaps the accent variables for it. The choice is
+// persisted to localStorage and applied before the first render.
+// ========================================
+
+export const THEME_KEY = 'tui:theme';
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} id
+ * @property {string} label
+ * @property {string} accent - Swatch colour, matching index.css
+ */
+
+/** @type {Theme[]} */
+export const THEMES = [
+  { id: 'phosphor', label: 'Phosphor', accent: '#4ade80' },
+  { id: 'amber',    label: 'Amber',    accent: '#fbbf24' },
+  { id: 'ice',      label: 'Ice',      accent: '#67e8f9' },
+  { id: 'rose',     label: 'Rose',     accent: '#fb7185' },
+];
+
+export const DEFAULT_THEME = THEMES[0].id;
+
+/**
+ * The persisted theme, or the default
+ * @returns {string}
+ */
+export function loadTheme() {
+  try {
+    const saved = window.localStorage.getItem(THEME_KEY);
+    return THEMES.some(t => t.id === saved) ? saved : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME;
+  }
+}
+
+/**
+ * Switch to a theme and remember it. Unknown ids fall back to the default.
+ * @param {string} id
+ * @returns {string} The theme applied
+ */
+export function applyTheme(id) {
+  const theme = THEMES.some(t => t.id === id) ? id : DEFAULT_THEME;
+  if (theme === DEFAULT_THEME) document.documentElement.removeAttribute('data-theme');
+  else document.documentElement.setAttribute('data-theme', theme);
+  try {
+    window.localStorage.setItem(THEME_KEY, theme);
+  } catch {
+    // ignore
+  }
+  return theme;
+}
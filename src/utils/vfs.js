@@ -0,0 +1,321 @@
+// ========================================
+// VIRTUAL FILESYSTEM
+// ========================================
+//
+// In-memory filesystem behind the terminal's ls / cat / cd / tree / find.
+// The tree is built from src/content so the files always say what the TUI
+// shows:
+//
+//   /home/rohith
+//   ├── about.txt
+//   ├── readme.txt
+//   ├── stats.json
+//   ├── projects/<slug>/README.md   the repo's README, fetched on first read
+//   ├── notes/<slug>.md
+//   ├── music/<slug>.txt
+//   └── movies/<slug>.txt
+// ========================================
+
+import { PROFILE, SOCIALS, PROJECTS, NOTES, ARTISTS, MOVIES, STATS, displayHref } from '../content';
+import { GITHUB_USERNAME } from '../constants/github';
+import { fetchReadme, resolveRepoUrl } from './github';
+
+export const HOME = `/home/${PROFILE.handle}`;
+
+const ERRORS = {
+  ENOENT: 'no such file or directory',
+  ENOTDIR: 'not a directory',
+  EISDIR: 'is a directory',
+  EEXIST: 'file exists',
+};
+
+/**
+ * Build an Error carrying a POSIX-ish code, e.g. `music/x: no such file or directory`
+ * @param {'ENOENT'|'ENOTDIR'|'EISDIR'|'EEXIST'} code
+ * @param {string} path - Path as the user typed it
+ * @returns {Error}
+ */
+const fsError = (code, path) => Object.assign(new Error(`${path}: ${ERRORS[code]}`), { code });
+
+// ── Nodes ─────────────────────────────────────────────────
+const dir  = (children = {}, mtime = new Date()) => ({ type: 'dir', children, mtime });
+const file = (content, mtime = new Date()) => ({ type: 'file', content, mtime });
+
+/**
+ * File whose real content lives elsewhere. `content` is shown until
+ * loadFile replaces it with what `load` resolves to.
+ * @param {string} content
+ * @param {(signal?: AbortSignal) => Promise<string>} load
+ * @param {Object} [extra] - e.g. `resolveUrl` for markdown links
+ */
+const remoteFile = (content, load, extra = {}) => ({ ...file(content), load, ...extra });
+
+// ── Content → files ───────────────────────────────────────
+const github = displayHref(SOCIALS.find(s => s.label === 'github').href);
+
+const aboutTxt = () => [
+  PROFILE.name.toLowerCase(),
+  '',
+  ...PROFILE.bio,
+  '',
+  'when not at the keyboard:',
+  ...PROFILE.offline.map(o => `  → ${o}`),
+  '',
+  github,
+].join('\n');
+
+const readmeTxt = () => [
+  `${PROFILE.name.toLowerCase()} — ${PROFILE.tagline}`,
+  '',
+  '  builds things with react, node, and whatever gets the job done.',
+  `  projects: ${PROJECTS.map(p => p.slug).join(' · ')}`,
+  `  github:   ${github}`,
+  '  license:  mit',
+].join('\n');
+
+const statsJson = () => JSON.stringify(
+  Object.fromEntries(STATS.filter(s => !s.trivia).map(s => [s.key, s.value])),
+  null,
+  2,
+);
+
+const projectReadme = (p) => [
+  `# ${p.name}`,
+  '',
+  p.description,
+  '',
+  `- language: ${p.language}`,
+  `- tech: ${p.tech.join(', ')}`,
+  `- source: https://github.com/${GITHUB_USERNAME}/${p.repo}`,
+  ...(p.live ? [`- live: ${p.live}`] : []),
+].join('\n');
+
+// Front-matter shown the way the notes section shows it
+const noteMd = (n) => [
+  `# ${n.title}`,
+  '',
+  `_${n.date} · ${n.readingTime} min read · ${n.tags.map(t => `#${t}`).join(' ')}_`,
+  '',
+  n.body,
+].join('\n');
+
+const artistTxt = (a) => [a.name, a.desc, a.url].join('\n');
+const movieTxt  = (m) => [`${m.name} (${m.year})`, m.desc, m.url].join('\n');
+
+function buildTree() {
+  const home = dir({
+    'about.txt':  file(aboutTxt()),
+    'readme.txt': file(readmeTxt()),
+    'stats.json': file(statsJson()),
+    projects: dir(Object.fromEntries(PROJECTS.map(p => [p.slug, dir({
+      'README.md': remoteFile(
+        projectReadme(p),
+        (signal) => fetchReadme(p.repo, { signal }).then(r => r.markdown),
+        { resolveUrl: (url, options) => resolveRepoUrl(p.repo, url, options) },
+      ),
+    })]))),
+    notes:    dir(Object.fromEntries(NOTES.map(n => [`${n.slug}.md`, file(noteMd(n), new Date(`${n.updated || n.date}T00:00`))]))),
+    music:    dir(Object.fromEntries(ARTISTS.map(a => [`${a.slug}.txt`, file(artistTxt(a))]))),
+    movies:   dir(Object.fromEntries(MOVIES.map(m => [`${m.slug}.txt`, file(movieTxt(m))]))),
+  });
+  return dir({ home: dir({ [PROFILE.handle]: home }) });
+}
+
+// ── Paths ─────────────────────────────────────────────────
+
+/**
+ * Resolve a path against a working directory into a normalized absolute path.
+ * Handles `~`, `.`, `..`, repeated and trailing slashes.
+ * @param {string} path
+ * @param {string} [cwd=HOME]
+ * @returns {string}
+ */
+export function resolvePath(path, cwd = HOME) {
+  let p = path || '.';
+  if (p === '~' || p.startsWith('~/')) p = HOME + p.slice(1);
+  if (!p.startsWith('/')) p = `${cwd}/${p}`;
+
+  const out = [];
+  for (const seg of p.split('/')) {
+    if (!seg || seg === '.') continue;
+    if (seg === '..') out.pop();
+    else out.push(seg);
+  }
+  return `/${out.join('/')}`;
+}
+
+/**
+ * Absolute path → display form with $HOME shown as `~`
+ * @param {string} abs
+ * @returns {string}
+ */
+export const displayPath = (abs) =>
+  abs === HOME ? '~' : abs.startsWith(`${HOME}/`) ? `~${abs.slice(HOME.length)}` : abs;
+
+/** @param {string} s */
+export const hasGlob = (s) => /[*?[]/.test(s);
+
+/**
+ * Translate one path segment of a glob into an anchored RegExp
+ * @param {string} seg
+ * @returns {RegExp}
+ */
+export function globToRegExp(seg) {
+  let re = '';
+  for (let i = 0; i < seg.length; i++) {
+    const c = seg[i];
+    if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else if (c === '[') {
+      const end = seg.indexOf(']', i + 1);
+      if (end < 0) { re += '\\['; continue; }
+      const body = seg.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      re += `[${body}]`;
+      i = end;
+    } else re += c.replace(/[.+^${}()|\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+const joinShown = (base, name) => (base === '' ? name : base.endsWith('/') ? `${base}${name}` : `${base}/${name}`);
+
+// ── Filesystem ────────────────────────────────────────────
+
+/**
+ * Create a fresh virtual filesystem populated from portfolio content.
+ * Each terminal session owns one so writes don't leak between sessions.
+ */
+export function createFileSystem() {
+  const root = buildTree();
+
+  const lookup = (abs) => {
+    let node = root;
+    for (const seg of abs.split('/').filter(Boolean)) {
+      if (node.type !== 'dir' || !node.children[seg]) return null;
+      node = node.children[seg];
+    }
+    return node;
+  };
+
+  /**
+   * @param {string} path
+   * @param {string} cwd
+   * @returns {{ path: string, node: Object }}
+   */
+  const stat = (path, cwd) => {
+    const abs = resolvePath(path, cwd);
+    const node = lookup(abs);
+    if (!node) throw fsError('ENOENT', path);
+    return { path: abs, node };
+  };
+
+  const readdir = (path, cwd) => {
+    const { node } = stat(path, cwd);
+    if (node.type !== 'dir') throw fsError('ENOTDIR', path);
+    return Object.keys(node.children).sort().map(name => ({ name, node: node.children[name] }));
+  };
+
+  const readFile = (path, cwd) => {
+    const { node } = stat(path, cwd);
+    if (node.type === 'dir') throw fsError('EISDIR', path);
+    return node.content;
+  };
+
+  /**
+   * Read a file, fetching a remote one first. The fetched content stays,
+   * so later reads (and readFile) see it; on failure the local content
+   * is kept. Aborts are rethrown.
+   * @param {string} path
+   * @param {string} cwd
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<string>}
+   */
+  const loadFile = async (path, cwd, { signal } = {}) => {
+    const { node } = stat(path, cwd);
+    if (node.type === 'dir') throw fsError('EISDIR', path);
+    if (node.load) {
+      try {
+        node.content = await node.load(signal);
+        node.mtime = new Date();
+        node.load = null;
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+      }
+    }
+    return node.content;
+  };
+
+  const writeFile = (path, content, cwd, { append = false } = {}) => {
+    const abs = resolvePath(path, cwd);
+    const parent = lookup(abs.replace(/\/[^/]+$/, '') || '/');
+    const name = abs.split('/').pop();
+    if (!parent || !name) throw fsError('ENOENT', path);
+    if (parent.type !== 'dir') throw fsError('ENOTDIR', path);
+    const existing = parent.children[name];
+    if (existing && existing.type === 'dir') throw fsError('EISDIR', path);
+    const prev = append && existing ? existing.content : '';
+    parent.children[name] = file(prev ? `${prev}\n${content}` : content);
+    parent.mtime = new Date();
+  };
+
+  /**
+   * Depth-first walk yielding every node under (and including) `path`
+   * @param {string} path
+   * @param {string} cwd
+   * @returns {{ shown: string, path: string, node: Object, depth: number }[]}
+   */
+  const walk = (path, cwd) => {
+    const start = stat(path, cwd);
+    const out = [];
+    const visit = (shown, abs, node, depth) => {
+      out.push({ shown, path: abs, node, depth });
+      if (node.type !== 'dir') return;
+      for (const name of Object.keys(node.children).sort()) {
+        visit(joinShown(shown, name), `${abs === '/' ? '' : abs}/${name}`, node.children[name], depth + 1);
+      }
+    };
+    visit(path, start.path, start.node, 0);
+    return out;
+  };
+
+  /**
+   * Expand a glob pattern against the tree. Patterns without wildcards, or
+   * with no matches, come back unchanged (like bash without nullglob).
+   * Matches keep the pattern's form: relative stays relative.
+   * @param {string} pattern
+   * @param {string} cwd
+   * @returns {string[]}
+   */
+  const glob = (pattern, cwd) => {
+    if (!hasGlob(pattern)) return [pattern];
+
+    const expanded = pattern === '~' || pattern.startsWith('~/') ? HOME + pattern.slice(1) : pattern;
+    const absolute = expanded.startsWith('/');
+    let results = [{ shown: absolute ? '/' : '', path: absolute ? '/' : cwd }];
+
+    for (const seg of expanded.split('/').filter(Boolean)) {
+      const next = [];
+      for (const r of results) {
+        const node = lookup(r.path);
+        if (!node || node.type !== 'dir') continue;
+
+        if (!hasGlob(seg)) {
+          const abs = resolvePath(seg, r.path);
+          if (lookup(abs)) next.push({ shown: joinShown(r.shown, seg), path: abs });
+          continue;
+        }
+
+        const re = globToRegExp(seg);
+        for (const name of Object.keys(node.children).sort()) {
+          if (name.startsWith('.') && !seg.startsWith('.')) continue;
+          if (re.test(name)) next.push({ shown: joinShown(r.shown, name), path: resolvePath(name, r.path) });
+        }
+      }
+      results = next;
+    }
+
+    return results.length ? results.map(r => r.shown) : [pattern];
+  };
+
+  return { stat, readdir, readFile, loadFile, writeFile, walk, glob, exists: (p, cwd) => !!lookup(resolvePath(p, cwd)) };
+}
@@ -0,0 +1,92 @@
+import { createFileSystem, resolvePath, displayPath, globToRegExp, HOME } from './vfs';
+import { ARTISTS, PROJECTS } from '../content';
+
+describe('resolvePath', () => {
+  it.each([
+    ['notes', '/tmp', '/tmp/notes'],
+    ['/etc//hosts/', HOME, '/etc/hosts'],
+    ['./a/./b', '/x', '/x/a/b'],
+    ['../..', '/a/b/c', '/a'],
+    ['../../../..', '/a', '/'],
+    ['~', '/tmp', HOME],
+    ['~/music', '/tmp', `${HOME}/music`],
+    ['', '/tmp', '/tmp'],
+  ])('%p from %p is %p', (path, cwd, abs) => {
+    expect(resolvePath(path, cwd)).toBe(abs);
+  });
+
+  it('resolves against $HOME by default', () => {
+    expect(resolvePath('music')).toBe(`${HOME}/music`);
+  });
+});
+
+describe('displayPath', () => {
+  it('shows $HOME as ~', () => {
+    expect(displayPath(HOME)).toBe('~');
+    expect(displayPath(`${HOME}/music`)).toBe('~/music');
+    expect(displayPath(`${HOME}x`)).toBe(`${HOME}x`);
+    expect(displayPath('/')).toBe('/');
+  });
+});
+
+describe('globToRegExp', () => {
+  it.each([
+    ['*.md', ['a.md', '.md'], ['a.txt', 'a.md.bak']],
+    ['?.txt', ['a.txt'], ['ab.txt']],
+    ['[ab]*', ['apple', 'bee'], ['cat']],
+    ['[!ab]*', ['cat'], ['apple']],
+    ['a.b', ['a.b'], ['axb']],
+    ['[oops', ['[oops'], ['oops']],
+  ])('%p', (glob, matches, misses) => {
+    const re = globToRegExp(glob);
+    matches.forEach(name => expect(name).toMatch(re));
+    misses.forEach(name => expect(name).not.toMatch(re));
+  });
+});
+
+describe('createFileSystem', () => {
+  let fs;
+  beforeEach(() => { fs = createFileSystem(); });
+
+  it('expands globs relative to cwd, keeping the pattern relative', () => {
+    expect(fs.glob('music/*.txt', HOME)).toEqual(ARTISTS.map(a => `music/${a.slug}.txt`).sort());
+  });
+
+  it('expands globs in more than one segment', () => {
+    expect(fs.glob('projects/*/README.md', HOME)).toHaveLength(PROJECTS.length);
+  });
+
+  it('expands absolute and ~ patterns', () => {
+    expect(fs.glob(`${HOME}/*.json`, '/')).toEqual([`${HOME}/stats.json`]);
+    expect(fs.glob('~/*.json', '/')).toEqual([`${HOME}/stats.json`]);
+  });
+
+  it('leaves dotfiles out unless the pattern starts with a dot', () => {
+    fs.writeFile('.secret', 'x', HOME);
+    expect(fs.glob('*', HOME)).not.toContain('.secret');
+    expect(fs.glob('.*', HOME)).toEqual(['.secret']);
+  });
+
+  it('returns a pattern with no matches unchanged', () => {
+    expect(fs.glob('*.nope', HOME)).toEqual(['*.nope']);
+    expect(fs.glob('readme.txt', HOME)).toEqual(['readme.txt']);
+  });
+
+  it('reads through relative paths', () => {
+    expect(fs.readFile('../stats.json', `${HOME}/music`)).toBe(fs.readFile('~/stats.json', '/'));
+  });
+
+  it('fails with POSIX-style codes', () => {
+    expect(() => fs.readFile('nope', HOME)).toThrow(expect.objectContaining({ code: 'ENOENT', message: 'nope: no such file or directory' }));
+    expect(() => fs.readFile('music', HOME)).toThrow(expect.objectContaining({ code: 'EISDIR' }));
+    expect(() => fs.readdir('stats.json', HOME)).toThrow(expect.objectContaining({ code: 'ENOTDIR' }));
+    expect(() => fs.writeFile('missing/file', 'x', HOME)).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+  });
+
+  it('keeps writes to the session that made them', () => {
+    fs.writeFile('todo', 'a', HOME);
+    fs.writeFile('todo', 'b', HOME, { append: true });
+    expect(fs.readFile('todo', HOME)).toBe('a\nb');
+    expect(createFileSystem().exists('todo', HOME)).toBe(false);
+  });
+});